@@ -0,0 +1,187 @@
+/**
+ * Vendor Clients
+ * Server-side counterparts of js/llmProviders.js - the API key never leaves this process
+ */
+
+/**
+ * Read a Server-Sent Events body, calling onData(data) per event
+ */
+async function readSSE(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (block) => {
+        const payload = block
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).replace(/^ /, ''))
+            .join('\n');
+        if (payload && payload !== '[DONE]') {
+            onData(payload);
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = blocks.pop();
+        blocks.forEach(dispatch);
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) dispatch(buffer);
+}
+
+class VendorClient {
+    constructor(config = {}) {
+        this.apiKey = config.apiKey || '';
+        this.endpoint = config.endpoint || this.constructor.defaultEndpoint;
+        this.model = config.model || this.constructor.defaultModel;
+    }
+
+    static label = 'Vendor';
+    static defaultEndpoint = '';
+    static defaultModel = '';
+
+    get name() {
+        return this.constructor.label;
+    }
+
+    async request(prompt, options, signal) {
+        const { url, init } = this.buildRequest(prompt, options);
+        const response = await fetch(url, { ...init, signal });
+
+        if (!response.ok) {
+            const error = await response.text();
+            throw new UpstreamError(`${this.name} call failed: ${response.status} - ${error}`, response.status);
+        }
+
+        return response;
+    }
+
+    async complete(prompt, options = {}) {
+        const response = await this.request(prompt, options);
+
+        const text = await this.parseResponse(response);
+        if (typeof text !== 'string') {
+            throw new UpstreamError(`${this.name} returned an unexpected response shape`, 502);
+        }
+        return text;
+    }
+
+    /**
+     * Stream a completion, calling onDelta(text) for each token chunk; aborting signal
+     * cancels the upstream request
+     */
+    async stream(prompt, options, onDelta, signal) {
+        const response = await this.request(prompt, { ...options, stream: true }, signal);
+
+        await readSSE(response, (data) => {
+            const delta = this.parseStreamEvent(data);
+            if (delta) onDelta(delta);
+        });
+    }
+}
+
+class AnthropicClient extends VendorClient {
+    static label = 'Anthropic';
+    static defaultEndpoint = 'https://api.anthropic.com/v1/messages';
+    static defaultModel = 'claude-3-sonnet-20241022';
+
+    buildRequest({ system, messages }, { maxTokens, temperature, stream = false }) {
+        return {
+            url: this.endpoint,
+            init: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': this.apiKey,
+                    'anthropic-version': '2023-06-01'
+                },
+                body: JSON.stringify({
+                    model: this.model,
+                    max_tokens: maxTokens,
+                    temperature,
+                    stream,
+                    system,
+                    messages
+                })
+            }
+        };
+    }
+
+    async parseResponse(response) {
+        const data = await response.json();
+        return data.content?.[0]?.text;
+    }
+
+    parseStreamEvent(data) {
+        const event = JSON.parse(data);
+        if (event.type === 'error') {
+            throw new UpstreamError(`${this.name} stream error: ${event.error?.message || 'unknown'}`, 502);
+        }
+        return event.type === 'content_block_delta' ? event.delta?.text : null;
+    }
+}
+
+class OpenAICompatibleClient extends VendorClient {
+    static label = 'OpenAI-compatible';
+    static defaultEndpoint = 'https://api.openai.com/v1/chat/completions';
+    static defaultModel = 'gpt-4o-mini';
+
+    buildRequest({ system, messages }, { maxTokens, temperature, stream = false }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        return {
+            url: this.endpoint,
+            init: {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: this.model,
+                    max_tokens: maxTokens,
+                    temperature,
+                    stream,
+                    messages: system ? [{ role: 'system', content: system }, ...messages] : messages
+                })
+            }
+        };
+    }
+
+    async parseResponse(response) {
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content;
+    }
+
+    parseStreamEvent(data) {
+        return JSON.parse(data).choices?.[0]?.delta?.content || null;
+    }
+}
+
+export class UpstreamError extends Error {
+    constructor(message, status = 502) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.status = status;
+    }
+}
+
+const CLIENTS = {
+    anthropic: AnthropicClient,
+    openai: OpenAICompatibleClient
+};
+
+export function createVendorClient(config = {}) {
+    const Client = CLIENTS[config.provider];
+    if (!Client) {
+        throw new Error(`Unknown LLM_PROVIDER "${config.provider}" (expected one of: ${Object.keys(CLIENTS).join(', ')})`);
+    }
+    return new Client(config);
+}
@@ -0,0 +1,43 @@
+/**
+ * Per-client Rate Limiter
+ * Fixed-window request counting keyed by client IP, kept in memory
+ */
+
+export function createRateLimiter({ windowMs = 60000, max = 30 } = {}) {
+    const clients = new Map();
+
+    // Drop expired windows so the map does not grow without bound
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of clients) {
+            if (entry.resetAt <= now) {
+                clients.delete(key);
+            }
+        }
+    }, windowMs);
+    sweep.unref();
+
+    return function rateLimit(req, res, next) {
+        const key = req.ip || req.socket.remoteAddress || 'unknown';
+        const now = Date.now();
+
+        let entry = clients.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            clients.set(key, entry);
+        }
+
+        entry.count++;
+
+        res.set('X-RateLimit-Limit', String(max));
+        res.set('X-RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+        res.set('X-RateLimit-Reset', String(Math.ceil(entry.resetAt / 1000)));
+
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ error: 'Too many requests. Please slow down.' });
+        }
+
+        next();
+    };
+}
@@ -0,0 +1,166 @@
+/**
+ * V-Interview AI Backend Proxy
+ * Forwards interview prompts to the configured LLM vendor so the API key stays server-side
+ */
+
+import 'dotenv/config';
+import express from 'express';
+import cors from 'cors';
+import { createVendorClient, UpstreamError } from './providers.js';
+import { createRateLimiter } from './rateLimiter.js';
+
+const PORT = parseInt(process.env.PORT, 10) || 3001;
+const MAX_PROMPT_CHARS = 40000;
+
+// Token budget and sampling per endpoint
+const TASKS = {
+    question: { maxTokens: 512, temperature: 0.7 },
+    // JSON payloads: a question list, and a coding problem with starter code and tests
+    questions: { maxTokens: 1024, temperature: 0.7 },
+    problem: { maxTokens: 2048, temperature: 0.7 },
+    evaluate: { maxTokens: 1024, temperature: 0.3 },
+    analysis: { maxTokens: 4096, temperature: 0.3 },
+    resume: { maxTokens: 2048, temperature: 0.2 }
+};
+
+// Only self-hosted OpenAI-compatible servers (custom LLM_ENDPOINT) can run without a key
+if (!process.env.LLM_API_KEY && !(process.env.LLM_PROVIDER === 'openai' && process.env.LLM_ENDPOINT)) {
+    console.error('LLM_API_KEY is not set. Copy .env.example to .env and add your key.');
+    process.exit(1);
+}
+
+const vendor = createVendorClient({
+    provider: process.env.LLM_PROVIDER || 'anthropic',
+    apiKey: process.env.LLM_API_KEY,
+    endpoint: process.env.LLM_ENDPOINT,
+    model: process.env.LLM_MODEL
+});
+
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || 'http://localhost:3000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+const app = express();
+
+app.set('trust proxy', process.env.TRUST_PROXY === 'true');
+app.use(cors({ origin: allowedOrigins }));
+app.use(express.json({ limit: '256kb' }));
+
+app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', provider: vendor.name, model: vendor.model });
+});
+
+app.use('/api', createRateLimiter({
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60000,
+    max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 30
+}));
+
+/**
+ * Validate the { system, messages } prompt built by the client's AIService
+ */
+function validatePrompt(body) {
+    if (!body || typeof body !== 'object') {
+        return 'Request body must be a JSON object';
+    }
+
+    const { system = '', messages } = body;
+    if (typeof system !== 'string') {
+        return '"system" must be a string';
+    }
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return '"messages" must be a non-empty array';
+    }
+
+    const invalid = messages.find(m => !m || !['user', 'assistant'].includes(m.role) || typeof m.content !== 'string');
+    if (invalid) {
+        return 'Each message needs a "role" of user/assistant and string "content"';
+    }
+
+    const size = system.length + messages.reduce((total, m) => total + m.content.length, 0);
+    if (size > MAX_PROMPT_CHARS) {
+        return `Prompt exceeds ${MAX_PROMPT_CHARS} characters`;
+    }
+
+    return null;
+}
+
+Object.entries(TASKS).forEach(([task, options]) => {
+    app.post(`/api/${task}`, async (req, res) => {
+        const error = validatePrompt(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const prompt = {
+            system: req.body.system || '',
+            messages: req.body.messages
+        };
+
+        if (req.query.stream === '1') {
+            return streamCompletion(task, prompt, options, res);
+        }
+
+        try {
+            const text = await vendor.complete(prompt, options);
+            res.json({ text });
+        } catch (err) {
+            console.error(`[${task}]`, err.message);
+            const status = err instanceof UpstreamError && err.status === 429 ? 429 : 502;
+            res.status(status).json({ error: 'Upstream AI provider error' });
+        }
+    });
+});
+
+/**
+ * Relay vendor tokens to the browser as SSE: `data: {"text": "..."}` ... `data: [DONE]`
+ */
+async function streamCompletion(task, prompt, options, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    // Stop the vendor generating (and billing) tokens once the browser has gone. The request
+    // emits 'close' as soon as its body is read, so watch the response.
+    const upstream = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) upstream.abort();
+    });
+
+    try {
+        await vendor.stream(prompt, options, (delta) => {
+            res.write(`data: ${JSON.stringify({ text: delta })}\n\n`);
+        }, upstream.signal);
+        res.write('data: [DONE]\n\n');
+    } catch (err) {
+        if (!upstream.signal.aborted) {
+            console.error(`[${task}] stream`, err.message);
+            res.write(`event: error\ndata: ${JSON.stringify({ error: 'Upstream AI provider error' })}\n\n`);
+        }
+    }
+
+    res.end();
+}
+
+app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+});
+
+// Malformed or oversized JSON bodies, and anything a route throws, still get JSON back
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) {
+        console.error(err);
+    }
+    res.status(status).json({ error: err.expose ? err.message : 'Internal server error' });
+});
+
+app.listen(PORT, () => {
+    console.log(`Interview proxy listening on http://localhost:${PORT} (${vendor.name}, ${vendor.model})`);
+});
@@ -0,0 +1,83 @@
+/**
+ * Adaptive Difficulty
+ * Keeps a running ability estimate from recent evaluations and moves the
+ * question difficulty up or down one level at a time.
+ */
+
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard', 'critical'];
+
+const ESTIMATE_WINDOW = 3;
+const RAISE_AT = 7.5;
+const LOWER_AT = 4.5;
+
+// Answers needed at a level before it can change again, so one lucky answer doesn't swing it
+const MIN_ANSWERS_AT_LEVEL = 2;
+
+/**
+ * 0-10 score for one evaluation, weighted towards technical accuracy
+ */
+export function answerScore(evaluation) {
+    return (evaluation.technicalScore || 0) * 0.6
+        + (evaluation.communicationScore || 0) * 0.2
+        + (evaluation.confidenceScore || 0) * 0.2;
+}
+
+/**
+ * Recency-weighted average of the last few answers; null before the first answer
+ */
+export function estimateAbility(evaluations, window = ESTIMATE_WINDOW) {
+    const recent = evaluations.slice(-window);
+    if (!recent.length) return null;
+
+    let total = 0;
+    let weights = 0;
+    recent.forEach((evaluation, i) => {
+        const weight = i + 1;
+        total += answerScore(evaluation) * weight;
+        weights += weight;
+    });
+
+    return Math.round((total / weights) * 10) / 10;
+}
+
+/**
+ * Difficulty for the next question.
+ * history and evaluations are parallel arrays; history entries carry the difficulty they were asked at.
+ * Returns { difficulty, estimate, direction } where direction is 'up', 'down' or null.
+ */
+export function nextDifficulty(current, history = [], evaluations = []) {
+    const index = DIFFICULTY_LEVELS.indexOf(current);
+    if (index === -1) {
+        return { difficulty: current, estimate: null, direction: null };
+    }
+
+    let atLevel = 0;
+    for (let i = history.length - 1; i >= 0 && history[i].difficulty === current; i--) {
+        atLevel++;
+    }
+
+    const estimate = estimateAbility(evaluations);
+
+    if (atLevel < MIN_ANSWERS_AT_LEVEL || estimate === null) {
+        return { difficulty: current, estimate, direction: null };
+    }
+
+    if (estimate >= RAISE_AT && index < DIFFICULTY_LEVELS.length - 1) {
+        return { difficulty: DIFFICULTY_LEVELS[index + 1], estimate, direction: 'up' };
+    }
+    if (estimate <= LOWER_AT && index > 0) {
+        return { difficulty: DIFFICULTY_LEVELS[index - 1], estimate, direction: 'down' };
+    }
+
+    return { difficulty: current, estimate, direction: null };
+}
+
+/**
+ * Choose from a { basic, advanced } question bank: easy uses basic,
+ * medium mixes both, hard and critical use advanced
+ */
+export function questionsForDifficulty(bank, difficulty) {
+    if (difficulty === 'easy') return bank.basic;
+    if (difficulty === 'hard' || difficulty === 'critical') return bank.advanced;
+    return [...bank.basic, ...bank.advanced];
+}
@@ -1,46 +1,83 @@
 /**
  * AI Service for Intelligent Interview Engine
- * Integrates with Anthropic Claude API for dynamic question generation and analysis
+ * Routes prompts through a pluggable LLM provider (Anthropic, OpenAI-compatible, local HTTP)
+ * for dynamic question generation and analysis
  * 
- * IMPORTANT: You must add your own API key
- * Get one at: https://console.anthropic.com/
+ * IMPORTANT: Configure a provider and API key in Settings
+ * Without one, the service falls back to offline mock data
  */
 
+import { SettingsService } from './settings.js';
+import { createProvider } from './llmProviders.js';
+import { parseStructuredResponse, ResponseValidationError } from './responseSchemas.js';
+import { extractDocumentText, extractPdfText, extractDocxText } from './documentText.js';
+import { parseResumeText } from './resumeParser.js';
+import { pickCodingProblem, withStarterCode } from './codingProblems.js';
+import { BEHAVIORAL_COMPETENCIES, pickBehavioralQuestion } from './behavioralQuestions.js';
+import { analyzeStar, finalizeStar, starAverage, STAR_COMPONENTS } from './starAnalyzer.js';
+import { finalizeRubric, scoreRubricOffline, describeRubric } from './rubricScorer.js';
+import { evaluateOffline } from './offlineEvaluator.js';
+import { deliveryPenalty, formatDuration } from './speechAnalytics.js';
+import { questionsForDifficulty } from './adaptiveDifficulty.js';
+import { parseJobDescriptionText, SENIORITY_LEVELS } from './jobDescriptionParser.js';
+import { gapQuestions, hasGaps } from './gapAnalysis.js';
+import { DEFAULT_LANGUAGE, languageInstruction } from './interviewLanguages.js';
+
 export class AIService {
     constructor() {
-        // Instructions: Replace with your API key or use environment variable
-        this.apiKey = localStorage.getItem('anthropic_api_key') || null;
-        this.apiEndpoint = 'https://api.anthropic.com/v1/messages';
+        this.settings = new SettingsService();
+        this.provider = null;
+        this.useMockData = true;
         
-        this.useMockData = !this.apiKey;
+        // Interview language questions and feedback are written in
+        this.language = DEFAULT_LANGUAGE;
         
         // Conversation tracking
         this.conversationHistory = [];
         this.askedQuestions = new Set();
         
-        // Model configuration
-        this.model = 'claude-3-sonnet-20241022';
-        this.maxTokens = 1024;
-        this.temperature = 0.7;
+        this.configureProvider();
+        
+        window.addEventListener('settings-update', (e) => {
+            const path = e.detail?.path;
+            if (!path || path.startsWith('llm')) {
+                this.configureProvider();
+            }
+        });
     }
 
-    loadApiKey() {
+    /**
+     * (Re)build the provider from the saved `llm` settings
+     */
+    configureProvider() {
         try {
-            const savedKey = localStorage.getItem('anthropic_api_key');
-            if (savedKey && savedKey.length > 20) {
-                this.apiKey = savedKey;
-                this.useMockData = false;
-                console.log('API key loaded from storage');
-            }
+            const config = this.settings.get('llm');
+            this.provider = createProvider(config);
+            this.useMockData = !this.provider.isConfigured();
+            
+            // Model configuration
+            this.model = this.provider.model;
+            this.maxTokens = this.provider.maxTokens;
+            this.temperature = this.provider.temperature;
         } catch (error) {
-            console.error('Failed to load API key:', error);
+            console.error('Failed to configure AI provider:', error);
+            this.provider = null;
+            this.useMockData = true;
+        }
+    }
+
+    loadApiKey() {
+        this.configureProvider();
+        if (!this.useMockData) {
+            console.log(`AI provider ready: ${this.provider.name}`);
         }
     }
 
     /**
      * Generate next interview question based on context
+     * handlers.onToken(delta, textSoFar) receives the question as it streams in
      */
-    async generateNextQuestion(context) {
+    async generateNextQuestion(context, handlers = {}) {
         const {
             jobTitle,
             jobDescription,
@@ -52,11 +89,19 @@ export class AIService {
             mode = 'custom',
             resumeData = null,
             lastAnswer = null,
-            lastQuestion = null
+            lastQuestion = null,
+            competency = null,
+            topics = [],
+            roundName = null,
+            persona = null,
+            jobProfile = null
         } = context;
 
+        // A panel interviewer asks in their own style: technical, behavioral or their own bank
+        const questionMode = persona?.questionMode || mode;
+
         if (this.useMockData) {
-            return this.generateMockQuestion(jobTitle, difficulty, mode);
+            return this.generateMockQuestion(jobTitle, difficulty, questionMode, { competency, askedQuestions, topics, persona });
         }
 
         try {
@@ -68,25 +113,30 @@ export class AIService {
                 elapsedMinutes,
                 conversationHistory,
                 askedQuestions,
-                mode,
+                mode: questionMode,
                 resumeData,
                 lastAnswer,
-                lastQuestion
+                lastQuestion,
+                competency,
+                topics,
+                roundName,
+                persona,
+                jobProfile
             });
 
-            const response = await this.callClaudeAPI(prompt);
+            const response = await this.callLLM(prompt, { task: 'question', onToken: handlers.onToken });
             const question = this.sanitizeText(response);
             
             // Check for duplicate
             if (askedQuestions.includes(question) || askedQuestions.some(q => this.isSimilarQuestion(q, question))) {
                 console.log('Duplicate detected, regenerating...');
-                return this.generateNextQuestion(context);
+                return this.generateNextQuestion(context, handlers);
             }
             
             return question;
         } catch (error) {
             console.error('Question generation error:', error);
-            return this.generateMockQuestion(jobTitle, difficulty, mode);
+            return this.generateMockQuestion(jobTitle, difficulty, questionMode, { competency, askedQuestions, topics, persona });
         }
     }
 
@@ -110,12 +160,40 @@ export class AIService {
             mode,
             resumeData,
             lastAnswer,
-            lastQuestion
+            lastQuestion,
+            competency,
+            topics = [],
+            roundName = null,
+            persona = null,
+            jobProfile = null
         } = context;
 
         // Role-based system prompt engineering
         let roleContext = '';
-        if (jobTitle.toLowerCase().includes('python')) {
+        if (mode === 'intro') {
+            roleContext = `This is the introduction round. Ask a warm-up question about the candidate's background,
+what they are working on now, or why they are interested in this ${jobTitle} role. Keep it conversational.`;
+        } else if (mode === 'candidate-questions') {
+            roleContext = `This is the closing round where the candidate asks the questions. Invite them to ask about the role,
+team, engineering practices or company, e.g. "What would you like to know about the team?"`;
+        } else if (mode === 'behavioral') {
+            const target = BEHAVIORAL_COMPETENCIES[competency];
+            roleContext = `This is a behavioral interview for a ${jobTitle} role. Ask competency-based questions
+("Tell me about a time...", "Describe a situation...") that invite a story answered in STAR form
+(Situation, Task, Action, Result). Do not ask technical or hypothetical questions.${target ? `
+The competency for this question is ${target.label}: ${target.focus}.` : ''}
+Scale the difficulty through the stakes and ambiguity of the scenario, not through technical depth.`;
+        } else if (mode === 'system-design') {
+            roleContext = `This is a system design interview. The candidate sketches the architecture on a whiteboard
+(components and connections) and explains it. Ask open-ended design problems with concrete scale requirements
+(users, requests per second, data volume). Focus on:
+- Requirements clarification and capacity estimates
+- High-level components and data flow
+- Data model and storage choices
+- Scaling (caching, sharding, replication, queues)
+- Consistency, availability and failure handling
+- Trade-offs between alternatives`;
+        } else if (jobTitle.toLowerCase().includes('python')) {
             roleContext = `This is a Python Developer interview. Focus on:
 - Python language specifics (syntax, features, best practices)
 - Object-Oriented Programming in Python
@@ -167,6 +245,37 @@ export class AIService {
             roleContext = `This is a ${jobTitle} interview. Focus on industry-standard topics for this role.`;
         }
 
+        if (persona) {
+            const focus = `On this panel you focus on ${persona.focus}; the other interviewers cover the rest.`;
+            roleContext = persona.questionMode ? `${roleContext}\n${focus}` : focus;
+        }
+
+        // Rounds of an interview plan narrow the question to the round's purpose and topic list
+        let roundContext = '';
+        if (roundName) {
+            roundContext = `\nCurrent round: ${roundName}. Stay within this round's purpose; if the previous answer belonged to an earlier round, start a fresh topic.`;
+        }
+        if (topics.length) {
+            roundContext += `\nTopics to cover: ${topics.join(', ')}. Pick one the conversation has not covered yet.`;
+        }
+
+        // The pasted job description, and the requirements the candidate kept from it
+        let jobContext = '';
+        if (mode === 'custom' && jobDescription?.trim()) {
+            jobContext = `\nJob description:\n${jobDescription.trim().substring(0, 2000)}`;
+        }
+        if (jobProfile?.requirements.length) {
+            const groups = { required: 'Required skills', nice: 'Nice to have', responsibility: 'Responsibilities' };
+            const lines = Object.entries(groups)
+                .map(([kind, label]) => [label, jobProfile.requirements.filter(r => r.kind === kind).map(r => r.topic)])
+                .filter(([, topics]) => topics.length)
+                .map(([label, topics]) => `- ${label}: ${topics.join('; ')}`);
+            const seniority = SENIORITY_LEVELS[jobProfile.seniority]?.label;
+            jobContext += `\nJob requirements to assess${seniority ? ` (${seniority} role${jobProfile.yearsRequired ? `, ${jobProfile.yearsRequired}+ years` : ''})` : ''}:
+${lines.join('\n')}
+Each question should test one of these requirements, favouring required skills the conversation has not covered yet.`;
+        }
+
         const difficultyMap = {
             'easy': 'Basic concepts, definitions, fundamental understanding. Ask straightforward questions suitable for beginners.',
             'medium': 'Practical application, scenario-based questions, moderate complexity. Expect candidates to demonstrate working knowledge.',
@@ -218,14 +327,16 @@ Based on this answer, generate a follow-up question that:
                 : 'Plenty of time. Ask a comprehensive question.';
 
         return {
-            system: `You are an expert technical interviewer conducting a ${difficulty} level interview for a ${jobTitle} position. ${roleContext}`,
+            system: persona
+                ? `${persona.systemPrompt} This is a ${difficulty} level interview for a ${jobTitle} position. ${roleContext}`
+                : `You are an expert technical interviewer conducting a ${difficulty} level interview for a ${jobTitle} position. ${roleContext}`,
             messages: [{
                 role: 'user',
                 content: `Interview Context:
 - Role: ${jobTitle}
 - Difficulty: ${difficulty} - ${difficultyDesc}
 - Time remaining: ~${timeRemaining} minutes
-- ${timeGuidance}
+- ${timeGuidance}${roundContext}${jobContext}
 ${resumeContext}
 
 ${conversationContext}
@@ -247,13 +358,30 @@ Return ONLY the question text. No explanations, no prefixes, no JSON.`
 
     /**
      * Evaluate answer in real-time with structured feedback
+     * context.rubric and context.referenceAnswer come from bank questions,
+     * context.delivery from speech analytics when the answer was spoken
+     * handlers.onToken(delta, textSoFar) receives the raw JSON as it streams in
      */
-    async evaluateAnswer(question, answer, context) {
+    async evaluateAnswer(question, answer, context, handlers = {}) {
         if (this.useMockData) {
-            return this.generateMockEvaluation(question, answer);
+            return this.generateOfflineEvaluation(question, answer, context);
         }
 
         try {
+            const codeSection = context.codeSubmission
+                ? `\n\n${this.describeCodeSubmission(context.codeSubmission)}\n\nWeigh correctness (test results), code quality and complexity in the technical score.`
+                : '';
+            const diagramSection = context.diagramText
+                ? `\n\nWhiteboard diagram drawn by the candidate:\n${context.diagramText}\n\nJudge the design as a whole: are the components and connections sound, is anything missing (caching, queues, storage, load balancing), and does the explanation match the diagram?`
+                : '';
+            const starSection = context.behavioral
+                ? `\n\nThis is a behavioral question. Score how well the answer covers each STAR component (Situation, Task, Action, Result) from 0-10 and add it to the JSON as "star": {"situation": n, "task": n, "action": n, "result": n}. Use technicalScore for the substance of the example (relevance, ownership, impact). If a component is missing, set shouldFollowUp and make followUpTopic ask for it.`
+                : '';
+            const rubricSection = describeRubric(context.rubric, context.referenceAnswer);
+            const deliverySection = context.delivery
+                ? `\n\nThe answer was spoken. Delivery: ${this.describeDelivery(context.delivery)}. Take hesitant delivery (many fillers, long pauses, restarts, a rushed or very slow pace) into account in confidenceScore.`
+                : '';
+
             const prompt = {
                 system: 'You are an expert interview evaluator providing structured feedback.',
                 messages: [{
@@ -263,7 +391,7 @@ Return ONLY the question text. No explanations, no prefixes, no JSON.`
 Question: "${question}"
 Answer: "${answer}"
 Role: ${context.jobTitle}
-Difficulty: ${context.difficulty}
+Difficulty: ${context.difficulty}${context.persona ? `\nAsked by: ${context.persona.name}, ${context.persona.title} (focus: ${context.persona.focus})` : ''}${context.roundName ? `\nRound: ${context.roundName} (judge the answer by what this round is for)` : ''}${codeSection}${diagramSection}${starSection}${rubricSection}${deliverySection}
 
 Provide a structured evaluation in this exact JSON format:
 
@@ -283,18 +411,131 @@ Be critical but fair. Scores should reflect actual quality.`
                 }]
             };
 
-            const response = await this.callClaudeAPI(prompt);
-            const evaluation = JSON.parse(response);
-            
-            // Validate and normalize scores
-            evaluation.technicalScore = Math.min(10, Math.max(0, evaluation.technicalScore));
-            evaluation.communicationScore = Math.min(10, Math.max(0, evaluation.communicationScore));
-            evaluation.confidenceScore = Math.min(10, Math.max(0, evaluation.confidenceScore));
-            
-            return evaluation;
+            // Scores are coerced and clamped to 0-10 by the evaluation schema
+            const evaluation = await this.callLLMForJSON(prompt, 'evaluation', { task: 'evaluate', onToken: handlers.onToken });
+            if (context.behavioral) {
+                // The model sometimes omits STAR scores; detect them from the answer instead
+                evaluation.star = evaluation.star ? finalizeStar(evaluation.star) : analyzeStar(answer);
+            }
+            return this.applyRubric(evaluation, context.rubric, answer, evaluation.rubric);
         } catch (error) {
             console.error('Answer evaluation error:', error);
-            return this.generateMockEvaluation(question, answer);
+            return this.markFallback(this.generateOfflineEvaluation(question, answer, context), error);
+        }
+    }
+
+    /**
+     * Evaluation without the model, from the same context as evaluateAnswer
+     */
+    generateOfflineEvaluation(question, answer, context) {
+        const evaluation = context.behavioral
+            ? this.generateMockBehavioralEvaluation(answer)
+            : this.generateMockEvaluation(question, answer, context.codeSubmission, context.diagramText, {
+                rubric: context.rubric,
+                referenceAnswer: context.referenceAnswer
+            });
+
+        const penalty = deliveryPenalty(context.delivery);
+        if (penalty) {
+            evaluation.confidenceScore = Math.max(1, Math.round((evaluation.confidenceScore - penalty) * 10) / 10);
+        }
+        return this.applyRubric(evaluation, context.rubric, answer);
+    }
+
+    /**
+     * One-line delivery summary for prompts, e.g. "142 wpm, 3 fillers (um ×2, like ×1), 1 long pause, 0 restarts, 0:48"
+     * (metrics that weren't measured are left out)
+     */
+    describeDelivery(delivery) {
+        const fillers = delivery.fillers
+            ? Object.entries(delivery.fillers.counts).map(([word, count]) => `${word} ×${count}`).join(', ')
+            : '';
+        const fillerSummary = delivery.fillers
+            ? `${delivery.fillers.total} filler${delivery.fillers.total === 1 ? '' : 's'}${fillers ? ` (${fillers})` : ''}, `
+            : '';
+        const pace = delivery.wordsPerMinute !== null ? `${delivery.wordsPerMinute} wpm, ` : '';
+        const pauses = delivery.longPauses !== null ? `${delivery.longPauses} long pause${delivery.longPauses === 1 ? '' : 's'}, ` : '';
+        return `${pace}${fillerSummary}` +
+            `${pauses}${delivery.restarts} restart${delivery.restarts === 1 ? '' : 's'}, ${formatDuration(delivery.durationSeconds)}`;
+    }
+
+    /**
+     * Replace the evaluation's rubric with per-criterion results (scored by the model, or offline
+     * when it returned none) and take the technical score from them, so the same criteria give
+     * the same score from run to run
+     */
+    applyRubric(evaluation, rubric, answer, scored = null) {
+        if (!rubric?.length) {
+            delete evaluation.rubric;
+            return evaluation;
+        }
+
+        const result = scored?.length ? finalizeRubric(rubric, scored) : scoreRubricOffline(rubric, answer);
+        evaluation.rubric = result;
+        if (result.score !== null) {
+            evaluation.technicalScore = result.score;
+        }
+        return evaluation;
+    }
+
+    describeCodeSubmission({ code, testResults }) {
+        const outcome = testResults.error
+            ? `Execution error: ${testResults.error}`
+            : `Tests passed: ${testResults.passed}/${testResults.total}`;
+        const failures = testResults.results
+            .filter(result => !result.passed && !result.hidden)
+            .map(result => `- input ${JSON.stringify(result.args)}: expected ${JSON.stringify(result.expected)}, got ${result.error || result.actual}`)
+            .join('\n');
+
+        return `Candidate's code (JavaScript):
+\`\`\`js
+${code.substring(0, 6000)}
+\`\`\`
+${outcome}${failures ? `\nFailing visible tests:\n${failures}` : ''}`;
+    }
+
+    /**
+     * Pose a coding problem with a function signature and test cases
+     * Falls back to the offline problem bank
+     */
+    async generateCodingProblem(context, usedProblemIds = []) {
+        const offline = () => pickCodingProblem(context.difficulty, usedProblemIds) || pickCodingProblem(context.difficulty);
+
+        if (this.useMockData) {
+            return offline();
+        }
+
+        try {
+            const prompt = {
+                system: 'You are a technical interviewer writing JavaScript coding problems with precise, deterministic test cases.',
+                messages: [{
+                    role: 'user',
+                    content: `Write one ${context.difficulty} coding problem for a ${context.jobTitle} interview.
+${context.askedQuestions?.length ? `Do not repeat these problems: ${context.askedQuestions.join(' | ')}` : ''}
+
+Return JSON:
+{
+    "title": "short title",
+    "prompt": "problem statement including input/output format and ordering rules so answers are deterministic",
+    "functionName": "camelCaseName",
+    "signature": "function camelCaseName(arg1, arg2)",
+    "tests": [
+        {"args": [arg1, arg2], "expected": result, "hidden": false}
+    ]
+}
+
+Include 5-6 tests using only JSON values; mark at least half as hidden and cover edge cases.`
+                }]
+            };
+
+            const problem = await this.callLLMForJSON(prompt, 'codingProblem', { task: 'problem' });
+            if (!problem.tests.every(test => Array.isArray(test.args) && 'expected' in test)) {
+                throw new ResponseValidationError('every test needs an args list and an expected value', 'tests');
+            }
+            return withStarterCode({ ...problem, id: `ai_${Date.now()}`, difficulty: context.difficulty });
+        } catch (error) {
+            console.error('Coding problem generation error:', error);
+            return this.markFallback(offline(), error);
         }
     }
 
@@ -316,15 +557,25 @@ Be critical but fair. Scores should reflect actual quality.`
 - Difficulty: ${context.difficulty}
 - Mode: ${context.mode || 'custom'}
 - Duration: ${context.duration} minutes
-- Total Questions: ${conversationHistory.length}
+- Total Questions: ${conversationHistory.length}${context.jdCoverage?.length ? `
+
+Job Description Requirements (coverage by question):
+${context.jdCoverage.map(r => `- ${r.topic} (${r.kind}): ${r.covered ? `Q${r.questions.join(', Q')}${r.score !== null ? `, ${r.score}%` : ''}` : 'not covered'}`).join('\n')}
+Assess how well the candidate meets each requirement in overallFeedback, and name weak required skills in areasForImprovement.` : ''}${hasGaps(context.gapReport) ? `
+
+Resume Gaps Going In:
+- Required but missing from the resume: ${context.gapReport.missing.join(', ') || 'none'}
+- Listed without evidence: ${context.gapReport.weakEvidence.join(', ') || 'none'}${context.gapReport.experienceGap ? `
+- Experience: ${context.gapReport.experienceGap.actual} of ${context.gapReport.experienceGap.required}+ years` : ''}
+Say in overallFeedback whether the answers closed or confirmed each gap.` : ''}
 
 Full Interview Transcript with Evaluations:
 ${conversationHistory.map((qa, i) => {
     const e = evaluations[i] || {};
-    return `Q${i+1}: ${qa.question}
-A: ${qa.answer}
-Scores: Technical ${eval.technicalScore}/10, Communication ${eval.communicationScore}/10, Confidence ${eval.confidenceScore}/10
-Feedback: ${eval.feedback || 'N/A'}`;
+    return `Q${i+1}${qa.roundName ? ` [${qa.roundName}]` : ''}${qa.persona ? ` (asked by ${qa.persona.name}, ${qa.persona.title})` : ''}: ${qa.question}
+A: ${qa.answer}${qa.difficulty ? `\nDifficulty: ${qa.difficulty}` : ''}${qa.testResults ? `\nCode: ${qa.testResults.passed}/${qa.testResults.total} tests passed${qa.testResults.error ? ` (${qa.testResults.error})` : ''}` : ''}${qa.diagramText ? `\nDiagram:\n${qa.diagramText}` : ''}${qa.star ? `\nSTAR: ${STAR_COMPONENTS.map(c => `${c.label} ${qa.star[c.key]}/10`).join(', ')}` : ''}${qa.rubric ? `\nRubric: ${qa.rubric.criteria.map(item => `${item.criterion} ${item.met === null ? 'not assessed' : item.met ? 'met' : 'missed'}`).join('; ')}` : ''}${qa.delivery ? `\nDelivery: ${this.describeDelivery(qa.delivery)}` : ''}
+Scores: Technical ${e.technicalScore}/10, Communication ${e.communicationScore}/10, Confidence ${e.confidenceScore}/10
+Feedback: ${e.feedback || 'N/A'}`;
 }).join('\n\n')}
 
 Provide comprehensive analysis in this JSON format:
@@ -358,33 +609,26 @@ Provide comprehensive analysis in this JSON format:
                 }]
             };
 
-            const response = await this.callClaudeAPI(prompt);
-            return JSON.parse(response);
+            return await this.callLLMForJSON(prompt, 'analysis', { task: 'analysis' });
         } catch (error) {
             console.error('Analysis generation error:', error);
-            return this.generateMockAnalysis(conversationHistory, evaluations, context);
+            return this.markFallback(this.generateMockAnalysis(conversationHistory, evaluations, context), error);
         }
     }
 
     /**
      * Process resume for resume-based interview mode
+     * Without a configured LLM (or if the LLM fails) the offline heuristic parser is used.
+     * Throws when the file's text can't be read; nothing is known about the candidate then.
      */
     async processResume(file) {
+        const resumeText = await this.extractResumeText(file);
+
         if (this.useMockData) {
-            return this.generateMockResumeData();
+            return { ...parseResumeText(resumeText), parsedOffline: true };
         }
 
         try {
-            let resumeText = '';
-            
-            if (file.type === 'application/pdf') {
-                resumeText = await this.extractPDFText(file);
-            } else if (file.type.includes('word')) {
-                resumeText = await this.extractDocxText(file);
-            } else {
-                resumeText = await file.text();
-            }
-
             const prompt = {
                 system: 'You are a resume parser and job market expert.',
                 messages: [{
@@ -415,20 +659,59 @@ Return JSON:
                 }]
             };
 
-            const response = await this.callClaudeAPI(prompt);
-            return JSON.parse(response);
+            return await this.callLLMForJSON(prompt, 'resume', { task: 'resume' });
         } catch (error) {
             console.error('Resume processing error:', error);
-            return this.generateMockResumeData();
+            return this.markFallback({ ...parseResumeText(resumeText), parsedOffline: true }, error);
+        }
+    }
+
+    /**
+     * Parse a pasted job description into required skills, nice-to-haves, seniority and responsibilities
+     * Without a configured LLM (or if the LLM fails) the offline heuristic parser is used
+     */
+    async parseJobDescription(text, jobTitle = '') {
+        if (this.useMockData) {
+            return { ...parseJobDescriptionText(text, jobTitle), parsedOffline: true };
+        }
+
+        try {
+            const prompt = {
+                system: 'You are a technical recruiter who turns job descriptions into interview checklists.',
+                messages: [{
+                    role: 'user',
+                    content: `Extract the requirements from this job description${jobTitle ? ` for a ${jobTitle} role` : ''}:
+
+${text.substring(0, 8000)}
+
+Return JSON:
+{
+    "requiredSkills": ["short skill or technology name", ...],
+    "niceToHave": ["skill listed as preferred, a plus or bonus", ...],
+    "seniority": "junior/mid/senior/lead",
+    "yearsRequired": 0,
+    "responsibilities": ["one-line responsibility", ...]
+}
+
+Keep skill names short (e.g. "React", "PostgreSQL", "System Design"). List at most 12 skills per group and 8 responsibilities. Use 0 for yearsRequired when none is stated.`
+                }]
+            };
+
+            const parsed = await this.callLLMForJSON(prompt, 'jobDescription', { task: 'resume' });
+            return { ...parsed, yearsRequired: parsed.yearsRequired || null };
+        } catch (error) {
+            console.error('Job description parsing error:', error);
+            return this.markFallback({ ...parseJobDescriptionText(text, jobTitle), parsedOffline: true }, error);
         }
     }
 
     /**
      * Generate questions based on resume data
+     * A gap report against a target job description makes the questions probe the gaps first
      */
-    async generateResumeQuestions(resumeData, focusArea, duration, count = 1, existingQuestions = []) {
+    async generateResumeQuestions(resumeData, focusArea, duration, count = 1, existingQuestions = [], gapReport = null) {
         if (this.useMockData) {
-            return this.generateMockResumeQuestions(resumeData, focusArea);
+            return this.generateMockResumeQuestions(resumeData, focusArea, existingQuestions, gapReport);
         }
 
         try {
@@ -444,11 +727,22 @@ Resume Summary:
 - Level: ${resumeData.experienceLevel || 'mid'}
 ${focusArea ? `- Focus Area: ${focusArea}` : ''}`;
 
+            const gapContext = hasGaps(gapReport) ? `
+
+Gaps against the target job description:
+- Required but missing: ${gapReport.missing.join(', ') || 'none'}
+- Listed but not evidenced by any project or role: ${gapReport.weakEvidence.join(', ') || 'none'}${gapReport.experienceGap ? `
+- Experience: role asks for ${gapReport.experienceGap.required}+ years, resume shows about ${gapReport.experienceGap.actual}` : ''}${gapReport.seniorityGap ? `
+- Seniority: ${gapReport.seniorityGap.required} role, resume reads as ${gapReport.seniorityGap.actual}` : ''}
+Deliberately probe these gaps: ask for concrete evidence of weak skills, how the candidate would cover missing ones,
+and whether their experience matches the level. Probe gaps not already covered by the previous questions first.${existingQuestions.length ? `
+Previous questions: ${existingQuestions.slice(-5).join('; ')}` : ''}` : '';
+
             const prompt = {
                 system: 'You are an expert interviewer creating personalized questions based on a candidate\'s resume.',
                 messages: [{
                     role: 'user',
-                    content: `${context}
+                    content: `${context}${gapContext}
 
 Generate ${count} interview question(s) that:
 1. Reference SPECIFIC projects, skills, or experiences from the resume
@@ -465,141 +759,361 @@ Return as JSON array:
                 }]
             };
 
-            const response = await this.callClaudeAPI(prompt);
-            const questions = JSON.parse(response);
+            const questions = await this.callLLMForJSON(prompt, 'resumeQuestions', { task: 'questions' });
             
             // Filter out duplicates
             return questions.filter(q => !existingQuestions.includes(q));
         } catch (error) {
             console.error('Resume question generation error:', error);
-            return this.generateMockResumeQuestions(resumeData, focusArea);
+            return this.generateMockResumeQuestions(resumeData, focusArea, existingQuestions, gapReport);
+        }
+    }
+
+    /**
+     * Send a prompt through the configured provider and return the completion text
+     * options.task (question/questions/problem/evaluate/analysis/resume) selects the backend
+     * proxy route and its token budget;
+     * options.onToken switches to a streaming request
+     */
+    async callLLM(prompt, options = {}) {
+        if (!this.provider || !this.provider.isConfigured()) {
+            throw new Error('No AI provider configured');
+        }
+
+        const localized = this.withLanguage(prompt, options.task);
+        if (options.onToken) {
+            return this.provider.stream(localized, options);
         }
+        return this.provider.complete(localized, options);
     }
 
     /**
-     * Claude API call wrapper
+     * Ask for questions, feedback and analysis in the interview language; resume and job
+     * description parsing (the 'resume' task) keep the document's own wording
      */
-    async callClaudeAPI(prompt) {
-        if (!this.apiKey) {
-            throw new Error('No API key configured');
-        }
-
-        const response = await fetch(this.apiEndpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': this.apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: this.model,
-                max_tokens: this.maxTokens,
-                temperature: this.temperature,
+    withLanguage(prompt, task) {
+        const instruction = languageInstruction(this.language);
+        if (!instruction || task === 'resume') return prompt;
+        
+        const { system = '', messages = [] } = typeof prompt === 'string'
+            ? { messages: [{ role: 'user', content: prompt }] }
+            : prompt;
+        return { system: `${system}\n\n${instruction}`.trim(), messages };
+    }
+
+    /**
+     * Call the provider and parse the reply against a declared response schema.
+     * A reply that fails validation gets one repair re-prompt naming the failing field.
+     */
+    async callLLMForJSON(prompt, schemaName, options = {}) {
+        const response = await this.callLLM(prompt, options);
+
+        try {
+            return parseStructuredResponse(response, schemaName);
+        } catch (error) {
+            if (!(error instanceof ResponseValidationError)) throw error;
+
+            console.warn(`Invalid ${schemaName} response (${error.message}), requesting repair...`);
+
+            const repairPrompt = {
                 system: prompt.system || '',
-                messages: prompt.messages || [{
-                    role: 'user',
-                    content: prompt
-                }]
-            })
-        });
+                messages: [
+                    ...(prompt.messages || []),
+                    { role: 'assistant', content: String(response).substring(0, 8000) || '(empty)' },
+                    {
+                        role: 'user',
+                        content: `Your previous reply could not be used: ${error.message}. Reply again with ONLY the corrected JSON in the exact format requested. No code fences, no commentary.`
+                    }
+                ]
+            };
 
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`API call failed: ${response.status} - ${error}`);
+            // The repair reply is not streamed: partial output was already shown
+            const repaired = await this.callLLM(repairPrompt, { ...options, onToken: null });
+            return parseStructuredResponse(repaired, schemaName);
         }
+    }
 
-        const data = await response.json();
-        return data.content[0].text;
+    /**
+     * Tag offline stand-in data with the reason the real response was unusable,
+     * so the UI can say so instead of presenting it as a genuine result
+     */
+    markFallback(data, error) {
+        return {
+            ...data,
+            isFallback: true,
+            fallbackReason: error instanceof ResponseValidationError
+                ? `AI response invalid at "${error.field || 'response'}": ${error.reason}`
+                : error.message
+        };
     }
 
     /**
-     * Mock evaluation generator
+     * Offline evaluation: concept coverage against the question's reference
+     * ({ rubric, referenceAnswer } from a bank question), or its own key terms
      */
-    generateMockEvaluation(question, answer) {
-        const wordCount = answer.split(' ').length;
-        const hasTechnical = answer.toLowerCase().includes('api') || 
-                            answer.toLowerCase().includes('database') ||
-                            answer.toLowerCase().includes('function') ||
-                            answer.toLowerCase().includes('class');
-        
-        const technicalScore = Math.min(10, Math.max(3, hasTechnical ? 7 : 4 + (wordCount / 50)));
-        const communicationScore = Math.min(10, Math.max(3, wordCount > 30 ? 7 : 4));
-        const confidenceScore = Math.min(10, Math.max(3, 5 + (wordCount / 40)));
-        
+    generateMockEvaluation(question, answer, codeSubmission = null, diagramText = null, reference = {}) {
+        if (codeSubmission) {
+            return this.generateMockCodeEvaluation(answer, codeSubmission);
+        }
+        if (diagramText) {
+            return this.generateMockDesignEvaluation(answer, diagramText);
+        }
+
+        return evaluateOffline(question, answer, {
+            concepts: (reference.rubric || []).filter(item => item.kind === 'concept').map(item => item.criterion),
+            referenceAnswer: reference.referenceAnswer || ''
+        }, this.language);
+    }
+
+    generateMockCodeEvaluation(explanation, { code, testResults }) {
+        const passRate = testResults.total ? testResults.passed / testResults.total : 0;
+        const explained = explanation.split(/\s+/).filter(Boolean).length >= 15;
+        const mentionsComplexity = /O\([^)]*\)|complexity|linear|logarithmic|quadratic/i.test(`${explanation}\n${code}`);
+
+        const technicalScore = Math.round((2 + passRate * 7 + (mentionsComplexity ? 1 : 0)) * 10) / 10;
+        const communicationScore = explained ? 7 : 4;
+        const confidenceScore = Math.round((4 + passRate * 4 + (explained ? 1 : 0)) * 10) / 10;
+
+        return {
+            strengths: passRate === 1
+                ? 'All tests pass, including the hidden edge cases.'
+                : passRate > 0 ? `Solution passes ${testResults.passed} of ${testResults.total} tests.` : 'Attempted an implementation.',
+            weaknesses: testResults.error
+                ? `The code did not run cleanly: ${testResults.error}`
+                : passRate < 1 ? 'Some test cases fail; check edge cases such as empty input and duplicates.' : (mentionsComplexity ? 'Minor: consider discussing alternative approaches.' : 'Time and space complexity were not discussed.'),
+            technicalScore: Math.min(10, technicalScore),
+            communicationScore,
+            confidenceScore: Math.min(10, confidenceScore),
+            feedback: explained
+                ? 'Walk through your approach before coding and state the complexity explicitly.'
+                : 'Explain your approach and its time/space complexity alongside the code.',
+            shouldFollowUp: passRate === 1 && !mentionsComplexity,
+            followUpTopic: passRate === 1 && !mentionsComplexity ? 'time and space complexity' : '',
+            keyConcepts: ['correctness', 'edge cases', 'complexity']
+        };
+    }
+
+    generateMockBehavioralEvaluation(answer) {
+        const star = analyzeStar(answer);
+        const covered = STAR_COMPONENTS.filter(c => !star.missing.includes(c.key));
+        const missing = STAR_COMPONENTS.filter(c => star.missing.includes(c.key));
+        const wordCount = answer.split(/\s+/).filter(Boolean).length;
+        const average = starAverage(star);
+
+        return {
+            strengths: covered.length
+                ? `Your story covers ${covered.map(c => c.label).join(', ')}.`
+                : 'You attempted an answer to the question.',
+            weaknesses: missing.length
+                ? `Missing STAR component${missing.length === 1 ? '' : 's'}: ${missing.map(c => c.label).join(', ')}.`
+                : 'Quantify the result and say what you would repeat next time.',
+            technicalScore: Math.round(Math.min(10, 2 + average * 0.8) * 10) / 10,
+            communicationScore: Math.round(Math.min(10, 3 + covered.length + (wordCount > 80 ? 2 : wordCount > 40 ? 1 : 0)) * 10) / 10,
+            confidenceScore: Math.round(Math.min(10, 4 + star.action * 0.5) * 10) / 10,
+            feedback: missing.length ? missing[0].hint : 'Well structured. Keep answers to about two minutes.',
+            shouldFollowUp: missing.length > 0 && wordCount > 10,
+            followUpTopic: missing.length ? `the ${missing[0].label.toLowerCase()} of that story` : '',
+            keyConcepts: covered.map(c => c.label),
+            star
+        };
+    }
+
+    generateMockDesignEvaluation(answer, diagramText) {
+        const componentCount = (diagramText.split('Connections:')[0].match(/^- /gm) || []).length;
+        const connectionCount = ((diagramText.split('Connections:')[1] || '').split('Notes:')[0].match(/^- /gm) || []).length;
+        const text = `${answer}\n${diagramText}`.toLowerCase();
+        const concepts = ['cache', 'queue', 'load balancer', 'database', 'replica', 'shard', 'cdn', 'rate limit']
+            .filter(concept => text.includes(concept));
+        const missing = ['cache', 'load balancer', 'queue'].filter(concept => !concepts.includes(concept));
+        const wordCount = answer.split(/\s+/).filter(Boolean).length;
+
+        const technicalScore = Math.min(10, 3 + Math.min(componentCount, 6) * 0.5 + Math.min(connectionCount, 6) * 0.3 + concepts.length * 0.4);
+        const communicationScore = Math.min(10, Math.max(3, wordCount > 60 ? 7 : wordCount > 20 ? 5.5 : 4));
+
         return {
-            strengths: wordCount > 50 
-                ? 'Good length and coverage of the topic.' 
-                : 'Attempted to address the question.',
-            weaknesses: wordCount < 30 
-                ? 'Answer is too brief. Need more detail and examples.' 
-                : 'Could include more specific technical examples.',
+            strengths: componentCount >= 3
+                ? `Diagram covers ${componentCount} components with ${connectionCount} connection${connectionCount === 1 ? '' : 's'}${concepts.length ? `, including ${concepts.join(', ')}` : ''}.`
+                : 'Started outlining the architecture.',
+            weaknesses: missing.length
+                ? `Design does not address: ${missing.join(', ')}.`
+                : 'Discuss failure modes and consistency trade-offs in more depth.',
             technicalScore: Math.round(technicalScore * 10) / 10,
-            communicationScore: Math.round(communicationScore * 10) / 10,
-            confidenceScore: Math.round(confidenceScore * 10) / 10,
-            feedback: wordCount < 30 
-                ? 'Elaborate more with specific examples.' 
-                : 'Good answer. Consider adding real-world scenarios.',
-            shouldFollowUp: wordCount < 30 || technicalScore < 5,
-            followUpTopic: wordCount < 30 ? 'clarification' : 'deeper technical details',
-            keyConcepts: hasTechnical ? ['technical concepts'] : ['basic concepts']
+            communicationScore,
+            confidenceScore: Math.round(Math.min(10, 4 + componentCount * 0.5) * 10) / 10,
+            feedback: connectionCount === 0
+                ? 'Connect your components to show how requests and data flow through the system.'
+                : 'Walk through one request end to end and explain how the design scales.',
+            shouldFollowUp: missing.length > 0,
+            followUpTopic: missing.length ? `where a ${missing[0]} would fit in the design` : '',
+            keyConcepts: concepts.length ? concepts : ['components', 'data flow']
         };
     }
 
-    generateMockQuestion(jobTitle, difficulty, mode) {
+    generateMockQuestion(jobTitle, difficulty, mode, options = {}) {
         const roleLower = jobTitle.toLowerCase();
         
-        if (roleLower.includes('python')) {
-            const questions = [
-                "Explain the difference between a list and a tuple in Python. When would you use each?",
-                "How does Python's garbage collection work? What are the different memory management strategies?",
-                "Describe the Global Interpreter Lock (GIL) in Python. How does it affect multithreading?",
-                "What are decorators in Python? Give an example of when you would use one.",
-                "Explain the difference between deep copy and shallow copy in Python.",
-                "How do you handle exceptions in Python? What's the difference between try/except and try/finally?",
-                "What are Python generators? How do they differ from regular functions?",
-                "Explain the use of __init__.py in Python packages.",
-                "What is the difference between @staticmethod and @classmethod?",
-                "How does Python's inheritance work? Explain method resolution order (MRO)."
-            ];
-            return questions[Math.floor(Math.random() * questions.length)];
-        } 
-        else if (roleLower.includes('web')) {
+        if (mode === 'behavioral') {
+            const question = pickBehavioralQuestion(options.competency, options.askedQuestions)
+                || Object.keys(BEHAVIORAL_COMPETENCIES)
+                    .map(id => pickBehavioralQuestion(id, options.askedQuestions))
+                    .find(Boolean);
+            if (question) return question;
+        }
+        
+        if (options.persona?.questions) {
+            const questions = options.persona.questions(jobTitle);
+            const unasked = questions.filter(q => !options.askedQuestions?.includes(q.substring(0, 100)));
+            const pool = unasked.length ? unasked : questions;
+            return pool[Math.floor(Math.random() * pool.length)];
+        }
+        
+        if (mode === 'intro') {
             const questions = [
-                "Explain the CSS box model. How does it affect layout?",
-                "What's the difference between display: none and visibility: hidden?",
-                "How does the event loop work in JavaScript? Explain microtasks vs macrotasks.",
-                "Describe the difference between localStorage, sessionStorage, and cookies.",
-                "What are closures in JavaScript? Give a practical example.",
-                "Explain the concept of responsive design. How do media queries work?",
-                "What's the difference between position: relative, absolute, and fixed?",
-                "How do you optimize website performance? List key techniques.",
-                "Explain CSS specificity. How do you calculate it?",
-                "What are Web Components? How do they differ from framework components?"
+                `Tell me a little about yourself and what brings you to this ${jobTitle} role.`,
+                "Walk me through your background and what you are working on at the moment.",
+                `What drew you to ${jobTitle} work in the first place?`,
+                "What are you looking for in your next role?"
             ];
             return questions[Math.floor(Math.random() * questions.length)];
         }
-        else {
+        
+        if (mode === 'candidate-questions') {
             const questions = [
-                `What interests you most about ${jobTitle}?`,
-                `Describe your experience with technologies relevant to ${jobTitle}.`,
-                `What challenges have you faced in ${jobTitle} roles and how did you overcome them?`
+                "That's all from my side. What questions do you have for me about the role or the team?",
+                "What would you like to know about how the team works day to day?",
+                "Is there anything about the company, the team or this position you'd like me to clarify?"
             ];
             return questions[Math.floor(Math.random() * questions.length)];
         }
+        
+        // Offline stand-in for a topic list: ask about a topic not yet covered
+        const topic = options.topics?.find(t => !options.askedQuestions?.some(q => q.toLowerCase().includes(t.toLowerCase())));
+        if (topic && mode === 'custom') {
+            const templates = difficulty === 'easy'
+                ? [`What is ${topic} and when would you use it?`, `Can you explain ${topic} with a simple example?`]
+                : [`How does ${topic} work under the hood, and what trade-offs does it involve?`, `Describe a real problem you solved using ${topic}. What went wrong along the way?`];
+            return templates[Math.floor(Math.random() * templates.length)];
+        }
+        
+        // Banks are split into basic and advanced tiers so the offline questions follow the difficulty
+        let bank;
+        if (mode === 'system-design') {
+            bank = {
+                basic: [
+                    "Design a URL shortener like bit.ly that handles 100 million new links per month.",
+                    "Design a rate limiter that can be shared by a fleet of API servers.",
+                    "Design a notification service that sends email, SMS and push notifications at scale.",
+                    "Design a file storage and sync service like Dropbox.",
+                    "Design a news feed for a social network with 50 million daily active users."
+                ],
+                advanced: [
+                    "Design a real-time chat system supporting one-to-one and group conversations for 10 million daily users.",
+                    "Design a video streaming platform's upload and playback pipeline.",
+                    "Design a ride-sharing backend that matches riders with nearby drivers in real time.",
+                    "Design a distributed job scheduler that runs millions of delayed and recurring tasks.",
+                    "Design an e-commerce checkout system that never double-charges a customer."
+                ]
+            };
+        } else if (roleLower.includes('python')) {
+            bank = {
+                basic: [
+                    "Explain the difference between a list and a tuple in Python. When would you use each?",
+                    "What are decorators in Python? Give an example of when you would use one.",
+                    "Explain the difference between deep copy and shallow copy in Python.",
+                    "How do you handle exceptions in Python? What's the difference between try/except and try/finally?",
+                    "Explain the use of __init__.py in Python packages.",
+                    "What is the difference between @staticmethod and @classmethod?"
+                ],
+                advanced: [
+                    "How does Python's garbage collection work? What are the different memory management strategies?",
+                    "Describe the Global Interpreter Lock (GIL) in Python. How does it affect multithreading?",
+                    "What are Python generators? How do they differ from regular functions?",
+                    "How does Python's inheritance work? Explain method resolution order (MRO).",
+                    "How does asyncio's event loop schedule coroutines, and when would you reach for multiprocessing instead?",
+                    "What are descriptors in Python and how do properties use them under the hood?"
+                ]
+            };
+        } else if (roleLower.includes('web')) {
+            bank = {
+                basic: [
+                    "Explain the CSS box model. How does it affect layout?",
+                    "What's the difference between display: none and visibility: hidden?",
+                    "Describe the difference between localStorage, sessionStorage, and cookies.",
+                    "Explain the concept of responsive design. How do media queries work?",
+                    "What's the difference between position: relative, absolute, and fixed?",
+                    "Explain CSS specificity. How do you calculate it?"
+                ],
+                advanced: [
+                    "How does the event loop work in JavaScript? Explain microtasks vs macrotasks.",
+                    "What are closures in JavaScript? Give a practical example.",
+                    "How do you optimize website performance? List key techniques.",
+                    "What are Web Components? How do they differ from framework components?",
+                    "How would you track down and fix a memory leak in a long-running single-page app?",
+                    "Walk through what happens between typing a URL and the first paint, and where you would optimize."
+                ]
+            };
+        } else {
+            bank = {
+                basic: [
+                    `What interests you most about ${jobTitle}?`,
+                    `Describe your experience with technologies relevant to ${jobTitle}.`,
+                    `What challenges have you faced in ${jobTitle} roles and how did you overcome them?`
+                ],
+                advanced: [
+                    `Walk me through the most complex problem you have solved as a ${jobTitle}. What trade-offs did you make?`,
+                    `How would you design the architecture of a new product in the ${jobTitle} space from scratch?`,
+                    `What is a widely held best practice in ${jobTitle} work that you disagree with, and why?`
+                ]
+            };
+        }
+        
+        const questions = questionsForDifficulty(bank, difficulty);
+        return questions[Math.floor(Math.random() * questions.length)];
     }
 
-    generateMockResumeQuestions(resumeData, focusArea) {
-        const baseQuestions = [
-            `I see you worked with ${resumeData.skills?.[0] || 'React'} on ${resumeData.projects?.[0]?.name || 'a recent project'}. Can you walk me through your implementation and any challenges you faced?`,
-            `Your resume mentions ${resumeData.experience?.[0]?.role || 'a role'} at ${resumeData.experience?.[0]?.company || 'a company'}. What was your biggest achievement there?`,
-            `You list ${resumeData.skills?.[1] || 'TypeScript'} among your skills. How have you applied it in production?`
-        ];
-        
+    /**
+     * Build questions from parsed resume details, skipping ones already asked
+     * (existingQuestions holds the first 100 characters of each asked question)
+     */
+    generateMockResumeQuestions(resumeData, focusArea, existingQuestions = [], gapReport = null) {
+        const skills = resumeData.skills || [];
+        const projects = resumeData.projects || [];
+        const experience = resumeData.experience || [];
+        const questions = [...gapQuestions(gapReport)];
+
         if (focusArea) {
-            baseQuestions.unshift(`Regarding ${focusArea}, can you elaborate on your experience from your resume?`);
+            questions.push(`Regarding ${focusArea}, can you elaborate on your experience from your resume?`);
         }
-        
-        return baseQuestions;
+
+        projects.forEach(project => {
+            const tech = project.technologies?.[0];
+            questions.push(tech
+                ? `I see you used ${tech} on ${project.name}. Can you walk me through your implementation and any challenges you faced?`
+                : `Tell me about ${project.name}. What problem did it solve and what was your part in it?`);
+            questions.push(`If you rebuilt ${project.name} today, what would you design differently and why?`);
+        });
+
+        experience.forEach(job => {
+            questions.push(`Your resume mentions ${job.role} at ${job.company}. What was your biggest achievement there?`);
+            (job.highlights || []).slice(0, 2).forEach(highlight => {
+                questions.push(`You wrote: "${highlight.replace(/[.;]$/, '')}". How did you approach that, and how did you measure the result?`);
+            });
+        });
+
+        skills.slice(0, 6).forEach(skill => {
+            questions.push(`You list ${skill} among your skills. How have you applied it in production?`);
+            questions.push(`What is a common pitfall with ${skill}, and how have you avoided it?`);
+        });
+
+        if (!questions.length) {
+            questions.push(
+                'Walk me through the project on your resume you are most proud of.',
+                'Which technology on your resume do you know most deeply, and how did you learn it?'
+            );
+        }
+
+        const asked = existingQuestions.map(question => question.substring(0, 100));
+        return questions.filter(question => !asked.includes(question.substring(0, 100)));
     }
 
     generateMockAnalysis(conversationHistory, evaluations, context) {
@@ -623,7 +1137,9 @@ Return as JSON array:
                 communicationScore: evaluations[i]?.communicationScore || 7,
                 confidenceScore: evaluations[i]?.confidenceScore || 7
             })),
-            overallFeedback: `You demonstrated ${avgScore > 70 ? 'strong' : avgScore > 50 ? 'moderate' : 'developing'} understanding of ${context.jobTitle} concepts.`,
+            overallFeedback: `You demonstrated ${avgScore > 70 ? 'strong' : avgScore > 50 ? 'moderate' : 'developing'} understanding of ${context.jobTitle} concepts.${context.jdCoverage?.length
+                ? ` The interview covered ${context.jdCoverage.filter(r => r.covered).length} of ${context.jdCoverage.length} job description requirements.`
+                : ''}`,
             strengths: ['Communicates clearly', 'Shows technical awareness', 'Structured responses'],
             areasForImprovement: ['Add more specific examples', 'Deepen technical explanations', 'Practice more complex scenarios'],
             keyConcepts: ['Core technologies', 'Best practices', 'Problem-solving'],
@@ -632,38 +1148,27 @@ Return as JSON array:
         };
     }
 
-    generateMockResumeData() {
-        return {
-            skills: ['JavaScript', 'React', 'Node.js', 'Python', 'SQL'],
-            technologies: ['React', 'Express', 'PostgreSQL', 'Docker'],
-            projects: [
-                { name: 'E-commerce Platform', description: 'Full-stack e-commerce site', technologies: ['React', 'Node.js'], role: 'Lead Developer' }
-            ],
-            experience: [
-                { role: 'Developer', company: 'Tech Corp', duration: '2 years', highlights: ['Built features', 'Improved performance'] }
-            ],
-            education: [{ degree: 'B.S. Computer Science', institution: 'University', year: '2020' }],
-            experienceLevel: 'mid',
-            suggestedJobTitles: ['Full Stack Developer', 'Frontend Developer'],
-            keyStrengths: ['React', 'Problem-solving'],
-            yearsOfExperience: 3,
-            summary: 'Experienced developer'
-        };
+    /**
+     * Extract resume text from PDF, DOCX, plain text or Markdown
+     */
+    async extractResumeText(file) {
+        return extractDocumentText(file);
     }
 
     async extractPDFText(file) {
-        return "PDF text extraction would happen here. In production, include PDF.js library.";
+        return extractPdfText(file);
     }
 
     async extractDocxText(file) {
-        return "DOCX text extraction would happen here. In production, include mammoth.js library.";
+        return extractDocxText(file);
     }
 
     sanitizeText(text) {
         if (!text) return '';
         return String(text)
             .replace(/<[^>]*>/g, '')
-            .replace(/[^\x20-\x7E\n\r\t]/g, '')
+            // Control and format characters only; questions may be in any script
+            .replace(/(?![\n\t])[\p{Cc}\p{Cf}]/gu, '')
             .trim();
     }
 }
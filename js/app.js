@@ -76,6 +76,7 @@ class App {
         if (exitBtn) {
             exitBtn.addEventListener('click', () => {
                 if (confirm('Are you sure you want to exit? Your progress will be lost.')) {
+                    this.storage.clearActiveSession();
                     window.location.href = 'index.html';
                 }
             });
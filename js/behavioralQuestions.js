@@ -0,0 +1,82 @@
+/**
+ * Behavioral Question Bank
+ * Competency-based "tell me about a time" questions for behavioral mode.
+ * Competencies are rotated so a session covers each one before repeating.
+ */
+
+export const BEHAVIORAL_COMPETENCIES = {
+    leadership: {
+        label: 'Leadership',
+        focus: 'influencing others, setting direction and developing people without relying on authority',
+        questions: [
+            "Tell me about a time you led a team through a difficult deadline.",
+            "Describe a situation where you had to influence people who did not report to you.",
+            "Tell me about a time you mentored someone and how it changed their work.",
+            "Give an example of a time you set the direction for a project when nobody else would.",
+            "Tell me about a decision you made that was unpopular with your team. How did you handle it?",
+            "Describe a time you had to motivate a team that had lost momentum."
+        ]
+    },
+    conflict: {
+        label: 'Conflict',
+        focus: 'handling disagreement with colleagues, managers or stakeholders constructively',
+        questions: [
+            "Tell me about a time you disagreed with your manager. What did you do?",
+            "Describe a conflict between two teammates that you helped resolve.",
+            "Tell me about a time you received critical feedback you did not agree with.",
+            "Give an example of a time you had to push back on a stakeholder's request.",
+            "Describe a situation where you worked with someone whose style was very different from yours.",
+            "Tell me about a time a code review or design discussion became heated. How did you respond?"
+        ]
+    },
+    failure: {
+        label: 'Failure',
+        focus: 'owning mistakes, recovering from setbacks and what the candidate learned',
+        questions: [
+            "Tell me about a time you failed. What happened and what did you learn?",
+            "Describe a project that did not go as planned. What would you do differently?",
+            "Tell me about a mistake you made that affected other people.",
+            "Give an example of a time you missed a deadline. How did you handle it?",
+            "Describe a time you took a risk that did not pay off.",
+            "Tell me about a time you shipped something that caused a problem in production."
+        ]
+    },
+    ownership: {
+        label: 'Ownership',
+        focus: 'taking responsibility beyond the job description and seeing work through to the end',
+        questions: [
+            "Tell me about a time you took ownership of a problem that was not assigned to you.",
+            "Describe a time you noticed a process was broken and fixed it yourself.",
+            "Give an example of a time you went beyond what was asked to deliver a result.",
+            "Tell me about a time you had to make a decision without all the information you wanted.",
+            "Describe a time you were accountable for a result you did not fully control.",
+            "Tell me about a long-running problem you finally saw through to completion."
+        ]
+    }
+};
+
+export const COMPETENCY_IDS = Object.keys(BEHAVIORAL_COMPETENCIES);
+
+/**
+ * Competency to ask about next: the selected one least covered so far in the session
+ */
+export function nextCompetency(selected = COMPETENCY_IDS, history = []) {
+    const pool = selected.length ? selected : COMPETENCY_IDS;
+    const counts = pool.map(id => history.filter(qa => qa.competency === id && !qa.followUp).length);
+    const fewest = Math.min(...counts);
+    const candidates = pool.filter((id, i) => counts[i] === fewest);
+    return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+/**
+ * Random unasked question for the competency; askedQuestions holds 100-character prefixes
+ */
+export function pickBehavioralQuestion(competency, askedQuestions = []) {
+    const entry = BEHAVIORAL_COMPETENCIES[competency];
+    if (!entry) return null;
+
+    const unasked = entry.questions.filter(question => !askedQuestions.includes(question.substring(0, 100)));
+    if (!unasked.length) return null;
+
+    return unasked[Math.floor(Math.random() * unasked.length)];
+}
@@ -0,0 +1,161 @@
+/**
+ * Sandboxed Code Runner
+ * Runs candidate JavaScript against test cases in a throwaway Web Worker, which has no DOM,
+ * loses its network and worker globals and is terminated on timeout. That keeps practice
+ * code from hanging or touching the page, but it is not a security boundary: dynamic
+ * import() still reaches the network and code can post fake results, so only run the
+ * candidate's own code.
+ */
+
+// A plain identifier; functionName is spliced into the worker's source
+export const FUNCTION_NAME_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+const WORKER_SOURCE = `
+'use strict';
+
+// Remove network, script loading and nested workers (which would get them back) before any candidate code runs
+['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches', 'Worker', 'SharedWorker'].forEach(name => {
+    try { self[name] = undefined; } catch (error) { /* not writable */ }
+});
+
+function canonical(value) {
+    if (value === undefined) return 'undefined';
+    if (Number.isNaN(value)) return 'NaN';
+    return JSON.stringify(value, (key, v) => {
+        if (v instanceof Set) return [...v];
+        if (v instanceof Map) return Object.fromEntries(v);
+        return v;
+    });
+}
+
+function preview(value) {
+    const text = canonical(value);
+    return text && text.length > 200 ? text.slice(0, 200) + '…' : text;
+}
+
+self.onmessage = (event) => {
+    const { code, functionName, tests } = event.data;
+    const logs = [];
+    const console = {
+        log: (...args) => { if (logs.length < 50) logs.push(args.map(a => typeof a === 'string' ? a : preview(a)).join(' ')); }
+    };
+    console.error = console.warn = console.info = console.log;
+
+    let fn;
+    try {
+        fn = new Function('console', code + '\\nreturn typeof ' + functionName + ' === "function" ? ' + functionName + ' : undefined;')(console);
+    } catch (error) {
+        self.postMessage({ compileError: error.name + ': ' + error.message, results: [], logs });
+        return;
+    }
+
+    if (typeof fn !== 'function') {
+        self.postMessage({ compileError: 'Function ' + functionName + ' is not defined', results: [], logs });
+        return;
+    }
+
+    const results = tests.map((test, index) => {
+        const args = JSON.parse(JSON.stringify(test.args));
+        const started = Date.now();
+        try {
+            const actual = fn(...args);
+            return {
+                index,
+                passed: canonical(actual) === canonical(test.expected),
+                actual: preview(actual),
+                time: Date.now() - started
+            };
+        } catch (error) {
+            return { index, passed: false, error: error.name + ': ' + error.message, time: Date.now() - started };
+        }
+    });
+
+    self.postMessage({ results, logs });
+};
+`;
+
+let workerUrl = null;
+
+function getWorkerUrl() {
+    if (!workerUrl) {
+        workerUrl = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+    }
+    return workerUrl;
+}
+
+/**
+ * Run code against tests; resolves (never rejects) with
+ * { passed, total, results, logs, timedOut, error }
+ * Hidden tests have their inputs and outputs stripped from the results.
+ */
+export function runCode(code, functionName, tests, options = {}) {
+    const timeout = options.timeout || 3000;
+
+    if (!FUNCTION_NAME_PATTERN.test(functionName || '')) {
+        return Promise.resolve(summarize(tests, [], [], { error: `Invalid function name: ${functionName}` }));
+    }
+
+    return new Promise((resolve) => {
+        let worker;
+        try {
+            worker = new Worker(getWorkerUrl());
+        } catch (error) {
+            resolve(summarize(tests, [], [], { error: `Code runner unavailable: ${error.message}` }));
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            worker.terminate();
+            resolve(summarize(tests, [], [], {
+                timedOut: true,
+                error: `Execution timed out after ${timeout / 1000}s (infinite loop?)`
+            }));
+        }, timeout);
+
+        worker.onmessage = (event) => {
+            clearTimeout(timer);
+            worker.terminate();
+            const { results, logs, compileError } = event.data;
+            resolve(summarize(tests, results, logs, { error: compileError || null }));
+        };
+
+        worker.onerror = (event) => {
+            event.preventDefault();
+            clearTimeout(timer);
+            worker.terminate();
+            resolve(summarize(tests, [], [], { error: event.message || 'Code failed to run' }));
+        };
+
+        worker.postMessage({
+            code,
+            functionName,
+            tests: tests.map(({ args, expected }) => ({ args, expected }))
+        });
+    });
+}
+
+function summarize(tests, results, logs, extra) {
+    const detailed = tests.map((test, index) => {
+        const result = results.find(r => r.index === index) || { passed: false };
+        return test.hidden
+            ? { hidden: true, passed: result.passed, error: result.error || null }
+            : {
+                hidden: false,
+                args: test.args,
+                expected: test.expected,
+                actual: result.actual,
+                passed: result.passed,
+                error: result.error || null
+            };
+    });
+
+    return {
+        passed: detailed.filter(r => r.passed).length,
+        total: tests.length,
+        results: detailed,
+        logs,
+        timedOut: false,
+        error: null,
+        ...extra
+    };
+}
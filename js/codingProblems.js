@@ -0,0 +1,164 @@
+/**
+ * Offline Coding Problem Bank
+ * JavaScript problems with function signatures and test cases for coding mode.
+ * Tests marked hidden are only run on submit and their inputs are never shown.
+ */
+
+export const CODING_PROBLEMS = [
+    {
+        id: 'two-sum',
+        title: 'Two Sum',
+        difficulty: 'easy',
+        prompt: 'Given an array of integers nums and a target, return the indices of the two numbers that add up to target. Each input has exactly one solution and you may not use the same element twice. Return the indices in ascending order.',
+        functionName: 'twoSum',
+        signature: 'function twoSum(nums, target)',
+        tests: [
+            { args: [[2, 7, 11, 15], 9], expected: [0, 1] },
+            { args: [[3, 2, 4], 6], expected: [1, 2] },
+            { args: [[3, 3], 6], expected: [0, 1], hidden: true },
+            { args: [[-1, -2, -3, -4, -5], -8], expected: [2, 4], hidden: true }
+        ]
+    },
+    {
+        id: 'valid-parentheses',
+        title: 'Valid Parentheses',
+        difficulty: 'easy',
+        prompt: 'Given a string containing only the characters ()[]{} determine whether it is valid: every opening bracket is closed by the same type of bracket, in the correct order.',
+        functionName: 'isValid',
+        signature: 'function isValid(s)',
+        tests: [
+            { args: ['()[]{}'], expected: true },
+            { args: ['(]'], expected: false },
+            { args: ['([{}])'], expected: true, hidden: true },
+            { args: ['(('], expected: false, hidden: true },
+            { args: [''], expected: true, hidden: true }
+        ]
+    },
+    {
+        id: 'reverse-words',
+        title: 'Reverse Words',
+        difficulty: 'easy',
+        prompt: 'Given a sentence, return the words in reverse order separated by a single space. Ignore leading, trailing and repeated spaces.',
+        functionName: 'reverseWords',
+        signature: 'function reverseWords(sentence)',
+        tests: [
+            { args: ['the sky is blue'], expected: 'blue is sky the' },
+            { args: ['  hello world  '], expected: 'world hello' },
+            { args: ['a good   example'], expected: 'example good a', hidden: true },
+            { args: ['single'], expected: 'single', hidden: true }
+        ]
+    },
+    {
+        id: 'group-anagrams',
+        title: 'Group Anagrams',
+        difficulty: 'medium',
+        prompt: 'Given an array of lowercase strings, group the anagrams together. Sort the words inside each group alphabetically, and sort the groups by their first word.',
+        functionName: 'groupAnagrams',
+        signature: 'function groupAnagrams(words)',
+        tests: [
+            { args: [['eat', 'tea', 'tan', 'ate', 'nat', 'bat']], expected: [['ate', 'eat', 'tea'], ['bat'], ['nat', 'tan']] },
+            { args: [['']], expected: [['']] },
+            { args: [['abc', 'bca', 'cab', 'xyz']], expected: [['abc', 'bca', 'cab'], ['xyz']], hidden: true },
+            { args: [[]], expected: [], hidden: true }
+        ]
+    },
+    {
+        id: 'longest-substring',
+        title: 'Longest Substring Without Repeating Characters',
+        difficulty: 'medium',
+        prompt: 'Given a string, return the length of the longest substring that contains no repeated characters.',
+        functionName: 'lengthOfLongestSubstring',
+        signature: 'function lengthOfLongestSubstring(s)',
+        tests: [
+            { args: ['abcabcbb'], expected: 3 },
+            { args: ['bbbbb'], expected: 1 },
+            { args: ['pwwkew'], expected: 3, hidden: true },
+            { args: [''], expected: 0, hidden: true },
+            { args: ['dvdf'], expected: 3, hidden: true }
+        ]
+    },
+    {
+        id: 'merge-intervals',
+        title: 'Merge Intervals',
+        difficulty: 'medium',
+        prompt: 'Given an array of [start, end] intervals, merge all overlapping intervals and return them sorted by start. Intervals that touch (end equals the next start) overlap.',
+        functionName: 'merge',
+        signature: 'function merge(intervals)',
+        tests: [
+            { args: [[[1, 3], [2, 6], [8, 10], [15, 18]]], expected: [[1, 6], [8, 10], [15, 18]] },
+            { args: [[[1, 4], [4, 5]]], expected: [[1, 5]] },
+            { args: [[[5, 7], [1, 2]]], expected: [[1, 2], [5, 7]], hidden: true },
+            { args: [[[1, 10], [2, 3], [4, 5]]], expected: [[1, 10]], hidden: true }
+        ]
+    },
+    {
+        id: 'lru-cache',
+        title: 'LRU Cache Operations',
+        difficulty: 'hard',
+        prompt: 'Implement an LRU cache of the given capacity and replay a list of operations. Each operation is ["put", key, value] or ["get", key]. Return an array with the result of every "get" (-1 when the key is missing). Both operations must be O(1) on average.',
+        functionName: 'runLRU',
+        signature: 'function runLRU(capacity, operations)',
+        tests: [
+            {
+                args: [2, [['put', 1, 1], ['put', 2, 2], ['get', 1], ['put', 3, 3], ['get', 2], ['put', 4, 4], ['get', 1], ['get', 3], ['get', 4]]],
+                expected: [1, -1, -1, 3, 4]
+            },
+            { args: [1, [['put', 1, 1], ['put', 1, 5], ['get', 1]]], expected: [5] },
+            { args: [1, [['put', 2, 1], ['get', 2], ['put', 3, 2], ['get', 2], ['get', 3]]], expected: [1, -1, 2], hidden: true },
+            { args: [2, [['get', 7]]], expected: [-1], hidden: true }
+        ]
+    },
+    {
+        id: 'course-schedule',
+        title: 'Course Schedule Order',
+        difficulty: 'hard',
+        prompt: 'There are n courses labelled 0 to n - 1 and a list of [course, prerequisite] pairs. Return an order in which all courses can be taken, choosing the smallest available course label at each step. Return an empty array if it is impossible.',
+        functionName: 'findOrder',
+        signature: 'function findOrder(n, prerequisites)',
+        tests: [
+            { args: [2, [[1, 0]]], expected: [0, 1] },
+            { args: [4, [[1, 0], [2, 0], [3, 1], [3, 2]]], expected: [0, 1, 2, 3] },
+            { args: [2, [[1, 0], [0, 1]]], expected: [], hidden: true },
+            { args: [3, []], expected: [0, 1, 2], hidden: true }
+        ]
+    }
+];
+
+const DIFFICULTY_FALLBACK = {
+    easy: ['easy', 'medium'],
+    medium: ['medium', 'easy', 'hard'],
+    hard: ['hard', 'medium'],
+    critical: ['hard', 'medium']
+};
+
+/**
+ * Pick a random problem for the difficulty, skipping ones already used this session
+ */
+export function pickCodingProblem(difficulty = 'medium', excludeIds = []) {
+    const order = DIFFICULTY_FALLBACK[difficulty] || DIFFICULTY_FALLBACK.medium;
+
+    for (const level of order) {
+        const candidates = CODING_PROBLEMS.filter(problem =>
+            problem.difficulty === level && !excludeIds.includes(problem.id)
+        );
+        if (candidates.length) {
+            return withStarterCode(candidates[Math.floor(Math.random() * candidates.length)]);
+        }
+    }
+
+    return null;
+}
+
+export function withStarterCode(problem) {
+    return {
+        ...problem,
+        starterCode: problem.starterCode || `${problem.signature} {\n    // Your code here\n}\n`
+    };
+}
+
+/**
+ * Question text shown and spoken to the candidate
+ */
+export function formatProblemQuestion(problem) {
+    return `${problem.title}: ${problem.prompt} Implement ${problem.signature}.`;
+}
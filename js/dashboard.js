@@ -5,6 +5,14 @@
 
 import { StorageService } from './storage.js';
 import { UIService } from './ui.js';
+import { escapeHtml } from './html.js';
+import { diagramToSVG } from './whiteboard.js';
+import { STAR_COMPONENTS } from './starAnalyzer.js';
+import { BEHAVIORAL_COMPETENCIES } from './behavioralQuestions.js';
+import { DIFFICULTY_LEVELS } from './adaptiveDifficulty.js';
+import { PERSONAS } from './interviewPersonas.js';
+import { gapReportToHTML } from './gapAnalysis.js';
+import { deliveryRatings, formatDuration, PACE_RANGE } from './speechAnalytics.js';
 
 class DashboardController {
     constructor() {
@@ -162,6 +170,11 @@ class DashboardController {
         if (mode === 'custom') cardClass += ' custom';
         else if (mode === 'practice') cardClass += ' practice';
         else if (mode === 'resume') cardClass += ' resume';
+        else if (mode === 'coding') cardClass += ' coding';
+        else if (mode === 'system-design') cardClass += ' design';
+        else if (mode === 'behavioral') cardClass += ' behavioral';
+        else if (mode === 'plan') cardClass += ' plan';
+        else if (mode === 'panel') cardClass += ' panel';
         
         return `
             <div class="${cardClass}" data-id="${item.id}">
@@ -172,7 +185,7 @@ class DashboardController {
                 <div class="history-card-body">
                     <div class="history-info">
                         <h4>${role}</h4>
-                        <p>${item.difficulty || 'medium'} · ${item.duration || 5} min</p>
+                        <p>${item.difficulty || 'medium'} · ${item.activeTime ? this.formatActiveTime(item.activeTime) : `${item.duration || 5} min`}</p>
                     </div>
                     <div class="history-score">${score}%</div>
                 </div>
@@ -185,11 +198,254 @@ class DashboardController {
         const modes = {
             'custom': 'Custom',
             'practice': 'Practice',
-            'resume': 'Resume'
+            'resume': 'Resume',
+            'coding': 'Coding',
+            'system-design': 'System Design',
+            'behavioral': 'Behavioral',
+            'plan': 'Interview Plan',
+            'panel': 'Panel'
         };
         return modes[mode] || mode;
     }
 
+    /**
+     * Which panel interviewer asked the question
+     */
+    renderPersonaCredit(qa) {
+        if (!qa?.persona) return '';
+        
+        const color = PERSONAS[qa.persona.id]?.color || '#6366f1';
+        return `
+            <div class="qa-persona" style="color: ${color};">
+                ${escapeHtml(qa.persona.name)} · ${escapeHtml(qa.persona.title)}${qa.followUp ? ' (follow-up)' : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Which imported question bank the question came from
+     */
+    renderBankCredit(qa) {
+        if (!qa?.bank) return '';
+        
+        return `
+            <div class="qa-bank">
+                📚 ${escapeHtml(qa.bank.bankName)}${qa.bank.topic ? ` · ${escapeHtml(qa.bank.topic)}` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Per-round scores of a multi-round interview plan
+     */
+    renderRoundScores(roundScores) {
+        const cell = value => value === null ? '—' : `${value}%`;
+        
+        return `
+            <div class="round-scores">
+                <h4>🗂️ Rounds</h4>
+                <table>
+                    <thead>
+                        <tr><th>Round</th><th>Questions</th><th>Technical</th><th>Communication</th><th>Confidence</th><th>Score</th></tr>
+                    </thead>
+                    <tbody>
+                        ${roundScores.map(round => `
+                            <tr>
+                                <td>${escapeHtml(round.name)} <span class="round-minutes">${round.minutes} min</span></td>
+                                <td>${round.questions}</td>
+                                <td>${round.questions ? cell(round.technical) : '—'}</td>
+                                <td>${round.questions ? cell(round.communication) : '—'}</td>
+                                <td>${round.questions ? cell(round.confidence) : '—'}</td>
+                                <td class="round-score">${cell(round.score)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * How well the interview covered each job description requirement the candidate kept
+     */
+    renderJdCoverage(jdCoverage) {
+        const kinds = { required: 'Required', nice: 'Nice to have', responsibility: 'Responsibility' };
+        const covered = jdCoverage.filter(r => r.covered).length;
+        
+        return `
+            <div class="jd-coverage">
+                <h4>📋 Job Description Coverage <span class="round-minutes">${covered} of ${jdCoverage.length} requirements</span></h4>
+                <table>
+                    <thead>
+                        <tr><th>Requirement</th><th>Type</th><th>Questions</th><th>Score</th></tr>
+                    </thead>
+                    <tbody>
+                        ${jdCoverage.map(r => `
+                            <tr class="${r.covered ? 'covered' : 'uncovered'}">
+                                <td>${r.covered ? '✅' : '⬜'} ${escapeHtml(r.topic)}</td>
+                                <td>${kinds[r.kind] || escapeHtml(r.kind)}</td>
+                                <td>${r.covered ? r.questions.map(n => `Q${n}`).join(', ') : 'Not covered'}</td>
+                                <td class="round-score">${r.score === null ? '—' : `${r.score}%`}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Step chart of the difficulty each question was asked at in an adaptive interview
+     */
+    renderDifficultyTrajectory(qaHistory) {
+        const points = qaHistory
+            .map((qa, index) => ({ index, level: DIFFICULTY_LEVELS.indexOf(qa.difficulty), followUp: qa.followUp }))
+            .filter(point => point.level !== -1);
+        if (!points.length) return '';
+        
+        const width = 600;
+        const height = 140;
+        const left = 70;
+        const stepX = points.length > 1 ? (width - left - 20) / (points.length - 1) : 0;
+        const y = level => height - 20 - level * ((height - 40) / (DIFFICULTY_LEVELS.length - 1));
+        const x = i => left + i * stepX;
+        
+        const path = points.map((point, i) => i === 0
+            ? `M ${x(i)} ${y(point.level)}`
+            : `H ${x(i)} V ${y(point.level)}`
+        ).join(' ');
+        
+        return `
+            <div class="difficulty-trajectory">
+                <h4>🎚️ Difficulty Trajectory</h4>
+                <svg viewBox="0 0 ${width} ${height}" style="width: 100%; max-height: 180px;">
+                    ${DIFFICULTY_LEVELS.map((level, i) => `
+                        <line x1="${left}" y1="${y(i)}" x2="${width - 10}" y2="${y(i)}" stroke="rgba(255,255,255,0.08)"/>
+                        <text x="${left - 10}" y="${y(i) + 4}" fill="#94a3b8" font-size="12" text-anchor="end">${level}</text>
+                    `).join('')}
+                    <path d="${path}" fill="none" stroke="#6366f1" stroke-width="2"/>
+                    ${points.map((point, i) => `
+                        <circle cx="${x(i)}" cy="${y(point.level)}" r="4" fill="${point.followUp ? '#1e1b4b' : '#6366f1'}" stroke="#6366f1" stroke-width="2">
+                            <title>Q${point.index + 1}${point.followUp ? ' (follow-up)' : ''}: ${DIFFICULTY_LEVELS[point.level]}</title>
+                        </circle>
+                    `).join('')}
+                </svg>
+            </div>
+        `;
+    }
+
+    /**
+     * STAR coverage for a behavioral answer
+     */
+    renderStar(qa) {
+        if (!qa?.star) return '';
+        
+        const competency = BEHAVIORAL_COMPETENCIES[qa.competency]?.label;
+        
+        return `
+            <div class="qa-star">
+                ${competency ? `<span class="qa-competency">${competency}</span>` : ''}
+                ${STAR_COMPONENTS.map(c => `
+                    <span class="star-chip ${qa.star.missing?.includes(c.key) ? 'missing' : ''}" title="${c.hint}">
+                        ${c.label} ${Math.round(qa.star[c.key] * 10)}%
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Pace, fillers, pauses and restarts of a spoken answer
+     */
+    renderDelivery(qa) {
+        if (!qa?.delivery) return '';
+        
+        const delivery = qa.delivery;
+        const ratings = deliveryRatings(delivery);
+        const fillers = delivery.fillers
+            ? Object.entries(delivery.fillers.counts).map(([word, count]) => `${word} ×${count}`).join(', ')
+            : '';
+        
+        return `
+            <div class="qa-delivery">
+                ${delivery.wordsPerMinute !== null ? `<span class="delivery-chip ${ratings.pace}" title="${ratings.pace ? `Target ${PACE_RANGE.min}-${PACE_RANGE.max} wpm` : ''}">🎙️ ${delivery.wordsPerMinute} wpm</span>` : ''}
+                ${delivery.fillers ? `<span class="delivery-chip ${ratings.fillers}" title="${escapeHtml(fillers)}">${delivery.fillers.total} filler${delivery.fillers.total === 1 ? '' : 's'}</span>` : ''}
+                ${delivery.longPauses !== null ? `<span class="delivery-chip ${ratings.pauses}" title="Longest ${delivery.longestPauseSeconds}s">${delivery.longPauses} long pause${delivery.longPauses === 1 ? '' : 's'}</span>` : ''}
+                <span class="delivery-chip ${ratings.restarts}">${delivery.restarts} restart${delivery.restarts === 1 ? '' : 's'}</span>
+                <span class="delivery-chip">${formatDuration(delivery.durationSeconds)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Rubric criteria hit or missed for a bank question
+     */
+    renderRubric(qa) {
+        if (!qa?.rubric?.criteria?.length) return '';
+        
+        const status = item => item.met === null ? 'unassessed' : item.met ? 'met' : 'missed';
+        
+        return `
+            <div class="qa-rubric">
+                <strong>Rubric${qa.rubric.score !== null ? ` ${Math.round(qa.rubric.score * 10)}%` : ''}:</strong>
+                ${qa.rubric.criteria.map(item => `
+                    <span class="rubric-chip ${status(item)}" title="${escapeHtml(item.note)}">
+                        ${item.met ? '✓' : item.met === false ? '✗' : '–'} ${escapeHtml(item.criterion)}${item.kind === 'pitfall' ? ' (pitfall)' : ''}
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Whiteboard diagram drawn for a system design question
+     */
+    renderDiagram(qa) {
+        if (!qa?.diagram) return '';
+        
+        const svg = diagramToSVG(qa.diagram);
+        if (!svg) return '';
+        
+        return `
+            <div class="qa-diagram">
+                <strong>Whiteboard</strong>
+                ${svg}
+            </div>
+        `;
+    }
+
+    /**
+     * Submitted code and test outcome for a coding-mode question
+     */
+    renderCodeSubmission(qa) {
+        if (!qa?.code) return '';
+        
+        const results = qa.testResults || {};
+        const allPassed = results.total && results.passed === results.total;
+        
+        return `
+            <div class="qa-code">
+                <div class="qa-code-header">
+                    <strong>Submitted Code</strong>
+                    <span style="color: ${allPassed ? '#10b981' : '#ef4444'};">
+                        ${results.passed || 0}/${results.total || 0} tests passed${results.timedOut ? ' · timed out' : ''}
+                    </span>
+                </div>
+                ${results.error ? `<div class="qa-mistakes">${escapeHtml(results.error)}</div>` : ''}
+                <pre><code>${escapeHtml(qa.code)}</code></pre>
+            </div>
+        `;
+    }
+
+    /**
+     * Real talking time in seconds, pauses excluded
+     */
+    formatActiveTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        return minutes > 0 ? `${minutes}m ${rest.toString().padStart(2, '0')}s` : `${rest}s`;
+    }
+
     formatRole(role) {
         const roles = {
             'software-engineer': 'Software Engineer',
@@ -204,6 +460,7 @@ class DashboardController {
     initCharts() {
         this.initProgressChart();
         this.initRadarChart();
+        this.initDeliveryChart();
     }
 
     initProgressChart() {
@@ -325,6 +582,104 @@ class DashboardController {
         });
     }
 
+    /**
+     * Pace and filler trend across interviews answered by voice
+     */
+    initDeliveryChart() {
+        const ctx = document.getElementById('deliveryChart');
+        if (!ctx) return;
+        
+        const data = this.storage.getDeliveryTrend();
+        this.toggleDeliveryPlaceholder(data);
+        
+        this.charts.delivery = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: data.labels,
+                datasets: [{
+                    label: 'Words per minute',
+                    data: data.wordsPerMinute,
+                    borderColor: '#14b8a6',
+                    backgroundColor: 'rgba(20, 184, 166, 0.1)',
+                    tension: 0.4,
+                    yAxisID: 'y'
+                }, {
+                    label: 'Fillers per 100 words',
+                    data: data.fillerRate,
+                    borderColor: '#f59e0b',
+                    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+                    tension: 0.4,
+                    yAxisID: 'y1'
+                }, {
+                    label: 'Long pauses per answer',
+                    data: data.longPauses,
+                    borderColor: '#ec4899',
+                    backgroundColor: 'rgba(236, 72, 153, 0.1)',
+                    tension: 0.4,
+                    yAxisID: 'y1'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#9aa3af'
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            afterLabel: (context) => context.dataset.yAxisID === 'y'
+                                ? `Target ${PACE_RANGE.min}-${PACE_RANGE.max} wpm`
+                                : ''
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        position: 'left',
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)'
+                        },
+                        ticks: {
+                            color: '#9aa3af',
+                            callback: (value) => `${value} wpm`
+                        }
+                    },
+                    y1: {
+                        beginAtZero: true,
+                        position: 'right',
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            color: '#9aa3af'
+                        }
+                    },
+                    x: {
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            color: '#9aa3af',
+                            maxRotation: 45,
+                            minRotation: 45
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    toggleDeliveryPlaceholder(data) {
+        const placeholder = document.getElementById('delivery-empty');
+        if (placeholder) {
+            placeholder.style.display = data.labels.length ? 'none' : 'block';
+        }
+    }
+
     refreshDashboard() {
         this.loadStats();
         this.loadHistory();
@@ -348,6 +703,16 @@ class DashboardController {
             ];
             this.charts.radar.update();
         }
+        
+        if (this.charts.delivery) {
+            const data = this.storage.getDeliveryTrend();
+            this.toggleDeliveryPlaceholder(data);
+            this.charts.delivery.data.labels = data.labels;
+            this.charts.delivery.data.datasets[0].data = data.wordsPerMinute;
+            this.charts.delivery.data.datasets[1].data = data.fillerRate;
+            this.charts.delivery.data.datasets[2].data = data.longPauses;
+            this.charts.delivery.update();
+        }
     }
 
     confirmClearHistory() {
@@ -398,11 +763,45 @@ class DashboardController {
             <div class="interview-meta" style="text-align: center; margin-bottom: 1.5rem; color: var(--text-secondary);">
                 <span>${formattedDate}</span> · 
                 <span>${interview.modeDisplayName || this.getModeDisplayName(interview.mode)}</span> · 
-                <span>${interview.difficulty || 'medium'}</span> · 
-                <span>${interview.duration || 5} minutes</span>
+                <span>${interview.adaptive
+                    ? `adaptive ${interview.difficulty} → ${interview.finalDifficulty || interview.difficulty}`
+                    : interview.difficulty || 'medium'}</span> · 
+                <span>${interview.activeTime
+                    ? `${this.formatActiveTime(interview.activeTime)} of ${interview.duration || 5} minutes`
+                    : `${interview.duration || 5} minutes`}</span>
+                ${interview.pausedTime ? ` · <span>paused ${this.formatActiveTime(interview.pausedTime)}</span>` : ''}
             </div>
         `;
         
+        if (interview.adaptive) {
+            html += this.renderDifficultyTrajectory(qaHistory);
+        }
+        
+        if (analysis.roundScores?.length) {
+            html += this.renderRoundScores(analysis.roundScores);
+        }
+        
+        if (analysis.jdCoverage?.length) {
+            html += this.renderJdCoverage(analysis.jdCoverage);
+        }
+        
+        if (interview.gapReport) {
+            html += `
+                <div class="gap-report-section">
+                    <h4>🧩 Resume vs Job Description</h4>
+                    ${gapReportToHTML(interview.gapReport)}
+                </div>
+            `;
+        }
+        
+        if (analysis.isFallback) {
+            html += `
+                <div class="fallback-notice" style="margin-bottom: 1.5rem; padding: 0.75rem 1rem; border-radius: 0.75rem; background: rgba(245, 158, 11, 0.15); color: #f59e0b;">
+                    ⚠️ This analysis is an offline estimate. ${escapeHtml(analysis.fallbackReason)}
+                </div>
+            `;
+        }
+        
         // Strengths & Weaknesses
         if (analysis.strengths || analysis.areasForImprovement) {
             html += `<div class="strengths-weaknesses">`;
@@ -449,8 +848,15 @@ class DashboardController {
             analysis.questionAnalysis.forEach((qa, index) => {
                 html += `
                     <div class="qa-item">
+                        ${this.renderPersonaCredit(qaHistory[index])}
+                        ${this.renderBankCredit(qaHistory[index])}
                         <div class="qa-question">Q${index + 1}: ${qa.question}</div>
                         <div class="qa-answer"><strong>Your Answer:</strong> ${qa.userAnswer || 'No answer'}</div>
+                        ${this.renderCodeSubmission(qaHistory[index])}
+                        ${this.renderDiagram(qaHistory[index])}
+                        ${this.renderStar(qaHistory[index])}
+                        ${this.renderRubric(qaHistory[index])}
+                        ${this.renderDelivery(qaHistory[index])}
                 `;
                 
                 if (qa.idealAnswer) {
@@ -478,8 +884,15 @@ class DashboardController {
             qaHistory.forEach((qa, index) => {
                 html += `
                     <div class="qa-item">
+                        ${this.renderPersonaCredit(qa)}
+                        ${this.renderBankCredit(qa)}
                         <div class="qa-question">Q${index + 1}: ${qa.question}</div>
                         <div class="qa-answer"><strong>Your Answer:</strong> ${qa.answer}</div>
+                        ${this.renderCodeSubmission(qa)}
+                        ${this.renderDiagram(qa)}
+                        ${this.renderStar(qa)}
+                        ${this.renderRubric(qa)}
+                        ${this.renderDelivery(qa)}
                     </div>
                 `;
             });
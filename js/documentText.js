@@ -0,0 +1,417 @@
+/**
+ * Document Text Extraction
+ * Client-side text extraction for resumes: PDF (via PDF.js), DOCX (native unzip + XML)
+ * and plain text / Markdown
+ */
+
+const PDFJS_VERSION = '4.4.168';
+const PDFJS_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.min.mjs`;
+const PDFJS_WORKER_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.worker.min.mjs`;
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+export const SUPPORTED_RESUME_EXTENSIONS = ['pdf', 'docx', 'txt', 'md', 'markdown'];
+
+export function getFileKind(file) {
+    const extension = (file.name || '').split('.').pop().toLowerCase();
+    const type = file.type || '';
+
+    if (type === 'application/pdf' || extension === 'pdf') return 'pdf';
+    if (type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || extension === 'docx') return 'docx';
+    if (type === 'text/markdown' || extension === 'md' || extension === 'markdown') return 'markdown';
+    if (type === 'text/plain' || extension === 'txt') return 'text';
+    return null;
+}
+
+export function isSupportedResumeFile(file) {
+    return Boolean(file && getFileKind(file));
+}
+
+/**
+ * Extract readable text from a supported resume file
+ */
+export async function extractDocumentText(file) {
+    const kind = getFileKind(file);
+    let text = '';
+
+    switch (kind) {
+        case 'pdf':
+            text = await extractPdfText(file);
+            break;
+        case 'docx':
+            text = await extractDocxText(file);
+            break;
+        case 'markdown':
+            text = markdownToText(await file.text());
+            break;
+        case 'text':
+            text = await file.text();
+            break;
+        default:
+            throw new Error(`Unsupported file type: ${file.name}. Use PDF, DOCX, TXT or Markdown.`);
+    }
+
+    text = normalizeWhitespace(text);
+    if (!text) {
+        throw new Error(kind === 'pdf'
+            ? 'No selectable text found in this PDF (scanned documents are not supported)'
+            : 'The document appears to be empty');
+    }
+    return text;
+}
+
+function normalizeWhitespace(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t\u00a0]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// ----- PDF -----
+
+let pdfjsPromise = null;
+
+function loadPdfJs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import(PDFJS_URL).then(pdfjs => {
+            pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+            return pdfjs;
+        }).catch(error => {
+            pdfjsPromise = null;
+            throw new Error(`Could not load the PDF reader: ${error.message}`);
+        });
+    }
+    return pdfjsPromise;
+}
+
+export async function extractPdfText(file) {
+    const pdfjs = await loadPdfJs();
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: 1 });
+        const content = await page.getTextContent();
+
+        const items = content.items
+            .filter(item => item.str && item.str.trim())
+            .map(item => ({
+                text: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width,
+                height: Math.abs(item.height || item.transform[3]) || 10
+            }));
+
+        pages.push(layoutPdfPage(items, viewport.width));
+    }
+
+    await pdf.destroy();
+    return pages.join('\n\n');
+}
+
+/**
+ * Rebuild reading order for a page: split into columns at an empty vertical gutter,
+ * then read each column top to bottom
+ */
+function layoutPdfPage(items, pageWidth) {
+    if (items.length === 0) return '';
+
+    const split = findColumnGutter(items, pageWidth);
+    if (split === null) {
+        return itemsToLines(items);
+    }
+
+    // Full-width items (headers above both columns) are read first
+    const spanning = items.filter(item => item.x < split && item.x + item.width > split);
+    const left = items.filter(item => !spanning.includes(item) && item.x + item.width / 2 < split);
+    const right = items.filter(item => !spanning.includes(item) && item.x + item.width / 2 >= split);
+
+    return [spanning, left, right]
+        .filter(group => group.length > 0)
+        .map(itemsToLines)
+        .join('\n\n');
+}
+
+function findColumnGutter(items, pageWidth) {
+    const width = Math.ceil(pageWidth);
+    const coverage = new Array(width).fill(0);
+
+    items.forEach(item => {
+        const start = Math.max(0, Math.floor(item.x));
+        const end = Math.min(width - 1, Math.ceil(item.x + item.width));
+        for (let x = start; x <= end; x++) coverage[x]++;
+    });
+
+    // A few stray items (e.g. a name spanning the page) may cross the gutter
+    const tolerance = Math.max(1, Math.floor(items.length * 0.03));
+    const from = Math.floor(width * 0.25);
+    const to = Math.ceil(width * 0.75);
+
+    let best = null;
+    let runStart = null;
+    for (let x = from; x <= to; x++) {
+        const empty = coverage[x] <= tolerance;
+        if (empty && runStart === null) runStart = x;
+        if ((!empty || x === to) && runStart !== null) {
+            const runEnd = empty ? x : x - 1;
+            if (!best || runEnd - runStart > best.end - best.start) {
+                best = { start: runStart, end: runEnd };
+            }
+            runStart = null;
+        }
+    }
+
+    if (!best || best.end - best.start < 12) return null;
+
+    const split = (best.start + best.end) / 2;
+    const leftCount = items.filter(item => item.x + item.width < split).length;
+    const rightCount = items.filter(item => item.x > split).length;
+
+    // Both sides must carry real content to count as columns
+    if (leftCount < items.length * 0.15 || rightCount < items.length * 0.15) return null;
+
+    return split;
+}
+
+function itemsToLines(items) {
+    const sorted = [...items].sort((a, b) => (b.y - a.y) || (a.x - b.x));
+    const lines = [];
+
+    sorted.forEach(item => {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.y - item.y) <= Math.min(line.height, item.height) * 0.5) {
+            line.items.push(item);
+        } else {
+            lines.push({ y: item.y, height: item.height, items: [item] });
+        }
+    });
+
+    let output = '';
+    lines.forEach((line, index) => {
+        const text = line.items
+            .sort((a, b) => a.x - b.x)
+            .reduce((acc, item, i, all) => {
+                if (i === 0) return item.text;
+                const previous = all[i - 1];
+                const gap = item.x - (previous.x + previous.width);
+                return acc + (gap > item.height * 0.15 && !acc.endsWith(' ') ? ' ' : '') + item.text;
+            }, '')
+            .trim();
+
+        if (index > 0) {
+            const gap = lines[index - 1].y - line.y;
+            output += gap > line.height * 1.8 ? '\n\n' : '\n';
+        }
+        output += text;
+    });
+
+    return output;
+}
+
+// ----- DOCX -----
+
+export async function extractDocxText(file) {
+    const entries = await readZip(await file.arrayBuffer());
+
+    const documentXml = entries.get('word/document.xml');
+    if (!documentXml) {
+        throw new Error('Not a valid Word document (word/document.xml missing)');
+    }
+
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(await documentXml(), 'application/xml');
+    const numberingXml = entries.get('word/numbering.xml');
+    const numbering = numberingXml
+        ? readNumberingFormats(parser.parseFromString(await numberingXml(), 'application/xml'))
+        : new Map();
+
+    const body = doc.getElementsByTagNameNS(WORD_NS, 'body')[0];
+    if (!body) return '';
+
+    const counters = new Map();
+    return docxBlocksToText(body, numbering, counters).join('\n');
+}
+
+function docxBlocksToText(container, numbering, counters) {
+    const lines = [];
+
+    Array.from(container.children).forEach(node => {
+        if (node.namespaceURI !== WORD_NS) return;
+
+        if (node.localName === 'p') {
+            lines.push(docxParagraphToText(node, numbering, counters));
+        } else if (node.localName === 'tbl') {
+            lines.push(...docxTableToLines(node, numbering, counters), '');
+        } else if (node.localName === 'sdt') {
+            const content = node.getElementsByTagNameNS(WORD_NS, 'sdtContent')[0];
+            if (content) lines.push(...docxBlocksToText(content, numbering, counters));
+        }
+    });
+
+    return lines;
+}
+
+function docxParagraphToText(paragraph, numbering, counters) {
+    let text = '';
+
+    const walk = (node) => {
+        Array.from(node.children).forEach(child => {
+            if (child.namespaceURI !== WORD_NS) return;
+            switch (child.localName) {
+                case 't':
+                    text += child.textContent;
+                    break;
+                case 'tab':
+                    text += '\t';
+                    break;
+                case 'br':
+                case 'cr':
+                    text += '\n';
+                    break;
+                case 'pPr':
+                case 'rPr':
+                case 'instrText':
+                case 'delText':
+                    break;
+                default:
+                    walk(child);
+            }
+        });
+    };
+    walk(paragraph);
+
+    const numPr = paragraph.getElementsByTagNameNS(WORD_NS, 'numPr')[0];
+    if (!numPr || !text.trim()) return text;
+
+    const numId = numPr.getElementsByTagNameNS(WORD_NS, 'numId')[0]?.getAttributeNS(WORD_NS, 'val');
+    const level = parseInt(numPr.getElementsByTagNameNS(WORD_NS, 'ilvl')[0]?.getAttributeNS(WORD_NS, 'val') || '0', 10);
+    const format = numbering.get(`${numId}:${level}`) || 'bullet';
+    const indent = '  '.repeat(level);
+
+    if (format === 'bullet' || format === 'none') {
+        return `${indent}• ${text}`;
+    }
+
+    const key = `${numId}:${level}`;
+    const count = (counters.get(key) || 0) + 1;
+    counters.set(key, count);
+    // Restart deeper levels when a parent item advances
+    counters.forEach((value, counterKey) => {
+        const [id, lvl] = counterKey.split(':');
+        if (id === numId && parseInt(lvl, 10) > level) counters.delete(counterKey);
+    });
+
+    return `${indent}${count}. ${text}`;
+}
+
+function docxTableToLines(table, numbering, counters) {
+    return Array.from(table.children)
+        .filter(row => row.namespaceURI === WORD_NS && row.localName === 'tr')
+        .map(row => Array.from(row.children)
+            .filter(cell => cell.namespaceURI === WORD_NS && cell.localName === 'tc')
+            .map(cell => docxBlocksToText(cell, numbering, counters).join(' ').replace(/\s+/g, ' ').trim())
+            .join(' | '))
+        .filter(line => line.replace(/[|\s]/g, ''));
+}
+
+/**
+ * Map "numId:level" to its numFmt (bullet, decimal, lowerLetter, ...)
+ */
+function readNumberingFormats(numberingDoc) {
+    const abstractFormats = new Map();
+    Array.from(numberingDoc.getElementsByTagNameNS(WORD_NS, 'abstractNum')).forEach(abstractNum => {
+        const abstractId = abstractNum.getAttributeNS(WORD_NS, 'abstractNumId');
+        Array.from(abstractNum.getElementsByTagNameNS(WORD_NS, 'lvl')).forEach(lvl => {
+            const level = lvl.getAttributeNS(WORD_NS, 'ilvl');
+            const format = lvl.getElementsByTagNameNS(WORD_NS, 'numFmt')[0]?.getAttributeNS(WORD_NS, 'val');
+            abstractFormats.set(`${abstractId}:${level}`, format || 'bullet');
+        });
+    });
+
+    const formats = new Map();
+    Array.from(numberingDoc.getElementsByTagNameNS(WORD_NS, 'num')).forEach(num => {
+        const numId = num.getAttributeNS(WORD_NS, 'numId');
+        const abstractId = num.getElementsByTagNameNS(WORD_NS, 'abstractNumId')[0]?.getAttributeNS(WORD_NS, 'val');
+        for (let level = 0; level < 9; level++) {
+            const format = abstractFormats.get(`${abstractId}:${level}`);
+            if (format) formats.set(`${numId}:${level}`, format);
+        }
+    });
+
+    return formats;
+}
+
+/**
+ * Minimal ZIP reader: returns Map(name -> async () => text), inflating with DecompressionStream
+ */
+async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+
+    // End of central directory record sits in the last 64KB + 22 bytes
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('Not a valid DOCX file');
+    }
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        entries.set(name, async () => {
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const start = localOffset + 30 + localNameLength + localExtraLength;
+            const data = bytes.subarray(start, start + compressedSize);
+
+            if (method === 0) return decoder.decode(data);
+            if (method !== 8) throw new Error(`Unsupported compression in ${name}`);
+
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Response(stream).text();
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+// ----- Markdown -----
+
+export function markdownToText(markdown) {
+    return markdown
+        .replace(/^```.*$/gm, '')
+        .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+        .replace(/^\s*([-*+])\s+/gm, '• ')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__)(.*?)\1/g, '$2')
+        .replace(/(^|[^*_])([*_])([^*_\n]+)\2/g, '$1$3')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/^\s*>\s?/gm, '')
+        .replace(/^\s*([-*_]\s*){3,}$/gm, '')
+        .replace(/^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/gm, '')
+        .replace(/^\|\s*(.*?)\s*\|$/gm, '$1');
+}
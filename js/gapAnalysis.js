@@ -0,0 +1,122 @@
+/**
+ * Resume vs Job Description Gap Analysis
+ * Compares what a resume claims with what a parsed job description requires, so a
+ * resume interview can probe the gaps rather than replay the candidate's highlights.
+ */
+
+import { mentionsRequirement, SENIORITY_LEVELS } from './jobDescriptionParser.js';
+import { escapeHtml } from './html.js';
+
+// Resume experience levels (entry/mid/senior) ranked against job description seniority
+const LEVEL_RANK = { entry: 0, junior: 0, mid: 1, senior: 2, lead: 3 };
+
+/**
+ * {
+ *   matched: [skill], weakEvidence: [skill], missing: [skill], niceToHaveMissing: [skill],
+ *   experienceGap: { required, actual } | null, seniorityGap: { required, actual } | null,
+ *   matchScore: 0-100
+ * }
+ * A required skill is matched when a project or role shows it, weak when it is only listed
+ * among the resume's skills, and missing when the resume doesn't mention it at all.
+ */
+export function buildGapReport(resumeData, jdAnalysis) {
+    const claimedText = [...(resumeData.skills || []), ...(resumeData.technologies || [])].join('\n');
+    const evidenceText = [
+        ...(resumeData.projects || []).map(p => [p.name, p.description, p.role, ...(p.technologies || [])].join(' ')),
+        ...(resumeData.experience || []).map(e => [e.role, ...(e.highlights || [])].join(' '))
+    ].join('\n');
+
+    const evidenceFor = skill => {
+        const requirement = { topic: skill, kind: 'required' };
+        if (mentionsRequirement(requirement, evidenceText)) return 'strong';
+        if (mentionsRequirement(requirement, claimedText)) return 'weak';
+        return 'missing';
+    };
+
+    const required = jdAnalysis.requiredSkills.map(skill => ({ skill, evidence: evidenceFor(skill) }));
+    const withEvidence = level => required.filter(r => r.evidence === level).map(r => r.skill);
+
+    const actualYears = resumeData.yearsOfExperience || 0;
+    const experienceGap = jdAnalysis.yearsRequired && actualYears < jdAnalysis.yearsRequired
+        ? { required: jdAnalysis.yearsRequired, actual: actualYears }
+        : null;
+
+    const requiredRank = LEVEL_RANK[jdAnalysis.seniority];
+    const actualRank = LEVEL_RANK[resumeData.experienceLevel];
+    const seniorityGap = requiredRank !== undefined && actualRank !== undefined && actualRank < requiredRank
+        ? { required: jdAnalysis.seniority, actual: resumeData.experienceLevel }
+        : null;
+
+    const matched = withEvidence('strong');
+    const weakEvidence = withEvidence('weak');
+
+    return {
+        matched,
+        weakEvidence,
+        missing: withEvidence('missing'),
+        niceToHaveMissing: (jdAnalysis.niceToHave || []).filter(skill => evidenceFor(skill) === 'missing'),
+        experienceGap,
+        seniorityGap,
+        matchScore: required.length
+            ? Math.round((matched.length + weakEvidence.length * 0.5) / required.length * 100)
+            : 100
+    };
+}
+
+export function hasGaps(report) {
+    return Boolean(report && (report.missing.length || report.weakEvidence.length || report.experienceGap || report.seniorityGap));
+}
+
+/**
+ * Offline questions that probe each gap, most serious first: missing skills, then
+ * skills without evidence, then experience level
+ */
+export function gapQuestions(report) {
+    if (!report) return [];
+
+    const questions = [];
+    report.missing.forEach(skill => {
+        questions.push(`This role needs ${skill}, which I don't see on your resume. What is the closest thing you have worked with, and how would you get productive with ${skill}?`);
+    });
+    report.weakEvidence.forEach(skill => {
+        questions.push(`Your resume lists ${skill}, but none of your projects or roles mention it. Walk me through something concrete you built with ${skill}.`);
+    });
+    if (report.experienceGap) {
+        questions.push(`The role asks for ${report.experienceGap.required}+ years of experience and your resume shows about ${report.experienceGap.actual}. What have you done that shows you can work at that level?`);
+    } else if (report.seniorityGap) {
+        const level = SENIORITY_LEVELS[report.seniorityGap.required]?.label.toLowerCase() || report.seniorityGap.required;
+        questions.push(`This is a ${level} role. Tell me about a time you operated at that level: owning a decision, leading work or setting technical direction.`);
+    }
+    return questions;
+}
+
+/**
+ * Gap report markup shared by the setup screen and the dashboard
+ */
+export function gapReportToHTML(report) {
+    if (!report) return '';
+
+    const group = (title, skills, kind) => skills.length ? `
+        <div class="gap-group">
+            <h4>${title}</h4>
+            <div class="gap-chips">
+                ${skills.map(skill => `<span class="gap-chip ${kind}">${escapeHtml(skill)}</span>`).join('')}
+            </div>
+        </div>
+    ` : '';
+
+    const levelLabel = level => SENIORITY_LEVELS[level]?.label || (level === 'entry' ? 'Entry-level' : escapeHtml(level));
+
+    return `
+        <div class="gap-score">
+            Resume match: <strong>${report.matchScore}%</strong> ·
+            ${report.matched.length} evidenced · ${report.weakEvidence.length} weak · ${report.missing.length} missing
+        </div>
+        ${group('✅ Evidenced in projects or roles', report.matched, 'matched')}
+        ${group('⚠️ Listed but not evidenced', report.weakEvidence, 'weak')}
+        ${group('❌ Required but missing', report.missing, 'missing')}
+        ${group('➕ Nice-to-haves missing', report.niceToHaveMissing, 'nice')}
+        ${report.experienceGap ? `<p class="gap-experience">Experience: the role asks for ${report.experienceGap.required}+ years; the resume shows about ${report.experienceGap.actual}.</p>` : ''}
+        ${report.seniorityGap ? `<p class="gap-experience">Seniority: ${levelLabel(report.seniorityGap.required)} role; the resume reads as ${levelLabel(report.seniorityGap.actual)}.</p>` : ''}
+    `;
+}
@@ -0,0 +1,15 @@
+/**
+ * HTML Helpers
+ * No DOM access, so modules that build HTML strings still load outside the browser
+ */
+
+/**
+ * Escape text for HTML content and double-quoted attribute values
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
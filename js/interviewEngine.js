@@ -7,6 +7,34 @@ import { VoiceService } from './voice.js';
 import { AIService } from './aiService.js';
 import { StorageService } from './storage.js';
 import { UIService } from './ui.js';
+import { escapeHtml } from './html.js';
+import { SettingsService } from './settings.js';
+import { SettingsPanel } from './settingsPanel.js';
+import { QuestionBankPanel } from './questionBankPanel.js';
+import { VoiceSettingsPanel } from './voiceSettingsPanel.js';
+import { resolveInterviewerVoice } from './interviewerVoice.js';
+import { extractPartialFields } from './responseSchemas.js';
+import { isSupportedResumeFile } from './documentText.js';
+import { InterviewStateMachine, INTERVIEW_STATES as S } from './interviewStateMachine.js';
+import { formatProblemQuestion } from './codingProblems.js';
+import { runCode } from './codeRunner.js';
+import { Whiteboard } from './whiteboard.js';
+import { COMPETENCY_IDS, nextCompetency, pickBehavioralQuestion } from './behavioralQuestions.js';
+import { STAR_COMPONENTS } from './starAnalyzer.js';
+import { nextDifficulty, questionsForDifficulty } from './adaptiveDifficulty.js';
+import { BUILT_IN_PLANS, ROUND_MODES, parsePlan, planDuration, roundCompetencies, announceRound } from './interviewPlans.js';
+import { PERSONAS, PERSONA_IDS, TURN_POLICIES, nextPersona, personaLabel } from './interviewPersonas.js';
+import { SENIORITY_LEVELS, calculateCoverage } from './jobDescriptionParser.js';
+import { buildGapReport, hasGaps, gapReportToHTML } from './gapAnalysis.js';
+import { selectBankQuestion } from './questionBanks.js';
+import { analyzeDelivery, deliveryRatings, deliveryTips, formatDuration, PACE_RANGE } from './speechAnalytics.js';
+import { DEFAULT_LANGUAGE, isEnglish, languageInfo, splitWords } from './interviewLanguages.js';
+
+// Single-stream sessions stop after this many answers; plans are bounded by their round time boxes
+const MAX_QUESTIONS = 15;
+const MAX_PLAN_QUESTIONS = 40;
+// A question that repeats an earlier one is regenerated at most this many times
+const MAX_QUESTION_ATTEMPTS = 3;
 
 export class InterviewEngine {
     constructor() {
@@ -14,18 +42,36 @@ export class InterviewEngine {
         this.ai = new AIService();
         this.storage = new StorageService();
         this.ui = new UIService();
+        this.settings = new SettingsService();
         
         this.synth = window.speechSynthesis;
         this.voiceEnabled = true;
         
+        // Parsed job description shown as a checklist on the custom form
+        this.jdAnalysis = null;
+        // Resume compared against a target job description on the resume form
+        this.gapAnalysis = null;
+        
+        this.machine = new InterviewStateMachine({
+            onTransition: (state) => {
+                if (this.elements.interviewSession) {
+                    this.elements.interviewSession.dataset.state = state;
+                }
+            }
+        });
+        
         this.state = {
             mode: null,
             jobTitle: '',
             jobDescription: '',
             difficulty: 'medium',
+            startDifficulty: 'medium',
+            adaptive: false,
+            abilityEstimate: null,
             duration: 5,
             startTime: null,
             endTime: null,
+            endedAt: null,
             timeElapsed: 0,
             timerInterval: null,
             
@@ -39,10 +85,38 @@ export class InterviewEngine {
             resumeData: null,
             focusArea: '',
             
-            status: 'setup',
+            currentProblem: null,
+            usedProblemIds: [],
+            
+            competencies: [],
+            currentCompetency: null,
+            
+            panel: [],
+            turnPolicy: 'round-robin',
+            currentPersona: null,
+            
+            plan: null,
+            roundIndex: 0,
+            roundEndTime: null,
+            topics: [],
+            
+            jobProfile: null,
+            gapReport: null,
+            
+            // Imported bank question being asked, with its reference answer and rubric
+            currentBankQuestion: null,
+            
+            // Language and accent of speech, voices and AI prompts, fixed when the interview starts
+            language: DEFAULT_LANGUAGE,
+            
             isRecording: false,
+            // Hands-free countdown before an answer is submitted on silence
+            autoSubmitTimer: null,
+            isPaused: false,
+            pausedAt: null,
+            totalPausedTime: 0,
+            answerEnabledBeforePause: false,
             followUpCount: 0,
-            waitingForFollowUp: false,
             
             sessionId: null,
             modeDisplayName: '',
@@ -59,18 +133,41 @@ export class InterviewEngine {
         this.cacheElements();
         this.setupEventListeners();
         this.initVoiceToggle();
+        this.settingsPanel = new SettingsPanel(this.settings);
+        this.questionBankPanel = new QuestionBankPanel(this.storage, this.ui);
+        this.voiceSettingsPanel = new VoiceSettingsPanel(this.settings, this.synth);
         
         if (this.elements.interviewSession) {
             this.elements.interviewSession.style.display = 'none';
         }
+        
+        this.checkForUnfinishedSession();
     }
 
     cacheElements() {
         this.elements = {
             modeSelector: document.querySelector('.interview-mode-selector'),
             customForm: document.getElementById('custom-form'),
+            jobDescription: document.getElementById('job-description'),
+            jdAnalyzeBtn: document.getElementById('jd-analyze-btn'),
+            jdTopics: document.getElementById('jd-topics'),
+            resumeJobDescription: document.getElementById('resume-job-description'),
+            gapReport: document.getElementById('gap-report'),
             practiceForm: document.getElementById('practice-form'),
             resumeForm: document.getElementById('resume-form'),
+            codingForm: document.getElementById('coding-form'),
+            designForm: document.getElementById('design-form'),
+            behavioralForm: document.getElementById('behavioral-form'),
+            planForm: document.getElementById('plan-form'),
+            panelForm: document.getElementById('panel-form'),
+            panelStrip: document.getElementById('panel-strip'),
+            avatar: document.getElementById('avatar-3d'),
+            planSelect: document.getElementById('plan-select'),
+            planPreview: document.getElementById('plan-preview'),
+            planJson: document.getElementById('plan-json'),
+            planFile: document.getElementById('plan-file'),
+            importPlanBtn: document.getElementById('import-plan-btn'),
+            deletePlanBtn: document.getElementById('delete-plan-btn'),
             
             interviewSession: document.getElementById('interview-session'),
             interviewType: document.getElementById('interview-type'),
@@ -80,9 +177,18 @@ export class InterviewEngine {
             aiState: document.getElementById('ai-state'),
             currentQuestion: document.getElementById('current-question'),
             questionNumber: document.getElementById('q-number'),
+            questionDifficulty: document.getElementById('q-difficulty'),
             answerInput: document.getElementById('answer-input'),
             submitAnswerBtn: document.getElementById('submit-answer-btn'),
             voiceAnswerBtn: document.getElementById('voice-answer-btn'),
+            autoSubmitCountdown: document.getElementById('auto-submit-countdown'),
+            
+            codePane: document.getElementById('code-pane'),
+            codeEditor: document.getElementById('code-editor'),
+            runTestsBtn: document.getElementById('run-tests-btn'),
+            testResults: document.getElementById('test-results'),
+            whiteboardPane: document.getElementById('whiteboard-pane'),
+            whiteboardCanvas: document.getElementById('whiteboard-canvas'),
             
             resumeDropZone: document.getElementById('resume-drop-zone'),
             resumeFile: document.getElementById('resume-file'),
@@ -93,6 +199,8 @@ export class InterviewEngine {
             
             durationBtns: document.querySelectorAll('.duration-btn'),
             
+            pauseBtn: document.getElementById('pause-btn'),
+            
             toggleHistory: document.querySelector('.toggle-history'),
             historyList: document.querySelector('.history-list'),
             
@@ -109,6 +217,24 @@ export class InterviewEngine {
             });
         }
         
+        if (this.elements.jdAnalyzeBtn) {
+            this.elements.jdAnalyzeBtn.addEventListener('click', () => this.analyzeJobDescription());
+        }
+        
+        if (this.elements.jdTopics) {
+            this.elements.jdTopics.addEventListener('click', (e) => {
+                if (e.target.closest('.jd-add-btn')) {
+                    this.addJobTopic();
+                }
+            });
+            this.elements.jdTopics.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && e.target.classList.contains('jd-add-input')) {
+                    e.preventDefault();
+                    this.addJobTopic();
+                }
+            });
+        }
+        
         if (this.elements.practiceForm) {
             this.elements.practiceForm.addEventListener('submit', (e) => {
                 e.preventDefault();
@@ -123,6 +249,102 @@ export class InterviewEngine {
             });
         }
         
+        if (this.elements.codingForm) {
+            this.elements.codingForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.startCodingInterview();
+            });
+        }
+        
+        if (this.elements.designForm) {
+            this.elements.designForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.startDesignInterview();
+            });
+        }
+        
+        if (this.elements.behavioralForm) {
+            this.elements.behavioralForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.startBehavioralInterview();
+            });
+        }
+        
+        if (this.elements.panelForm) {
+            this.elements.panelForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.startPanelInterview();
+            });
+        }
+        
+        if (this.elements.planForm) {
+            this.elements.planForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.startPlanInterview();
+            });
+            this.populatePlanSelect();
+        }
+        
+        if (this.elements.planSelect) {
+            this.elements.planSelect.addEventListener('change', () => this.renderPlanPreview());
+        }
+        
+        if (this.elements.importPlanBtn) {
+            this.elements.importPlanBtn.addEventListener('click', () => this.importPlan(this.elements.planJson?.value || ''));
+        }
+        
+        if (this.elements.planFile) {
+            this.elements.planFile.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                this.importPlan(await file.text());
+                e.target.value = '';
+            });
+        }
+        
+        if (this.elements.deletePlanBtn) {
+            this.elements.deletePlanBtn.addEventListener('click', () => {
+                const id = this.elements.planSelect?.value;
+                if (id && confirm('Remove this plan?')) {
+                    this.storage.deletePlan(id);
+                    this.populatePlanSelect();
+                }
+            });
+        }
+        
+        if (this.elements.whiteboardPane) {
+            this.elements.whiteboardPane.querySelectorAll('.wb-tool').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.elements.whiteboardPane.querySelectorAll('.wb-tool').forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                    this.whiteboard?.setTool(btn.dataset.tool);
+                });
+            });
+            this.elements.whiteboardPane.querySelector('[data-action="delete"]')?.addEventListener('click', () => {
+                this.whiteboard?.removeSelected();
+            });
+            this.elements.whiteboardPane.querySelector('[data-action="clear"]')?.addEventListener('click', () => {
+                if (this.whiteboard && !this.whiteboard.isEmpty() && confirm('Clear the whole diagram?')) {
+                    this.whiteboard.clear();
+                }
+            });
+        }
+        
+        if (this.elements.runTestsBtn) {
+            this.elements.runTestsBtn.addEventListener('click', () => this.runExampleTests());
+        }
+        
+        if (this.elements.codeEditor) {
+            this.elements.codeEditor.addEventListener('keydown', (e) => {
+                if (e.key !== 'Tab') return;
+                e.preventDefault();
+                const editor = e.target;
+                const start = editor.selectionStart;
+                editor.value = editor.value.slice(0, start) + '    ' + editor.value.slice(editor.selectionEnd);
+                editor.selectionStart = editor.selectionEnd = start + 4;
+            });
+        }
+        
         this.elements.durationBtns.forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const parent = e.target.closest('.duration-selector');
@@ -150,14 +372,19 @@ export class InterviewEngine {
                 this.elements.resumeDropZone.style.borderColor = '';
                 
                 const file = e.dataTransfer.files[0];
-                if (file && (file.type === 'application/pdf' || file.type.includes('word'))) {
+                if (file && isSupportedResumeFile(file)) {
                     this.handleResumeFile(file);
+                } else if (file) {
+                    this.ui.showToast('Unsupported file. Please upload a PDF, DOCX, TXT or Markdown resume.', 'error');
                 }
             });
             
             this.elements.resumeFile.addEventListener('change', (e) => {
-                if (e.target.files[0]) {
-                    this.handleResumeFile(e.target.files[0]);
+                const file = e.target.files[0];
+                if (file && isSupportedResumeFile(file)) {
+                    this.handleResumeFile(file);
+                } else if (file) {
+                    this.ui.showToast('Unsupported file. Please upload a PDF, DOCX, TXT or Markdown resume.', 'error');
                 }
             });
         }
@@ -176,6 +403,20 @@ export class InterviewEngine {
             this.elements.voiceAnswerBtn.addEventListener('click', () => this.toggleVoiceRecording());
         }
         
+        if (this.elements.autoSubmitCountdown) {
+            this.elements.autoSubmitCountdown.querySelector('[data-action="cancel"]')?.addEventListener('click', () => {
+                this.cancelAutoSubmit();
+                this.ui.showToast('Auto-submit cancelled. Keep talking, or submit when ready', 'info');
+            });
+        }
+        
+        // Typing into the answer means the candidate is not done
+        this.elements.answerInput?.addEventListener('input', () => this.cancelAutoSubmit());
+        
+        if (this.elements.pauseBtn) {
+            this.elements.pauseBtn.addEventListener('click', () => this.togglePause());
+        }
+        
         if (this.elements.toggleHistory) {
             this.elements.toggleHistory.addEventListener('click', () => {
                 const isHidden = this.elements.historyList.style.display === 'none';
@@ -212,22 +453,79 @@ export class InterviewEngine {
         }
     }
 
-    speakText(text) {
+    /**
+     * Speak text aloud with the voice settings; options.queue appends to the current
+     * utterance instead of replacing it
+     */
+    speakText(text, options = {}) {
         if (!this.voiceEnabled || !this.synth) return;
         
-        this.synth.cancel();
+        if (!options.queue) {
+            this.synth.cancel();
+        }
         const utterance = new SpeechSynthesisUtterance(text);
-        utterance.rate = 0.9;
-        utterance.pitch = 1;
-        utterance.volume = 1;
-        
-        const voices = this.synth.getVoices();
-        const preferredVoice = voices.find(v => v.name.includes('Google UK') || v.name.includes('Samantha'));
-        if (preferredVoice) utterance.voice = preferredVoice;
+        utterance.lang = this.state.language;
+        
+        // Each panel interviewer speaks with their own voice
+        const persona = this.state.currentPersona;
+        const { voice, rate, pitch, volume } = resolveInterviewerVoice(this.synth.getVoices(), {
+            voiceSettings: this.settings.get('voice'),
+            language: this.state.language,
+            persona,
+            seat: persona ? this.state.panel.indexOf(persona.id) : 0
+        });
+        if (voice) utterance.voice = voice;
+        utterance.rate = rate;
+        utterance.pitch = pitch;
+        utterance.volume = volume;
         
         this.synth.speak(utterance);
     }
 
+    /**
+     * Speak streamed text sentence by sentence, starting on the first complete sentence
+     */
+    createSentenceSpeaker() {
+        let source = '';
+        let spokenLength = 0;
+        
+        const speakUpTo = (end) => {
+            const sentence = source.slice(spokenLength, end).trim();
+            if (sentence) {
+                this.speakText(sentence, { queue: spokenLength > 0 });
+            }
+            spokenLength = end;
+        };
+        
+        return {
+            push: (text) => {
+                // A regenerated stream no longer matches what was already spoken
+                if (!text.startsWith(source.slice(0, spokenLength))) {
+                    if (this.synth) this.synth.cancel();
+                    spokenLength = 0;
+                }
+                source = text;
+                
+                const boundary = /[.?!](?=\s)/g;
+                boundary.lastIndex = spokenLength;
+                let end = -1;
+                let match;
+                while ((match = boundary.exec(text))) {
+                    end = match.index + 1;
+                }
+                if (end > spokenLength) {
+                    speakUpTo(end);
+                }
+            },
+            finish: () => speakUpTo(source.length),
+            cancel: () => {
+                if (this.synth) this.synth.cancel();
+                source = '';
+                spokenLength = 0;
+            }
+        };
+    }
+
     async startCustomInterview() {
         const jobTitle = document.getElementById('job-title')?.value;
         const jobDescription = document.getElementById('job-description')?.value;
@@ -239,16 +537,137 @@ export class InterviewEngine {
             return;
         }
         
+        // A pasted job description is turned into a checklist the candidate reviews before starting
+        const descriptionText = jobDescription?.trim() || '';
+        if (descriptionText && this.jdAnalysis?.text !== descriptionText) {
+            if (await this.analyzeJobDescription()) {
+                this.ui.showToast('Review the topics from the job description, then continue', 'info', 4000);
+            }
+            return;
+        }
+        
+        const requirements = descriptionText ? this.selectedRequirements() : [];
+        
         this.state.mode = 'custom';
         this.state.jobTitle = jobTitle;
         this.state.jobDescription = jobDescription;
         this.state.difficulty = difficulty;
         this.state.duration = parseInt(duration);
         this.state.modeDisplayName = 'Custom Interview';
+        this.state.jobProfile = requirements.length
+            ? { seniority: this.jdAnalysis.seniority, yearsRequired: this.jdAnalysis.yearsRequired, requirements }
+            : null;
+        this.state.topics = requirements.filter(r => r.kind !== 'responsibility').map(r => r.topic);
         
         await this.initializeInterview();
     }
 
+    /**
+     * Parse the pasted job description and show its requirements as an editable checklist;
+     * the seniority it implies preselects the difficulty
+     */
+    async analyzeJobDescription() {
+        const text = this.elements.jobDescription?.value.trim() || '';
+        if (!text) {
+            this.ui.showToast('Paste a job description first', 'warning');
+            return false;
+        }
+        
+        const button = this.elements.jdAnalyzeBtn;
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Analyzing...';
+        }
+        
+        const analysis = await this.ai.parseJobDescription(text, document.getElementById('job-title')?.value || '');
+        this.jdAnalysis = { ...analysis, text };
+        
+        const level = SENIORITY_LEVELS[analysis.seniority];
+        const difficultySelect = document.getElementById('difficulty');
+        if (level && difficultySelect) {
+            difficultySelect.value = level.difficulty;
+        }
+        
+        this.renderJobTopics();
+        
+        if (analysis.isFallback) {
+            this.ui.showToast('AI unavailable - topics were extracted offline', 'warning');
+        }
+        if (button) {
+            button.disabled = false;
+            button.textContent = '🔍 Re-analyze';
+        }
+        return true;
+    }
+
+    /**
+     * Checklist of the parsed requirements; selected keeps the candidate's choices across re-renders
+     */
+    renderJobTopics(selected = null) {
+        const container = this.elements.jdTopics;
+        if (!container || !this.jdAnalysis) return;
+        
+        const { requiredSkills, niceToHave, responsibilities, seniority, yearsRequired } = this.jdAnalysis;
+        const level = SENIORITY_LEVELS[seniority] || SENIORITY_LEVELS.mid;
+        
+        const group = (title, kind, topics, checkedByDefault) => topics.length ? `
+            <div class="jd-group">
+                <h4>${title}</h4>
+                ${topics.map(topic => {
+                    const checked = selected
+                        ? selected.some(r => r.kind === kind && r.topic === topic)
+                        : checkedByDefault;
+                    return `
+                        <label class="jd-topic">
+                            <input type="checkbox" data-kind="${kind}" value="${escapeHtml(topic)}"${checked ? ' checked' : ''}>
+                            <span>${escapeHtml(topic)}</span>
+                        </label>
+                    `;
+                }).join('')}
+            </div>
+        ` : '';
+        
+        container.innerHTML = `
+            <div class="jd-summary">
+                🎯 ${level.label} role${yearsRequired ? ` · ${yearsRequired}+ years` : ''} · ${level.difficulty} difficulty suggested
+            </div>
+            ${group('Required skills', 'required', requiredSkills, true)}
+            ${group('Nice to have', 'nice', niceToHave, false)}
+            ${group('Responsibilities', 'responsibility', responsibilities, true)}
+            ${!requiredSkills.length && !niceToHave.length && !responsibilities.length
+                ? '<p class="jd-empty">No requirements recognised. Add the topics you want to be asked about.</p>'
+                : ''}
+            <div class="jd-add">
+                <input type="text" class="jd-add-input" placeholder="Add a topic, e.g. caching">
+                <button type="button" class="btn-secondary jd-add-btn">Add</button>
+            </div>
+        `;
+        container.style.display = 'block';
+    }
+
+    addJobTopic() {
+        const input = this.elements.jdTopics?.querySelector('.jd-add-input');
+        const topic = input?.value.trim();
+        if (!topic || !this.jdAnalysis) return;
+        
+        const selected = this.selectedRequirements();
+        if (!this.jdAnalysis.requiredSkills.some(skill => skill.toLowerCase() === topic.toLowerCase())) {
+            this.jdAnalysis.requiredSkills.push(topic);
+        }
+        selected.push({ topic, kind: 'required' });
+        this.renderJobTopics(selected);
+        this.elements.jdTopics.querySelector('.jd-add-input')?.focus();
+    }
+
+    /**
+     * Requirements left ticked on the checklist: [{ topic, kind }]
+     */
+    selectedRequirements() {
+        if (!this.elements.jdTopics) return [];
+        return Array.from(this.elements.jdTopics.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(input => ({ topic: input.value, kind: input.dataset.kind }));
+    }
+
     async startPracticeInterview() {
         const role = document.getElementById('practice-role')?.value;
         const experience = document.getElementById('experience-level')?.value;
@@ -281,18 +700,373 @@ export class InterviewEngine {
         const focusArea = document.getElementById('focus-area')?.value;
         const duration = document.querySelector('.resume-card .duration-btn.active')?.dataset.duration || 10;
         
+        // With a target job description, show the gap report once before the interview starts
+        const jobDescription = this.elements.resumeJobDescription?.value.trim() || '';
+        if (jobDescription && this.gapAnalysis?.text !== jobDescription) {
+            await this.analyzeResumeGaps(jobDescription);
+            return;
+        }
+        
+        if (jobDescription) {
+            const { jd, report } = this.gapAnalysis;
+            this.state.jobDescription = jobDescription;
+            this.state.gapReport = report;
+            this.state.jobProfile = {
+                seniority: jd.seniority,
+                yearsRequired: jd.yearsRequired,
+                requirements: [
+                    ...jd.requiredSkills.map(topic => ({ topic, kind: 'required' })),
+                    ...jd.niceToHave.map(topic => ({ topic, kind: 'nice' })),
+                    ...jd.responsibilities.map(topic => ({ topic, kind: 'responsibility' }))
+                ]
+            };
+        }
+        
         this.state.mode = 'resume';
         this.state.jobTitle = this.state.resumeData.suggestedJobTitles?.[0] || 'Professional';
         this.state.focusArea = focusArea;
         this.state.duration = parseInt(duration);
-        this.state.modeDisplayName = 'Resume-Based Interview';
+        this.state.modeDisplayName = this.state.gapReport ? 'Resume Gap Interview' : 'Resume-Based Interview';
+        
+        await this.initializeInterview();
+    }
+
+    /**
+     * Compare the uploaded resume with a target job description and show the gap report
+     */
+    async analyzeResumeGaps(jobDescription) {
+        if (this.elements.continueBtn) {
+            this.elements.continueBtn.disabled = true;
+            this.elements.continueBtn.textContent = 'Comparing with job description...';
+        }
+        
+        const jd = await this.ai.parseJobDescription(jobDescription, this.state.resumeData.suggestedJobTitles?.[0] || '');
+        const report = buildGapReport(this.state.resumeData, jd);
+        this.gapAnalysis = { text: jobDescription, jd, report };
+        
+        if (this.elements.gapReport) {
+            this.elements.gapReport.innerHTML = `
+                ${gapReportToHTML(report)}
+                <p class="gap-note">${hasGaps(report)
+                    ? 'The interview will start by probing the weak and missing items.'
+                    : 'No gaps found. The interview will test the depth of the matched skills.'}</p>
+            `;
+            this.elements.gapReport.style.display = 'block';
+        }
+        
+        if (this.elements.continueBtn) {
+            this.elements.continueBtn.disabled = false;
+            this.elements.continueBtn.textContent = 'Start Gap Interview →';
+        }
+        this.ui.showToast(
+            jd.isFallback ? 'AI unavailable - gap report built offline. Review it, then start.' : 'Review the gap report, then start',
+            jd.isFallback ? 'warning' : 'info',
+            4000
+        );
+    }
+
+    async startCodingInterview() {
+        const role = document.getElementById('coding-role')?.value || 'Software Engineer';
+        const difficulty = document.getElementById('coding-difficulty')?.value;
+        const duration = document.querySelector('.coding-card .duration-btn.active')?.dataset.duration || 30;
+        
+        this.state.mode = 'coding';
+        this.state.jobTitle = role;
+        this.state.jobDescription = `Live coding interview for ${role}: data structures and algorithms in JavaScript`;
+        this.state.difficulty = difficulty || 'medium';
+        this.state.duration = parseInt(duration);
+        this.state.modeDisplayName = 'Coding Interview';
+        this.state.usedProblemIds = [];
+        
+        await this.initializeInterview();
+    }
+
+    async startDesignInterview() {
+        const role = document.getElementById('design-role')?.value || 'Backend Engineer';
+        const difficulty = document.getElementById('design-difficulty')?.value;
+        const duration = document.querySelector('.design-card .duration-btn.active')?.dataset.duration || 30;
+        
+        this.state.mode = 'system-design';
+        this.state.jobTitle = role;
+        this.state.jobDescription = `System design interview for ${role}: architecture, scalability and trade-offs`;
+        this.state.difficulty = difficulty || 'hard';
+        this.state.duration = parseInt(duration);
+        this.state.modeDisplayName = 'System Design Interview';
+        
+        await this.initializeInterview();
+    }
+
+    async startBehavioralInterview() {
+        const role = document.getElementById('behavioral-role')?.value || 'Software Engineer';
+        const competency = document.getElementById('behavioral-competency')?.value;
+        const difficulty = document.getElementById('behavioral-difficulty')?.value;
+        const duration = document.querySelector('.behavioral-card .duration-btn.active')?.dataset.duration || 20;
+        
+        this.state.mode = 'behavioral';
+        this.state.jobTitle = role;
+        this.state.jobDescription = `Behavioral interview for ${role}: competency-based questions answered in STAR form`;
+        this.state.difficulty = difficulty || 'medium';
+        this.state.duration = parseInt(duration);
+        this.state.modeDisplayName = 'Behavioral Interview';
+        this.state.competencies = COMPETENCY_IDS.includes(competency) ? [competency] : [...COMPETENCY_IDS];
+        this.state.currentCompetency = null;
+        
+        await this.initializeInterview();
+    }
+
+    async startPanelInterview() {
+        const panel = Array.from(document.querySelectorAll('.panel-card input[name="panel-persona"]:checked'))
+            .map(input => input.value)
+            .filter(id => PERSONA_IDS.includes(id));
+        const role = document.getElementById('panel-role')?.value || 'Software Engineer';
+        const policy = document.getElementById('panel-policy')?.value;
+        const difficulty = document.getElementById('panel-difficulty')?.value;
+        const duration = document.querySelector('.panel-card .duration-btn.active')?.dataset.duration || 20;
+        
+        if (panel.length < 2) {
+            this.ui.showToast('Choose at least two interviewers for the panel', 'error');
+            return;
+        }
+        
+        this.state.mode = 'panel';
+        this.state.jobTitle = role;
+        this.state.jobDescription = `Panel interview for ${role} with ${panel.map(id => PERSONAS[id].title).join(', ')}`;
+        this.state.difficulty = difficulty || 'medium';
+        this.state.duration = parseInt(duration);
+        this.state.modeDisplayName = 'Panel Interview';
+        this.state.panel = panel;
+        this.state.turnPolicy = TURN_POLICIES[policy] ? policy : 'round-robin';
+        this.state.currentPersona = null;
+        
+        await this.initializeInterview();
+    }
+
+    /**
+     * Highlight the interviewer asking the current question and tint the avatar with their colour
+     */
+    updatePanelDisplay() {
+        const persona = this.state.currentPersona;
+        
+        if (this.elements.avatar) {
+            this.elements.avatar.style.background = persona
+                ? `radial-gradient(circle at 30% 30%, ${persona.color}, #1e1e3f)`
+                : '';
+            this.elements.avatar.style.boxShadow = persona ? `0 0 30px ${persona.color}` : '';
+        }
+        
+        if (!this.elements.panelStrip) return;
+        
+        this.elements.panelStrip.style.display = this.state.mode === 'panel' ? 'flex' : 'none';
+        this.elements.panelStrip.innerHTML = this.state.panel.map(id => {
+            const member = PERSONAS[id];
+            return `
+                <div class="panel-member ${persona?.id === id ? 'active' : ''}" style="--persona-color: ${member.color};">
+                    <span class="panel-dot"></span>
+                    <span class="panel-name">${member.name}</span>
+                    <span class="panel-title">${member.title}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Behavioral questions get STAR scoring: behavioral mode, or the behavioral persona on a panel
+     */
+    isBehavioralQuestion() {
+        return this.state.mode === 'behavioral'
+            || (this.state.mode === 'panel' && this.state.currentPersona?.questionMode === 'behavioral');
+    }
+
+    getPlans() {
+        return [...BUILT_IN_PLANS, ...this.storage.getPlans()];
+    }
+
+    populatePlanSelect(selectedId = null) {
+        const select = this.elements.planSelect;
+        if (!select) return;
+        
+        const customPlans = this.storage.getPlans();
+        select.innerHTML = `
+            <optgroup label="Built-in">
+                ${BUILT_IN_PLANS.map(plan => `<option value="${plan.id}">${escapeHtml(plan.name)} (${planDuration(plan)} min)</option>`).join('')}
+            </optgroup>
+            ${customPlans.length ? `
+                <optgroup label="Imported">
+                    ${customPlans.map(plan => `<option value="${escapeHtml(plan.id)}">${escapeHtml(plan.name)} (${planDuration(plan)} min)</option>`).join('')}
+                </optgroup>
+            ` : ''}
+        `;
+        if (selectedId) {
+            select.value = selectedId;
+        }
+        this.renderPlanPreview();
+    }
+
+    renderPlanPreview() {
+        const plan = this.getPlans().find(p => p.id === this.elements.planSelect?.value);
+        if (this.elements.deletePlanBtn) {
+            this.elements.deletePlanBtn.style.display = plan && !BUILT_IN_PLANS.includes(plan) ? 'inline-block' : 'none';
+        }
+        if (!this.elements.planPreview || !plan) return;
+        
+        this.elements.planPreview.innerHTML = `
+            ${plan.description ? `<p class="plan-description">${escapeHtml(plan.description)}</p>` : ''}
+            <ol class="plan-rounds">
+                ${plan.rounds.map(round => `
+                    <li>
+                        <span>${escapeHtml(round.name)}</span>
+                        <span class="plan-round-meta">${ROUND_MODES[round.mode].label} · ${round.minutes} min</span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    importPlan(json) {
+        if (!json.trim()) {
+            this.ui.showToast('Paste a plan as JSON or choose a .json file', 'warning');
+            return;
+        }
+        
+        try {
+            const plan = parsePlan(json);
+            if (BUILT_IN_PLANS.some(p => p.id === plan.id)) {
+                plan.id = `plan_${Date.now()}`;
+            }
+            this.storage.savePlan(plan);
+            this.populatePlanSelect(plan.id);
+            if (this.elements.planJson) {
+                this.elements.planJson.value = '';
+            }
+            this.ui.showToast(`Plan "${plan.name}" added`, 'success');
+        } catch (error) {
+            console.error('Plan import failed:', error);
+            this.ui.showToast(`Invalid plan: ${error.message}`, 'error', 5000);
+        }
+    }
+
+    async startPlanInterview() {
+        const plan = this.getPlans().find(p => p.id === this.elements.planSelect?.value);
+        const role = document.getElementById('plan-role')?.value || 'Software Engineer';
+        
+        if (!plan) {
+            this.ui.showToast('Please choose an interview plan', 'error');
+            return;
+        }
+        
+        this.state.plan = plan;
+        this.state.jobTitle = role;
+        this.state.jobDescription = `${plan.name} interview for ${role}: ${plan.rounds.map(r => r.name).join(', ')}`;
+        this.state.duration = planDuration(plan);
+        this.state.modeDisplayName = plan.name;
+        this.state.usedProblemIds = [];
+        this.applyRound(0);
         
         await this.initializeInterview();
     }
 
+    /**
+     * Switch mode, difficulty, topics and layout to a plan round; the round's time box starts now
+     */
+    applyRound(index) {
+        const round = this.state.plan.rounds[index];
+        
+        this.state.roundIndex = index;
+        this.state.mode = ROUND_MODES[round.mode].engineMode;
+        this.state.difficulty = round.difficulty;
+        this.state.topics = round.topics;
+        this.state.competencies = round.mode === 'behavioral' ? roundCompetencies(round) : [];
+        this.state.currentCompetency = null;
+        this.state.followUpCount = 0;
+        this.state.roundEndTime = Date.now() + round.minutes * 60 * 1000;
+        if (this.state.endTime) {
+            this.state.roundEndTime = Math.min(this.state.roundEndTime, this.state.endTime);
+        }
+        
+        if (this.elements.interviewSession?.style.display === 'block') {
+            this.showCodePane(null);
+            this.showInterviewSession();
+        }
+    }
+
+    /**
+     * Announce a round, then ask its first question once the announcement has been spoken
+     */
+    startRound(index) {
+        const round = this.state.plan.rounds[index];
+        if (!this.machine.is(S.ASKING) && !this.machine.transition(S.ASKING, `round ${index + 1}: ${round.name}`)) {
+            return;
+        }
+        
+        if (index !== this.state.roundIndex) {
+            this.applyRound(index);
+        }
+        
+        const announcement = announceRound(this.state.plan, index);
+        if (this.elements.currentQuestion) {
+            this.elements.currentQuestion.textContent = announcement;
+        }
+        this.updateAIState('speaking', `Round ${index + 1} of ${this.state.plan.rounds.length}: ${round.name}`);
+        this.speakText(announcement);
+        this.ui.showToast(`Round ${index + 1}: ${round.name}`, 'info');
+        
+        const speakingTime = announcement.split(/\s+/).length * 400;
+        this.machine.schedule(() => this.generateNextQuestion(), Math.max(3000, speakingTime));
+    }
+
+    getQuestionLimit() {
+        return this.state.plan ? MAX_PLAN_QUESTIONS : MAX_QUESTIONS;
+    }
+
     async initializeInterview() {
         this.ui.showToast(`Starting ${this.state.modeDisplayName}...`, 'info');
         
+        this.showInterviewSession();
+        
+        this.state.sessionId = this.generateSessionId();
+        this.state.startTime = Date.now();
+        this.state.endTime = this.state.startTime + (this.state.duration * 60 * 1000);
+        this.state.conversationHistory = [];
+        this.state.evaluations = [];
+        this.state.askedQuestions.clear();
+        this.state.questionHashes.clear();
+        this.state.totalPausedTime = 0;
+        this.state.startDifficulty = this.state.difficulty;
+        this.state.adaptive = !!document.getElementById('adaptive-difficulty')?.checked;
+        this.state.abilityEstimate = null;
+        this.state.language = this.settings.get('interview.language') || DEFAULT_LANGUAGE;
+        this.applyLanguage();
+        
+        if (this.ai.useMockData && !isEnglish(this.state.language)) {
+            this.ui.showToast(`Without an AI provider only your ${languageInfo(this.state.language).name} bank questions are in that language; built-in questions are in English`, 'info', 5000);
+        }
+        
+        if (this.state.plan) {
+            this.state.roundEndTime = Math.min(this.state.roundEndTime, this.state.endTime);
+        }
+        
+        this.startTimer();
+        
+        this.machine.transition(S.ASKING, 'interview started');
+        if (this.state.plan) {
+            this.startRound(0);
+        } else {
+            await this.generateNextQuestion();
+        }
+    }
+
+    /**
+     * Point speech recognition and AI prompts at the interview language
+     */
+    applyLanguage() {
+        this.voice.language = this.state.language;
+        this.ai.language = this.state.language;
+        if (this.elements.answerInput) {
+            this.elements.answerInput.lang = this.state.language;
+        }
+    }
+
+    showInterviewSession() {
         if (this.elements.modeSelector) {
             this.elements.modeSelector.style.display = 'none';
         }
@@ -301,24 +1075,186 @@ export class InterviewEngine {
         }
         
         if (this.elements.interviewType) {
-            this.elements.interviewType.textContent = this.state.modeDisplayName;
+            const plan = this.state.plan;
+            this.elements.interviewType.textContent = plan
+                ? `${plan.name} · Round ${this.state.roundIndex + 1}/${plan.rounds.length}: ${plan.rounds[this.state.roundIndex].name}`
+                : this.state.modeDisplayName;
         }
         if (this.elements.interviewRole) {
             this.elements.interviewRole.textContent = this.state.jobTitle;
         }
         
-        this.state.status = 'active';
-        this.state.sessionId = this.generateSessionId();
-        this.state.startTime = Date.now();
-        this.state.endTime = this.state.startTime + (this.state.duration * 60 * 1000);
-        this.state.conversationHistory = [];
-        this.state.evaluations = [];
-        this.state.askedQuestions.clear();
-        this.state.questionHashes.clear();
+        this.updatePanelDisplay();
+        
+        if (this.elements.whiteboardPane && this.state.mode !== 'system-design') {
+            this.elements.whiteboardPane.style.display = 'none';
+        }
+        
+        if (this.state.mode === 'system-design' && this.elements.whiteboardPane) {
+            this.elements.whiteboardPane.style.display = 'block';
+            // Created once visible so the canvas can size itself
+            if (!this.whiteboard) {
+                this.whiteboard = new Whiteboard(this.elements.whiteboardCanvas);
+            }
+            this.whiteboard.resize();
+            if (this.elements.answerInput) {
+                this.elements.answerInput.placeholder = 'Explain your design: requirements, data flow, scaling and trade-offs...';
+            }
+        }
+    }
+
+    /**
+     * Serializable copy of the session, checkpointed after every answer
+     * nextQuestion is the follow-up already chosen but not yet asked
+     */
+    createSessionSnapshot(nextQuestion = null) {
+        return {
+            sessionId: this.state.sessionId,
+            mode: this.state.mode,
+            modeDisplayName: this.state.modeDisplayName,
+            jobTitle: this.state.jobTitle,
+            jobDescription: this.state.jobDescription,
+            difficulty: this.state.difficulty,
+            startDifficulty: this.state.startDifficulty,
+            adaptive: this.state.adaptive,
+            abilityEstimate: this.state.abilityEstimate,
+            duration: this.state.duration,
+            timeRemaining: Math.max(0, this.state.endTime - Date.now()),
+            conversationHistory: this.state.conversationHistory,
+            evaluations: this.state.evaluations,
+            currentQuestion: this.state.currentQuestion,
+            askedQuestions: Array.from(this.state.askedQuestions),
+            questionHashes: Array.from(this.state.questionHashes),
+            resumeData: this.state.resumeData,
+            focusArea: this.state.focusArea,
+            currentProblem: this.state.currentProblem,
+            usedProblemIds: this.state.usedProblemIds,
+            competencies: this.state.competencies,
+            currentCompetency: this.state.currentCompetency,
+            panel: this.state.panel,
+            turnPolicy: this.state.turnPolicy,
+            currentPersonaId: this.state.currentPersona?.id || null,
+            plan: this.state.plan,
+            roundIndex: this.state.roundIndex,
+            roundTimeRemaining: this.state.plan ? Math.max(0, this.state.roundEndTime - Date.now()) : null,
+            topics: this.state.topics,
+            jobProfile: this.state.jobProfile,
+            gapReport: this.state.gapReport,
+            currentBankQuestion: this.state.currentBankQuestion,
+            language: this.state.language,
+            currentDiagram: this.whiteboard ? this.whiteboard.toJSON() : null,
+            followUpCount: this.state.followUpCount,
+            machineState: this.machine.state,
+            transitions: this.machine.getLog(),
+            totalPausedTime: this.state.totalPausedTime,
+            nextQuestion
+        };
+    }
+
+    checkpointSession(nextQuestion = null) {
+        this.storage.saveActiveSession(this.createSessionSnapshot(nextQuestion));
+    }
+
+    /**
+     * Offer to resume an interview left unfinished by a reload, crash or back navigation
+     */
+    checkForUnfinishedSession() {
+        const snapshot = this.storage.getActiveSession();
+        const modal = document.getElementById('recoverSessionModal');
+        
+        if (!snapshot || !snapshot.conversationHistory?.length || !modal) {
+            return;
+        }
+        
+        const answered = snapshot.conversationHistory.length;
+        const minutesLeft = Math.max(0, Math.round(snapshot.timeRemaining / 60000));
+        const summary = modal.querySelector('.recover-summary');
+        if (summary) {
+            summary.textContent = `You have an unfinished ${snapshot.modeDisplayName || 'interview'} for ${snapshot.jobTitle} ` +
+                `with ${answered} answered question${answered === 1 ? '' : 's'} and ` +
+                (minutesLeft > 0 ? `about ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'} remaining.` : 'less than a minute remaining.');
+        }
+        
+        modal.querySelector('[data-action="resume"]')?.addEventListener('click', () => {
+            modal.classList.remove('active');
+            this.restoreSession(snapshot);
+        }, { once: true });
+        
+        modal.querySelector('[data-action="discard"]')?.addEventListener('click', () => {
+            modal.classList.remove('active');
+            this.storage.clearActiveSession();
+            this.ui.showToast('Unfinished interview discarded', 'info');
+        }, { once: true });
+        
+        modal.classList.add('active');
+    }
+
+    async restoreSession(snapshot) {
+        Object.assign(this.state, {
+            sessionId: snapshot.sessionId,
+            mode: snapshot.mode,
+            modeDisplayName: snapshot.modeDisplayName,
+            jobTitle: snapshot.jobTitle,
+            jobDescription: snapshot.jobDescription,
+            difficulty: snapshot.difficulty,
+            startDifficulty: snapshot.startDifficulty || snapshot.difficulty,
+            adaptive: !!snapshot.adaptive,
+            abilityEstimate: snapshot.abilityEstimate ?? null,
+            duration: snapshot.duration,
+            conversationHistory: snapshot.conversationHistory || [],
+            evaluations: snapshot.evaluations || [],
+            currentQuestion: snapshot.currentQuestion,
+            askedQuestions: new Set(snapshot.askedQuestions || []),
+            questionHashes: new Set(snapshot.questionHashes || []),
+            resumeData: snapshot.resumeData,
+            focusArea: snapshot.focusArea || '',
+            currentProblem: snapshot.currentProblem || null,
+            usedProblemIds: snapshot.usedProblemIds || [],
+            competencies: snapshot.competencies || [],
+            currentCompetency: snapshot.currentCompetency || null,
+            panel: snapshot.panel || [],
+            turnPolicy: snapshot.turnPolicy || 'round-robin',
+            currentPersona: PERSONAS[snapshot.currentPersonaId] || null,
+            plan: snapshot.plan || null,
+            roundIndex: snapshot.roundIndex || 0,
+            topics: snapshot.topics || [],
+            jobProfile: snapshot.jobProfile || null,
+            gapReport: snapshot.gapReport || null,
+            currentBankQuestion: snapshot.currentBankQuestion || null,
+            language: snapshot.language || DEFAULT_LANGUAGE,
+            followUpCount: snapshot.followUpCount || 0,
+            totalPausedTime: snapshot.totalPausedTime || 0
+        });
+        
+        this.applyLanguage();
+        
+        // Checkpoints are taken once an answer has been evaluated
+        this.machine.restore(S.EVALUATING, snapshot.transitions);
+        
+        this.state.endTime = Date.now() + snapshot.timeRemaining;
+        this.state.startTime = this.state.endTime - (this.state.duration * 60 * 1000);
+        if (this.state.plan) {
+            this.state.roundEndTime = Date.now() + (snapshot.roundTimeRemaining || 0);
+        }
+        
+        this.showInterviewSession();
+        this.whiteboard?.load(snapshot.currentDiagram);
+        this.updateConversationHistory();
+        this.ui.showToast('Interview resumed', 'success');
+        
+        if (snapshot.timeRemaining <= 2000 || this.state.conversationHistory.length >= this.getQuestionLimit()) {
+            await this.endInterview();
+            return;
+        }
         
         this.startTimer();
         
-        await this.generateNextQuestion();
+        if (snapshot.nextQuestion) {
+            this.askFollowUp(snapshot.nextQuestion);
+        } else {
+            this.machine.transition(S.ASKING, 'resumed session');
+            await this.generateNextQuestion();
+        }
     }
 
     startTimer() {
@@ -329,7 +1265,11 @@ export class InterviewEngine {
             const remaining = Math.max(0, this.state.endTime - now);
             
             if (remaining <= 0) {
-                this.endInterviewDueToTimeout();
+                clearInterval(this.state.timerInterval);
+                // An answer being evaluated is finished first; processAnswer then closes the interview
+                if (!this.machine.is(S.EVALUATING)) {
+                    this.endInterviewDueToTimeout();
+                }
                 return;
             }
             
@@ -357,17 +1297,119 @@ export class InterviewEngine {
             }
         }
         
-        const total = this.state.duration * 60 * 1000;
-        const elapsed = total - remaining;
-        const percent = (elapsed / total) * 100;
+        const total = this.state.duration * 60 * 1000;
+        const elapsed = total - remaining;
+        const percent = (elapsed / total) * 100;
+        
+        if (this.elements.progressFill) {
+            this.elements.progressFill.style.width = `${percent}%`;
+        }
+    }
+
+    togglePause() {
+        if (this.state.isPaused) {
+            this.resumeInterview();
+        } else {
+            this.pauseInterview();
+        }
+    }
+
+    /**
+     * Freeze the clock, silence the interviewer and stop listening until resumed
+     * Only available while a question is waiting for an answer
+     */
+    pauseInterview() {
+        if (this.state.isPaused) return;
+        
+        if (!this.machine.is(S.ANSWERING)) {
+            this.ui.showToast('You can pause while answering a question', 'info');
+            return;
+        }
+        
+        // Keep whatever was dictated so far in the answer box
+        if (this.state.isRecording) {
+            this.toggleVoiceRecording();
+        }
+        if (this.synth) {
+            this.synth.cancel();
+        }
+        
+        clearInterval(this.state.timerInterval);
+        this.state.isPaused = true;
+        this.state.pausedAt = Date.now();
+        this.state.answerEnabledBeforePause = true;
+        
+        this.disableAnswerInput();
+        this.elements.interviewSession?.classList.add('paused');
+        this.updateAIState('paused', 'Interview paused');
+        if (this.elements.pauseBtn) {
+            this.elements.pauseBtn.innerHTML = '▶ Resume';
+        }
+    }
+
+    resumeInterview() {
+        if (!this.state.isPaused) return;
+        
+        const pausedFor = Date.now() - this.state.pausedAt;
+        this.state.endTime += pausedFor;
+        if (this.state.roundEndTime) {
+            this.state.roundEndTime += pausedFor;
+        }
+        this.state.totalPausedTime += pausedFor;
+        this.state.isPaused = false;
+        this.state.pausedAt = null;
         
-        if (this.elements.progressFill) {
-            this.elements.progressFill.style.width = `${percent}%`;
+        this.elements.interviewSession?.classList.remove('paused');
+        if (this.elements.pauseBtn) {
+            this.elements.pauseBtn.innerHTML = '⏸ Pause';
+        }
+        
+        if (this.state.answerEnabledBeforePause) {
+            // Re-enable without clearing the draft answer
+            [this.elements.answerInput, this.elements.submitAnswerBtn, this.elements.voiceAnswerBtn].forEach(el => {
+                if (el) el.disabled = false;
+            });
+            this.elements.answerInput?.focus();
+            if (this.state.currentProblem) {
+                this.setCodeEditorEnabled(true);
+            }
+            this.whiteboard?.setEnabled(true);
+            this.state.answerEnabledBeforePause = false;
+            this.scheduleHandsFreeListening();
         }
+        
+        this.updateAIState('listening', 'Listening for your answer...');
+        this.startTimer();
     }
 
-    async generateNextQuestion(isFollowUp = false) {
+    async generateNextQuestion(isFollowUp = false, attempt = 1) {
+        if (!this.machine.is(S.ASKING) && !this.machine.transition(S.ASKING, 'next question')) {
+            return;
+        }
+        
         this.updateAIState('thinking', 'AI is thinking...');
+        this.state.currentBankQuestion = null;
+        
+        if (this.state.adaptive && !isFollowUp) {
+            this.adaptDifficulty();
+        }
+        
+        // Follow-ups stay with the interviewer who asked
+        if (this.state.mode === 'panel' && !isFollowUp) {
+            this.state.currentPersona = nextPersona(
+                this.state.panel,
+                this.state.conversationHistory,
+                this.state.evaluations,
+                this.state.turnPolicy
+            );
+            this.updatePanelDisplay();
+            this.updateAIState('thinking', `${personaLabel(this.state.currentPersona)} is thinking...`);
+        }
+        
+        // Follow-ups stay on the competency of the story being told
+        if (this.isBehavioralQuestion() && !isFollowUp) {
+            this.state.currentCompetency = nextCompetency(this.state.competencies, this.state.conversationHistory);
+        }
         
         const context = {
             jobTitle: this.state.jobTitle,
@@ -380,23 +1422,48 @@ export class InterviewEngine {
             mode: this.state.mode,
             resumeData: this.state.resumeData,
             lastAnswer: this.state.currentAnswer,
-            lastQuestion: this.state.currentQuestion
+            lastQuestion: this.state.currentQuestion,
+            competency: this.state.currentCompetency,
+            topics: this.state.topics,
+            roundName: this.state.plan?.rounds[this.state.roundIndex].name || null,
+            persona: this.state.currentPersona,
+            jobProfile: this.state.jobProfile
+        };
+        
+        const speaker = this.createSentenceSpeaker();
+        let streamed = false;
+        const onToken = (delta, text) => {
+            streamed = true;
+            this.renderStreamingQuestion(text);
+            speaker.push(text);
         };
         
         try {
             let question;
+            let problem = null;
             
-            if (this.state.mode === 'resume' && this.state.resumeData && !isFollowUp) {
+            if (this.state.mode === 'coding' && !isFollowUp) {
+                problem = await this.ai.generateCodingProblem(context, this.state.usedProblemIds);
+                question = problem && formatProblemQuestion(problem);
+            } else if (this.state.mode === 'resume' && this.state.resumeData && !isFollowUp) {
                 const questions = await this.ai.generateResumeQuestions(
                     this.state.resumeData,
                     this.state.focusArea,
                     this.state.duration,
                     1,
-                    Array.from(this.state.askedQuestions)
+                    Array.from(this.state.askedQuestions),
+                    this.state.gapReport
                 );
                 question = questions[0];
             } else {
-                question = await this.ai.generateNextQuestion(context);
+                question = (!isFollowUp && this.drawBankQuestion())
+                    || await this.ai.generateNextQuestion(context, { onToken });
+            }
+            
+            // The interview may have closed while the question was being generated
+            if (!this.machine.is(S.ASKING)) {
+                speaker.cancel();
+                return;
             }
             
             if (!question) {
@@ -405,62 +1472,186 @@ export class InterviewEngine {
             
             const questionHash = this.hashQuestion(question);
             if (this.state.questionHashes.has(questionHash)) {
+                if (attempt >= MAX_QUESTION_ATTEMPTS) {
+                    throw new Error(`Only repeated questions after ${attempt} attempts`);
+                }
                 console.log('Duplicate hash detected, regenerating...');
-                return this.generateNextQuestion(isFollowUp);
+                speaker.cancel();
+                return this.generateNextQuestion(isFollowUp, attempt + 1);
             }
             
             this.state.currentQuestion = question;
             this.state.askedQuestions.add(question.substring(0, 100));
             this.state.questionHashes.add(questionHash);
-            this.state.waitingForFollowUp = false;
             
-            this.displayQuestion(question);
-            this.speakText(question);
+            if (problem) {
+                this.state.currentProblem = problem;
+                this.state.usedProblemIds.push(problem.id);
+                this.showCodePane(problem);
+            }
+            
+            // A new design problem starts on a blank board; follow-ups keep refining the same diagram
+            if (this.whiteboard && this.state.mode === 'system-design' && !isFollowUp) {
+                this.whiteboard.load(null);
+            }
+            
+            if (streamed) {
+                this.finishStreamingQuestion(question);
+                speaker.finish();
+            } else {
+                this.displayQuestion(question);
+                this.speakText(question);
+            }
             this.enableAnswerInput();
             
             if (this.elements.questionNumber) {
                 const qNum = this.state.conversationHistory.length + 1;
                 this.elements.questionNumber.textContent = qNum;
             }
+            this.updateDifficultyDisplay();
             
         } catch (error) {
             console.error('Question generation failed:', error);
-            const fallback = this.generateRoleSpecificFallback(this.state.jobTitle, this.state.difficulty);
+            speaker.cancel();
+            if (!this.machine.is(S.ASKING)) return;
+            
+            const fallback = (!isFollowUp && this.drawBankQuestion(true))
+                || this.generateRoleSpecificFallback(this.state.jobTitle, this.state.difficulty);
             this.state.currentQuestion = fallback;
             this.displayQuestion(fallback);
             this.speakText(fallback);
             this.enableAnswerInput();
+            this.updateDifficultyDisplay();
         }
     }
 
+    /**
+     * Question from the user's enabled banks for technical questions (custom, practice and the
+     * senior engineer's panel turns). Without an AI provider the banks stand in for the built-in
+     * questions; the questionBanks.source setting mixes them with, or puts them in place of,
+     * AI questions. force draws whenever a bank matches, e.g. after generation failed.
+     */
+    drawBankQuestion(force = false) {
+        const mode = this.state.currentPersona?.questionMode || this.state.mode;
+        if (!['custom', 'practice'].includes(mode)) return null;
+        
+        const banks = this.storage.getQuestionBanks();
+        if (!banks.length) return null;
+        
+        const source = this.settings.get('questionBanks.source');
+        const useBank = force
+            || this.ai.useMockData
+            || source === 'only'
+            || (source === 'mix' && Math.random() < 0.5);
+        if (!useBank) return null;
+        
+        const bankQuestion = selectBankQuestion(banks, {
+            jobTitle: this.state.jobTitle,
+            difficulty: this.state.difficulty,
+            topics: this.state.topics,
+            askedQuestions: Array.from(this.state.askedQuestions),
+            language: this.state.language
+        });
+        if (!bankQuestion) return null;
+        
+        this.state.currentBankQuestion = bankQuestion;
+        return bankQuestion.question;
+    }
+
+    /**
+     * Move the difficulty one level up or down from the running score estimate before a new question
+     */
+    adaptDifficulty() {
+        const { difficulty, estimate, direction } = nextDifficulty(
+            this.state.difficulty,
+            this.state.conversationHistory,
+            this.state.evaluations
+        );
+        
+        this.state.abilityEstimate = estimate;
+        if (!direction) return;
+        
+        this.state.difficulty = difficulty;
+        this.ui.showToast(
+            direction === 'up'
+                ? `Strong answers! Difficulty raised to ${difficulty}`
+                : `Difficulty eased to ${difficulty}`,
+            'info'
+        );
+    }
+
+    updateDifficultyDisplay() {
+        if (!this.elements.questionDifficulty) return;
+        
+        this.elements.questionDifficulty.textContent = this.state.difficulty;
+        this.elements.questionDifficulty.className = `question-difficulty ${this.state.difficulty}`;
+        this.elements.questionDifficulty.title = this.state.adaptive
+            ? `Adaptive difficulty${this.state.abilityEstimate !== null ? ` · running score ${this.state.abilityEstimate}/10` : ''}`
+            : '';
+    }
+
+    /**
+     * Difficulty as described to the analysis, e.g. "adaptive (medium → hard)"
+     */
+    describeDifficulty() {
+        if (!this.state.adaptive) return this.state.difficulty;
+        
+        const levels = this.state.conversationHistory.map(qa => qa.difficulty).filter(Boolean);
+        const path = levels.filter((level, i) => level !== levels[i - 1]);
+        return `adaptive (${(path.length ? path : [this.state.difficulty]).join(' → ')})`;
+    }
+
     generateRoleSpecificFallback(jobTitle, difficulty) {
         const roleLower = jobTitle.toLowerCase();
         
+        if (this.isBehavioralQuestion()) {
+            const question = pickBehavioralQuestion(this.state.currentCompetency || COMPETENCY_IDS[0]);
+            if (question) return question;
+        }
+        
+        if (this.state.currentPersona?.questions) {
+            const questions = this.state.currentPersona.questions(jobTitle);
+            return questions[Math.floor(Math.random() * questions.length)];
+        }
+        
         if (roleLower.includes('python')) {
-            const questions = [
-                "Explain the difference between a list and a tuple in Python.",
-                "How does Python's garbage collection work?",
-                "What are decorators in Python and when would you use them?",
-                "Explain Python's Global Interpreter Lock (GIL).",
-                "What is the difference between deep and shallow copy in Python?"
-            ];
+            const questions = questionsForDifficulty({
+                basic: [
+                    "Explain the difference between a list and a tuple in Python.",
+                    "What are decorators in Python and when would you use them?",
+                    "What is the difference between deep and shallow copy in Python?"
+                ],
+                advanced: [
+                    "How does Python's garbage collection work?",
+                    "Explain Python's Global Interpreter Lock (GIL).",
+                    "How does asyncio's event loop schedule coroutines?"
+                ]
+            }, difficulty);
             return questions[Math.floor(Math.random() * questions.length)];
         } else if (roleLower.includes('web')) {
-            const questions = [
-                "Explain the CSS box model and how it affects layout.",
-                "What's the difference between localStorage and sessionStorage?",
-                "How does the JavaScript event loop work?",
-                "Explain responsive design and how you implement it.",
-                "What are closures in JavaScript? Give an example."
-            ];
+            const questions = questionsForDifficulty({
+                basic: [
+                    "Explain the CSS box model and how it affects layout.",
+                    "What's the difference between localStorage and sessionStorage?",
+                    "Explain responsive design and how you implement it."
+                ],
+                advanced: [
+                    "How does the JavaScript event loop work?",
+                    "What are closures in JavaScript? Give an example.",
+                    "How would you find and fix a memory leak in a single-page app?"
+                ]
+            }, difficulty);
             return questions[Math.floor(Math.random() * questions.length)];
         } else {
             return `Tell me about your experience with ${jobTitle}.`;
         }
     }
 
+    /**
+     * The question's first ten words, letters and digits only, in any script
+     */
     hashQuestion(question) {
-        return question.split(' ').slice(0, 10).join(' ').toLowerCase().replace(/[^a-z]/g, '');
+        return splitWords(question.toLowerCase(), /[\p{L}\p{M}\p{N}]+/gu).slice(0, 10).join(' ');
     }
 
     displayQuestion(question) {
@@ -485,7 +1676,31 @@ export class InterviewEngine {
         type();
     }
 
+    /**
+     * Show the question text received so far while it streams in
+     */
+    renderStreamingQuestion(text) {
+        if (!this.elements.currentQuestion) return;
+        
+        this.elements.currentQuestion.classList.remove('typing-animation');
+        this.elements.currentQuestion.classList.add('streaming-text');
+        this.elements.currentQuestion.textContent = text;
+        this.updateAIState('speaking', 'Asking...');
+    }
+
+    finishStreamingQuestion(question) {
+        if (!this.elements.currentQuestion) return;
+        
+        this.elements.currentQuestion.classList.remove('streaming-text');
+        this.elements.currentQuestion.textContent = question;
+        this.updateAIState('listening', 'Listening for your answer...');
+    }
+
     enableAnswerInput() {
+        if (!this.machine.is(S.ANSWERING) && !this.machine.transition(S.ANSWERING, 'question asked')) {
+            return;
+        }
+        
         if (this.elements.answerInput) {
             this.elements.answerInput.disabled = false;
             this.elements.answerInput.value = '';
@@ -497,12 +1712,19 @@ export class InterviewEngine {
         if (this.elements.voiceAnswerBtn) {
             this.elements.voiceAnswerBtn.disabled = false;
         }
+        if (this.state.currentProblem) {
+            this.setCodeEditorEnabled(true);
+            this.elements.codeEditor?.focus();
+        }
+        this.whiteboard?.setEnabled(true);
         
-        this.state.status = 'active';
         this.state.currentAnswer = '';
+        this.scheduleHandsFreeListening();
     }
 
     disableAnswerInput() {
+        this.stopHandsFree();
+
         if (this.elements.answerInput) {
             this.elements.answerInput.disabled = true;
         }
@@ -512,6 +1734,17 @@ export class InterviewEngine {
         if (this.elements.voiceAnswerBtn) {
             this.elements.voiceAnswerBtn.disabled = true;
         }
+        this.setCodeEditorEnabled(false);
+        this.whiteboard?.setEnabled(false);
+    }
+
+    setCodeEditorEnabled(enabled) {
+        if (this.elements.codeEditor) {
+            this.elements.codeEditor.disabled = !enabled;
+        }
+        if (this.elements.runTestsBtn) {
+            this.elements.runTestsBtn.disabled = !enabled;
+        }
     }
 
     updateAIState(state, message) {
@@ -525,8 +1758,25 @@ export class InterviewEngine {
     }
 
     async submitAnswer() {
+        if (this.state.currentProblem) {
+            await this.submitCode();
+            return;
+        }
+        
         const answer = this.elements.answerInput?.value.trim();
         
+        if (this.state.mode === 'system-design' && this.whiteboard) {
+            if (!answer && this.whiteboard.isEmpty()) {
+                this.ui.showToast('Sketch your design or explain it before submitting', 'warning');
+                return;
+            }
+            await this.processAnswer(answer || 'See diagram.', {
+                diagram: this.whiteboard.toJSON(),
+                diagramText: this.whiteboard.describe()
+            });
+            return;
+        }
+        
         if (!answer) {
             this.ui.showToast('Please enter an answer', 'warning');
             return;
@@ -535,8 +1785,92 @@ export class InterviewEngine {
         await this.processAnswer(answer);
     }
 
+    /**
+     * Show the editor loaded with the problem's starter code, or hide it when problem is null
+     */
+    showCodePane(problem) {
+        if (!problem) {
+            this.state.currentProblem = null;
+        }
+        if (!this.elements.codePane) return;
+        
+        this.elements.codePane.style.display = problem ? 'block' : 'none';
+        if (problem) {
+            this.elements.codeEditor.value = problem.starterCode || '';
+            this.elements.testResults.innerHTML = '';
+            if (this.elements.answerInput) {
+                this.elements.answerInput.placeholder = 'Explain your approach and its time/space complexity...';
+            }
+        } else if (this.elements.answerInput) {
+            this.elements.answerInput.placeholder = 'Type your answer here...';
+        }
+    }
+
+    async runExampleTests() {
+        const problem = this.state.currentProblem;
+        if (!problem || !this.machine.is(S.ANSWERING)) return;
+        
+        const examples = problem.tests.filter(test => !test.hidden);
+        this.elements.runTestsBtn.disabled = true;
+        this.elements.testResults.innerHTML = '<div class="test-result">Running...</div>';
+        
+        const results = await runCode(this.elements.codeEditor.value, problem.functionName, examples);
+        this.renderTestResults(results);
+        
+        if (this.machine.is(S.ANSWERING)) {
+            this.elements.runTestsBtn.disabled = false;
+        }
+    }
+
+    renderTestResults(results) {
+        if (!this.elements.testResults) return;
+        
+        const format = (value) => escapeHtml(String(JSON.stringify(value)));
+        
+        const rows = results.results.map((result, i) => {
+            if (result.hidden) {
+                return `<div class="test-result ${result.passed ? 'pass' : 'fail'}">${result.passed ? '✓' : '✗'} Hidden test ${i + 1}</div>`;
+            }
+            const args = result.args.map(format).join(', ');
+            const detail = result.passed
+                ? ''
+                : ` → expected ${format(result.expected)}, got ${escapeHtml(String(result.error || result.actual))}`;
+            return `<div class="test-result ${result.passed ? 'pass' : 'fail'}">${result.passed ? '✓' : '✗'} ${this.state.currentProblem?.functionName || 'fn'}(${args})${detail}</div>`;
+        });
+        
+        this.elements.testResults.innerHTML = `
+            ${results.error ? `<div class="test-result fail">${escapeHtml(results.error)}</div>` : rows.join('')}
+            ${results.logs?.length ? `<div class="test-result">console: ${escapeHtml(results.logs.slice(0, 5).join(' | '))}</div>` : ''}
+            <div class="test-result"><strong>${results.passed}/${results.total} passed</strong></div>
+        `;
+    }
+
+    /**
+     * Run all tests (hidden included), then send code, results and explanation for evaluation
+     */
+    async submitCode() {
+        const problem = this.state.currentProblem;
+        const code = this.elements.codeEditor?.value || '';
+        
+        if (!code.trim() || code.trim() === (problem.starterCode || '').trim()) {
+            this.ui.showToast('Write your solution in the editor first', 'warning');
+            return;
+        }
+        if (!this.machine.is(S.ANSWERING)) return;
+        
+        this.disableAnswerInput();
+        this.elements.testResults.innerHTML = '<div class="test-result">Running all tests...</div>';
+        
+        const testResults = await runCode(code, problem.functionName, problem.tests);
+        this.renderTestResults(testResults);
+        
+        const explanation = this.elements.answerInput?.value.trim() || 'No explanation given.';
+        await this.processAnswer(explanation, { code, testResults });
+    }
+
     toggleVoiceRecording() {
         if (this.state.isRecording) {
+            this.stopHandsFree();
             this.voice.stopListening();
             this.state.isRecording = false;
             this.elements.voiceAnswerBtn.innerHTML = '<span class="mic-icon">🎤</span> Voice Answer';
@@ -560,10 +1894,117 @@ export class InterviewEngine {
             
             this.state.isRecording = true;
             this.elements.voiceAnswerBtn.innerHTML = '<span class="mic-icon">⏹️</span> Stop Recording';
+            
+            if (this.isHandsFree()) {
+                this.startSilenceDetection();
+            }
+        }
+    }
+
+    /**
+     * Hands-free answers suit spoken questions; coding and whiteboard answers are worked on
+     * in silence, so they are submitted by hand
+     */
+    isHandsFree() {
+        return Boolean(this.settings.get('voice.handsFree')) && VoiceService.isSupported(this.settings) &&
+            !this.state.currentProblem && this.state.mode !== 'system-design';
+    }
+
+    /**
+     * In hands-free mode, start listening as soon as the interviewer finishes speaking.
+     * Speech end is polled because browsers don't reliably fire utterance end events.
+     */
+    scheduleHandsFreeListening() {
+        clearInterval(this.speechEndPoll);
+        if (!this.isHandsFree()) return;
+        
+        const question = this.state.currentQuestion;
+        const startListening = () => {
+            clearInterval(this.speechEndPoll);
+            if (this.machine.is(S.ANSWERING) && !this.state.isPaused && !this.state.isRecording &&
+                this.state.currentQuestion === question) {
+                this.toggleVoiceRecording();
+            }
+        };
+        const speaking = () => this.voiceEnabled && this.synth && (this.synth.speaking || this.synth.pending);
+        
+        if (!speaking()) {
+            startListening();
+            return;
+        }
+        this.speechEndPoll = setInterval(() => {
+            if (!speaking()) startListening();
+        }, 250);
+    }
+
+    async startSilenceDetection() {
+        const silenceSeconds = Math.max(1, Number(this.settings.get('voice.silenceSeconds')) || 3);
+        
+        const started = await this.voice.startActivityMonitor({
+            silenceMs: silenceSeconds * 1000,
+            onSilence: () => this.startAutoSubmitCountdown(),
+            onSpeech: () => this.cancelAutoSubmit()
+        });
+        
+        if (started) {
+            this.updateAIState('listening', `Listening hands-free. Pause for ${silenceSeconds}s to submit`);
+        } else if (this.state.isRecording) {
+            this.ui.showToast('Microphone level unavailable; submit your answer by hand', 'warning');
+        }
+    }
+
+    /**
+     * Visible countdown before a hands-free answer is submitted; speaking, typing or
+     * pressing cancel stops it
+     */
+    startAutoSubmitCountdown() {
+        if (this.state.autoSubmitTimer || !this.machine.is(S.ANSWERING) || this.state.isPaused) return;
+        // Nothing recognised yet, e.g. a cough
+        if (!this.elements.answerInput?.value.trim()) return;
+        
+        let remaining = Math.max(1, Math.round(Number(this.settings.get('voice.countdownSeconds')) || 3));
+        const render = () => {
+            const text = this.elements.autoSubmitCountdown?.querySelector('.countdown-text');
+            if (text) text.textContent = `Submitting your answer in ${remaining}s...`;
+        };
+        
+        render();
+        if (this.elements.autoSubmitCountdown) {
+            this.elements.autoSubmitCountdown.hidden = false;
+        }
+        
+        this.state.autoSubmitTimer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                render();
+                return;
+            }
+            this.cancelAutoSubmit();
+            this.submitAnswer();
+        }, 1000);
+    }
+
+    cancelAutoSubmit() {
+        clearInterval(this.state.autoSubmitTimer);
+        this.state.autoSubmitTimer = null;
+        if (this.elements.autoSubmitCountdown) {
+            this.elements.autoSubmitCountdown.hidden = true;
         }
     }
 
-    async processAnswer(answer) {
+    stopHandsFree() {
+        clearInterval(this.speechEndPoll);
+        this.cancelAutoSubmit();
+        this.voice.stopActivityMonitor();
+    }
+
+    /**
+     * submission is { code, testResults } for coding-mode answers
+     * and { diagram, diagramText } for system design answers
+     */
+    async processAnswer(answer, submission = null) {
+        if (this.state.isPaused || !this.machine.transition(S.EVALUATING, 'answer submitted')) return;
+        
         this.disableAnswerInput();
         this.updateAIState('processing', 'Analyzing your answer...');
         
@@ -581,77 +2022,159 @@ export class InterviewEngine {
             question: this.state.currentQuestion,
             answer: answer,
             timestamp: Date.now(),
-            followUp: this.state.followUpCount > 0
+            followUp: this.state.followUpCount > 0,
+            difficulty: this.state.difficulty
         };
+        if (this.state.plan) {
+            qa.round = this.state.roundIndex;
+            qa.roundName = this.state.plan.rounds[this.state.roundIndex].name;
+        }
+        if (submission?.code) {
+            const { passed, total, timedOut, error } = submission.testResults;
+            qa.code = submission.code;
+            qa.problemId = this.state.currentProblem?.id;
+            qa.testResults = { passed, total, timedOut, error };
+        }
+        if (submission?.diagram) {
+            qa.diagram = submission.diagram;
+            qa.diagramText = submission.diagramText;
+        }
+        if (this.isBehavioralQuestion()) {
+            qa.competency = this.state.currentCompetency;
+        }
+        if (this.state.currentPersona) {
+            const { id, name, title } = this.state.currentPersona;
+            qa.persona = { id, name, title };
+        }
+        if (this.state.currentBankQuestion) {
+            const { bankId, bankName, id, topic, tags, referenceAnswer, rubric } = this.state.currentBankQuestion;
+            qa.bank = { bankId, bankName, id, topic, tags, referenceAnswer, rubric };
+        }
+        const delivery = analyzeDelivery(answer, this.voice.getSpeechTimeline(this.state.currentQuestion), this.state.language);
+        if (delivery) {
+            qa.delivery = delivery;
+        }
         
         this.state.conversationHistory.push(qa);
         this.updateConversationHistory();
         
         this.showFeedbackContainer('Evaluating your answer...');
         
+        const evaluationContext = {
+            jobTitle: this.state.jobTitle,
+            difficulty: this.state.difficulty,
+            codeSubmission: submission?.code ? submission : null,
+            diagramText: submission?.diagramText || null,
+            behavioral: this.isBehavioralQuestion(),
+            roundName: qa.roundName || null,
+            persona: this.state.currentPersona,
+            rubric: qa.bank?.rubric || null,
+            referenceAnswer: qa.bank?.referenceAnswer || '',
+            delivery
+        };
+        
         try {
             const evaluation = await this.ai.evaluateAnswer(
                 this.state.currentQuestion,
                 answer,
+                evaluationContext,
                 {
-                    jobTitle: this.state.jobTitle,
-                    difficulty: this.state.difficulty
+                    onToken: (delta, text) => this.renderStreamingFeedback(text)
                 }
             );
             
             this.state.evaluations.push(evaluation);
             this.state.pendingEvaluation = evaluation;
-            
-            this.displayEvaluationFeedback(evaluation);
-            
-            if (this.state.followUpCount < 2 && evaluation.shouldFollowUp) {
-                this.state.followUpCount++;
-                this.state.waitingForFollowUp = true;
-                
-                setTimeout(() => {
-                    this.hideFeedbackContainer();
-                    
-                    const followUpQuestion = evaluation.followUpTopic 
-                        ? `Regarding ${evaluation.followUpTopic}: ${this.state.currentQuestion}`
-                        : `Can you elaborate more on that?`;
-                    
-                    this.state.currentQuestion = followUpQuestion;
-                    this.displayQuestion(followUpQuestion);
-                    this.speakText(followUpQuestion);
-                    this.enableAnswerInput();
-                }, 4000);
-                
-                return;
+            if (evaluation.star) {
+                qa.star = evaluation.star;
             }
-            
-            this.state.followUpCount = 0;
-            this.state.waitingForFollowUp = false;
-            
-            const now = Date.now();
-            const timeRemaining = this.state.endTime - now;
-            const questionCount = this.state.conversationHistory.length;
-            
-            if (timeRemaining <= 2000 || questionCount >= 15) {
-                setTimeout(() => this.hideFeedbackContainer(), 3000);
-                setTimeout(() => this.endInterview(), 4000);
-            } else {
-                setTimeout(() => {
-                    this.hideFeedbackContainer();
-                    this.generateNextQuestion();
-                }, 4000);
+            if (evaluation.rubric) {
+                qa.rubric = evaluation.rubric;
             }
             
+            this.displayEvaluationFeedback(evaluation, delivery);
+            this.scheduleNextStep(evaluation);
+            
         } catch (error) {
             console.error('Answer evaluation failed:', error);
             
-            const mockEvaluation = this.ai.generateMockEvaluation(this.state.currentQuestion, answer);
+            const mockEvaluation = this.ai.markFallback(
+                this.ai.generateOfflineEvaluation(this.state.currentQuestion, answer, evaluationContext),
+                error
+            );
             this.state.evaluations.push(mockEvaluation);
-            this.displayEvaluationFeedback(mockEvaluation);
+            if (mockEvaluation.star) {
+                qa.star = mockEvaluation.star;
+            }
+            if (mockEvaluation.rubric) {
+                qa.rubric = mockEvaluation.rubric;
+            }
+            this.displayEvaluationFeedback(mockEvaluation, delivery);
+            this.scheduleNextStep({ ...mockEvaluation, shouldFollowUp: false });
+        }
+    }
+
+    /**
+     * After an evaluation: follow up, ask the next question or close the interview.
+     * The delay lets the candidate read the feedback and is cancelled if the state changes.
+     */
+    scheduleNextStep(evaluation) {
+        const timeRemaining = this.state.endTime - Date.now();
+        const questionCount = this.state.conversationHistory.length;
+        const plan = this.state.plan;
+        const roundOver = plan && this.state.roundEndTime - Date.now() <= 2000;
+        const lastRound = !plan || this.state.roundIndex >= plan.rounds.length - 1;
+        const outOfTime = timeRemaining <= 2000 || questionCount >= this.getQuestionLimit() || (roundOver && lastRound);
+        
+        if (!outOfTime && !roundOver && this.state.followUpCount < 2 && evaluation.shouldFollowUp) {
+            this.state.followUpCount++;
+            
+            const followUpQuestion = evaluation.followUpTopic 
+                ? `Regarding ${evaluation.followUpTopic}: ${this.state.currentQuestion}`
+                : `Can you elaborate more on that?`;
+            this.checkpointSession(followUpQuestion);
             
-            setTimeout(() => {
+            this.machine.transition(S.FOLLOW_UP, evaluation.followUpTopic || 'elaborate');
+            this.machine.schedule(() => this.askFollowUp(followUpQuestion), 4000);
+            return;
+        }
+        
+        this.state.followUpCount = 0;
+        this.checkpointSession();
+        
+        if (outOfTime) {
+            this.machine.schedule(() => this.endInterview(questionCount >= this.getQuestionLimit() ? 'question limit reached' : 'time up'), 4000);
+        } else if (roundOver) {
+            this.machine.schedule(() => {
+                this.hideFeedbackContainer();
+                this.startRound(this.state.roundIndex + 1);
+            }, 4000);
+        } else {
+            this.machine.schedule(() => {
                 this.hideFeedbackContainer();
                 this.generateNextQuestion();
-            }, 3000);
+            }, 4000);
+        }
+    }
+
+    askFollowUp(question) {
+        if (!this.machine.is(S.FOLLOW_UP) && !this.machine.transition(S.FOLLOW_UP, 'resumed follow-up')) {
+            return;
+        }
+        
+        this.hideFeedbackContainer();
+        
+        // Follow-ups on a coding problem are answered verbally
+        this.showCodePane(null);
+        
+        this.state.currentQuestion = question;
+        this.state.currentBankQuestion = null;
+        this.displayQuestion(question);
+        this.speakText(question);
+        this.enableAnswerInput();
+        
+        if (this.elements.questionNumber) {
+            this.elements.questionNumber.textContent = this.state.conversationHistory.length + 1;
         }
     }
 
@@ -693,7 +2216,35 @@ export class InterviewEngine {
         }
     }
 
-    displayEvaluationFeedback(evaluation) {
+    /**
+     * Render strengths/weaknesses/feedback as the evaluation JSON streams in
+     */
+    renderStreamingFeedback(rawText) {
+        if (!this.elements.feedbackContainer) return;
+        
+        const fields = extractPartialFields(rawText, ['strengths', 'weaknesses', 'feedback']);
+        if (Object.keys(fields).length === 0) return;
+        
+        let live = this.elements.feedbackContainer.querySelector('.streaming-feedback');
+        if (!live) {
+            this.elements.feedbackContainer.innerHTML = `
+                <h4 style="margin: 0 0 1rem 0; color: #6366f1;">Answer Analysis</h4>
+                <div class="streaming-feedback">
+                    <p style="margin: 0 0 0.5rem 0;"><strong>✅ Strengths:</strong> <span data-field="strengths"></span></p>
+                    <p style="margin: 0 0 0.5rem 0;"><strong>🔧 Areas to Improve:</strong> <span data-field="weaknesses"></span></p>
+                    <p style="margin: 0.5rem 0 0 0;"><strong>📝 Feedback:</strong> <span data-field="feedback"></span></p>
+                </div>
+            `;
+            live = this.elements.feedbackContainer.querySelector('.streaming-feedback');
+        }
+        
+        Object.entries(fields).forEach(([field, value]) => {
+            const target = live.querySelector(`[data-field="${field}"]`);
+            if (target) target.textContent = value;
+        });
+    }
+
+    displayEvaluationFeedback(evaluation, delivery = null) {
         if (!this.elements.feedbackContainer) return;
         
         const techPercent = Math.round(evaluation.technicalScore * 10);
@@ -703,6 +2254,12 @@ export class InterviewEngine {
         this.elements.feedbackContainer.innerHTML = `
             <h4 style="margin: 0 0 1rem 0; color: #6366f1;">Answer Analysis</h4>
             
+            ${evaluation.isFallback ? `
+                <p style="margin: 0 0 1rem 0; padding: 0.5rem 0.75rem; background: rgba(245, 158, 11, 0.15); border-radius: 0.5rem; color: #f59e0b; font-size: 0.85rem;">
+                    ⚠️ Offline estimate, not an AI score. ${escapeHtml(evaluation.fallbackReason)}
+                </p>
+            ` : ''}
+            
             <div style="margin-bottom: 1rem;">
                 <p style="margin: 0 0 0.5rem 0;"><strong>✅ Strengths:</strong> ${evaluation.strengths}</p>
                 <p style="margin: 0 0 0.5rem 0;"><strong>🔧 Areas to Improve:</strong> ${evaluation.weaknesses}</p>
@@ -723,6 +2280,10 @@ export class InterviewEngine {
                 </div>
             </div>
             
+            ${this.renderStarFeedback(evaluation.star)}
+            ${this.renderRubricFeedback(evaluation.rubric)}
+            ${this.renderDeliveryFeedback(delivery)}
+            
             <p style="margin: 0.5rem 0 0 0; padding: 0.75rem; background: rgba(99, 102, 241, 0.1); border-radius: 0.5rem;">
                 <strong>📝 Feedback:</strong> ${evaluation.feedback}
             </p>
@@ -735,6 +2296,96 @@ export class InterviewEngine {
         `;
     }
 
+    /**
+     * STAR coverage row for behavioral answers; missing components are flagged with a hint
+     */
+    renderStarFeedback(star) {
+        if (!star) return '';
+        
+        const missing = STAR_COMPONENTS.filter(c => star.missing?.includes(c.key));
+        
+        return `
+            <div class="star-feedback">
+                <div class="star-components">
+                    ${STAR_COMPONENTS.map(c => `
+                        <div class="star-component ${star.missing?.includes(c.key) ? 'missing' : ''}">
+                            <span class="star-letter">${c.label[0]}</span>
+                            <span class="star-label">${c.label}</span>
+                            <span class="star-score">${Math.round(star[c.key] * 10)}%</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${missing.length ? missing.map(c => `
+                    <p class="star-missing"><strong>Missing ${c.label}:</strong> ${c.hint}</p>
+                `).join('') : `
+                    <p class="star-complete">✅ Complete STAR structure</p>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Rubric criteria hit or missed; pitfalls count as hit when the answer avoided them
+     */
+    renderRubricFeedback(rubric) {
+        if (!rubric?.criteria?.length) return '';
+        
+        const status = item => item.met === null ? 'unassessed' : item.met ? 'met' : 'missed';
+        const icon = { met: '✅', missed: '❌', unassessed: '➖' };
+        
+        return `
+            <div class="rubric-feedback">
+                <div class="rubric-header">
+                    <strong>📋 Rubric</strong>
+                    <span>${rubric.criteria.filter(item => item.met).length}/${rubric.criteria.length} criteria met${rubric.score !== null ? ` · ${Math.round(rubric.score * 10)}%` : ''}</span>
+                </div>
+                <ul class="rubric-criteria">
+                    ${rubric.criteria.map(item => `
+                        <li class="rubric-criterion ${status(item)}">
+                            <span>${icon[status(item)]} ${escapeHtml(item.criterion)}${item.kind === 'pitfall' ? ' <em>(pitfall)</em>' : ''}</span>
+                            ${item.score !== null ? `<span class="rubric-score">${Math.round(item.score * 10)}%</span>` : ''}
+                            ${item.note ? `<small>${escapeHtml(item.note)}</small>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Pace, fillers, pauses and restarts of a spoken answer, with a tip for each that needs work
+     */
+    renderDeliveryFeedback(delivery) {
+        if (!delivery) return '';
+        
+        const ratings = deliveryRatings(delivery);
+        const fillers = delivery.fillers
+            ? Object.entries(delivery.fillers.counts).map(([word, count]) => `${word} ×${count}`).join(', ')
+            : '';
+        const metrics = [
+            ...(delivery.wordsPerMinute !== null ? [{ label: 'Pace', value: `${delivery.wordsPerMinute} wpm`, rating: ratings.pace, title: ratings.pace ? `Aim for ${PACE_RANGE.min}-${PACE_RANGE.max} wpm` : '' }] : []),
+            ...(delivery.fillers ? [{ label: 'Fillers', value: delivery.fillers.total, rating: ratings.fillers, title: fillers }] : []),
+            ...(delivery.longPauses !== null ? [{ label: 'Long pauses', value: delivery.longPauses, rating: ratings.pauses, title: `Longest ${delivery.longestPauseSeconds}s` }] : []),
+            { label: 'Restarts', value: delivery.restarts, rating: ratings.restarts, title: '' },
+            { label: 'Duration', value: formatDuration(delivery.durationSeconds), rating: '', title: delivery.startDelaySeconds !== null ? `Started speaking after ${delivery.startDelaySeconds}s` : '' }
+        ];
+        
+        return `
+            <div class="delivery-feedback">
+                <strong>🎙️ Delivery</strong>
+                <div class="delivery-metrics">
+                    ${metrics.map(metric => `
+                        <div class="delivery-metric ${metric.rating}" title="${escapeHtml(metric.title)}">
+                            <span class="delivery-value">${metric.value}</span>
+                            <span class="delivery-label">${metric.label}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${deliveryTips(delivery).map(tip => `<p class="delivery-tip">${escapeHtml(tip)}</p>`).join('')}
+            </div>
+        `;
+    }
+
     getScoreColor(score) {
         if (score >= 80) return '#10b981';
         if (score >= 60) return '#f59e0b';
@@ -748,7 +2399,7 @@ export class InterviewEngine {
         
         this.elements.historyList.innerHTML = history.map((qa, i) => `
             <div class="history-item">
-                <div class="history-question">Q: ${qa.question.substring(0, 60)}${qa.question.length > 60 ? '...' : ''}</div>
+                <div class="history-question">${qa.persona ? `${qa.persona.name}: ` : 'Q: '}${qa.question.substring(0, 60)}${qa.question.length > 60 ? '...' : ''}</div>
                 <div class="history-answer">A: ${qa.answer.substring(0, 40)}${qa.answer.length > 40 ? '...' : ''}</div>
             </div>
         `).join('');
@@ -756,13 +2407,31 @@ export class InterviewEngine {
 
     async endInterviewDueToTimeout() {
         clearInterval(this.state.timerInterval);
+        if (!this.machine.can(S.CLOSING)) return;
+        
         this.updateAIState('complete', 'Time is up! Generating final analysis...');
-        await this.endInterview();
+        await this.endInterview('time up');
     }
 
-    async endInterview() {
+    async endInterview(reason = 'interview complete') {
+        if (!this.machine.transition(S.CLOSING, reason)) return;
+        
+        if (this.state.isPaused) {
+            this.resumeInterview();
+        }
         clearInterval(this.state.timerInterval);
-        this.state.status = 'evaluating';
+        // The clock stops here, not once the final analysis comes back
+        this.state.endedAt = Date.now();
+        if (this.state.isRecording) {
+            this.voice.stopListening();
+            this.state.isRecording = false;
+        }
+        this.disableAnswerInput();
+        if (this.elements.pauseBtn) {
+            this.elements.pauseBtn.disabled = true;
+        }
+        
+        this.machine.transition(S.ANALYSING, 'generating analysis');
         
         this.updateAIState('analyzing', 'Generating your comprehensive analysis...');
         
@@ -774,9 +2443,11 @@ export class InterviewEngine {
                 this.state.evaluations,
                 {
                     jobTitle: this.state.jobTitle,
-                    difficulty: this.state.difficulty,
+                    difficulty: this.describeDifficulty(),
                     duration: this.state.duration,
-                    mode: this.state.mode
+                    mode: this.state.mode,
+                    jdCoverage: this.calculateJdCoverage(),
+                    gapReport: this.state.gapReport
                 }
             );
             
@@ -784,33 +2455,74 @@ export class InterviewEngine {
             
             this.hideFeedbackContainer();
             
-            setTimeout(() => {
+            this.machine.schedule(() => {
                 window.location.href = `dashboard.html?highlight=${this.state.sessionId}`;
             }, 2000);
             
         } catch (error) {
             console.error('Analysis failed:', error);
             
-            const fallbackAnalysis = this.ai.generateMockAnalysis(
-                this.state.conversationHistory,
-                this.state.evaluations,
-                {
-                    jobTitle: this.state.jobTitle,
-                    difficulty: this.state.difficulty
-                }
+            const fallbackAnalysis = this.ai.markFallback(
+                this.ai.generateMockAnalysis(
+                    this.state.conversationHistory,
+                    this.state.evaluations,
+                    {
+                        jobTitle: this.state.jobTitle,
+                        difficulty: this.describeDifficulty(),
+                        jdCoverage: this.calculateJdCoverage()
+                    }
+                ),
+                error
             );
             
             this.saveInterviewResult(fallbackAnalysis);
             
             this.hideFeedbackContainer();
             
-            setTimeout(() => {
+            this.machine.schedule(() => {
                 window.location.href = `dashboard.html?highlight=${this.state.sessionId}`;
             }, 2000);
         }
     }
 
+    /**
+     * Average scores per plan round; evaluations line up with conversationHistory entries
+     */
+    calculateRoundScores() {
+        const average = values => values.length
+            ? Math.round(values.reduce((a, b) => a + b, 0) / values.length * 10)
+            : 0;
+        
+        return this.state.plan.rounds.map((round, index) => {
+            const evaluations = this.state.evaluations.filter((e, i) => this.state.conversationHistory[i]?.round === index);
+            const technical = average(evaluations.map(e => e.technicalScore || 0));
+            const communication = average(evaluations.map(e => e.communicationScore || 0));
+            const confidence = average(evaluations.map(e => e.confidenceScore || 0));
+            
+            return {
+                name: round.name,
+                mode: round.mode,
+                minutes: round.minutes,
+                questions: evaluations.length,
+                technical,
+                communication,
+                confidence,
+                score: evaluations.length ? Math.round((technical + communication + confidence) / 3) : null
+            };
+        });
+    }
+
+    /**
+     * Coverage of the job description requirements the candidate kept; null without a parsed JD
+     */
+    calculateJdCoverage() {
+        if (!this.state.jobProfile) return null;
+        return calculateCoverage(this.state.jobProfile.requirements, this.state.conversationHistory, this.state.evaluations);
+    }
+
     saveInterviewResult(analysis) {
+        this.machine.transition(S.DONE, analysis.isFallback ? 'offline analysis' : 'analysis complete');
+        
         const technicalScores = this.state.evaluations.map(e => (e.technicalScore || 0) * 10);
         const communicationScores = this.state.evaluations.map(e => (e.communicationScore || 0) * 10);
         const confidenceScores = this.state.evaluations.map(e => (e.confidenceScore || 0) * 10);
@@ -827,14 +2539,35 @@ export class InterviewEngine {
         
         const overallScore = Math.round((avgTechnical + avgCommunication + avgConfidence) / 3);
         
+        // Time actually spent in the interview, excluding pauses and the final analysis
+        const remaining = Math.max(0, this.state.endTime - (this.state.endedAt || Date.now()));
+        const activeTime = Math.round((this.state.duration * 60 * 1000 - remaining) / 1000);
+        
+        if (this.state.plan) {
+            analysis.roundScores = this.calculateRoundScores();
+        }
+        if (this.state.jobProfile) {
+            analysis.jdCoverage = this.calculateJdCoverage();
+        }
+        
         const interviewData = {
             id: this.state.sessionId,
             timestamp: Date.now(),
-            mode: this.state.mode,
+            mode: this.state.plan ? 'plan' : this.state.mode,
             modeDisplayName: this.state.modeDisplayName,
             jobTitle: this.state.jobTitle,
-            difficulty: this.state.difficulty,
+            difficulty: this.state.startDifficulty,
+            adaptive: this.state.adaptive,
+            finalDifficulty: this.state.difficulty,
             duration: this.state.duration,
+            activeTime,
+            pausedTime: Math.round(this.state.totalPausedTime / 1000),
+            transitions: this.machine.getLog(),
+            plan: this.state.plan,
+            panel: this.state.mode === 'panel' ? this.state.panel : null,
+            turnPolicy: this.state.mode === 'panel' ? this.state.turnPolicy : null,
+            jobProfile: this.state.jobProfile,
+            gapReport: this.state.gapReport,
             conversationHistory: this.state.conversationHistory,
             evaluations: this.state.evaluations,
             analysis: analysis,
@@ -845,6 +2578,7 @@ export class InterviewEngine {
         };
         
         this.storage.saveInterview(interviewData);
+        this.storage.clearActiveSession();
     }
 
     async handleResumeFile(file) {
@@ -864,8 +2598,15 @@ export class InterviewEngine {
         try {
             const resumeData = await this.ai.processResume(file);
             this.state.resumeData = resumeData;
+            this.clearGapReport();
             
-            this.ui.showToast('Resume processed successfully!', 'success');
+            if (resumeData.isFallback) {
+                this.ui.showToast(`AI analysis failed (${resumeData.fallbackReason}). Resume parsed offline instead.`, 'warning', 6000);
+            } else if (resumeData.parsedOffline) {
+                this.ui.showToast(`Resume parsed offline: ${resumeData.skills.length} skills, ${resumeData.experience.length} roles found.`, 'success');
+            } else {
+                this.ui.showToast('Resume processed successfully!', 'success');
+            }
             
             if (this.elements.continueBtn) {
                 this.elements.continueBtn.disabled = false;
@@ -880,11 +2621,12 @@ export class InterviewEngine {
             }
             
         } catch (error) {
+            // Keep the upload open so another file can be tried
             console.error('Resume processing failed:', error);
-            this.ui.showToast('Failed to process resume. Using default mode.', 'error');
+            this.ui.showToast(`Could not read ${file.name}: ${error.message}`, 'error', 6000);
             
+            this.resetResumeUpload();
             if (this.elements.continueBtn) {
-                this.elements.continueBtn.disabled = false;
                 this.elements.continueBtn.textContent = 'Continue Interview →';
             }
         }
@@ -892,6 +2634,7 @@ export class InterviewEngine {
 
     resetResumeUpload() {
         this.state.resumeData = null;
+        this.clearGapReport();
         
         if (this.elements.filePreview) {
             this.elements.filePreview.style.display = 'none';
@@ -904,6 +2647,17 @@ export class InterviewEngine {
         }
     }
 
+    /**
+     * A new resume makes the previous gap report stale
+     */
+    clearGapReport() {
+        this.gapAnalysis = null;
+        if (this.elements.gapReport) {
+            this.elements.gapReport.style.display = 'none';
+            this.elements.gapReport.innerHTML = '';
+        }
+    }
+
     generateSessionId() {
         return 'int_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
@@ -0,0 +1,115 @@
+/**
+ * Interview Languages
+ * The language and accent an interview is held in: BCP 47 code for speech recognition and
+ * synthesis, preferred TTS voices for the accent, and the instruction added to LLM prompts
+ */
+
+export const DEFAULT_LANGUAGE = 'en-US';
+
+export const INTERVIEW_LANGUAGES = {
+    'en-US': { label: 'English (US)', name: 'English', voices: ['Google US English', 'Samantha', 'Microsoft Aria', 'Alex'] },
+    'en-GB': { label: 'English (UK)', name: 'British English', voices: ['Google UK English Female', 'Google UK English Male', 'Daniel', 'Microsoft Sonia'] },
+    'en-IN': { label: 'English (India)', name: 'Indian English', voices: ['Rishi', 'Veena', 'Microsoft Neerja', 'Microsoft Heera'] },
+    'en-AU': { label: 'English (Australia)', name: 'Australian English', voices: ['Karen', 'Microsoft Natasha', 'Google Australian English'] },
+    'es-ES': { label: 'Español (España)', name: 'Spanish', voices: ['Google español', 'Monica', 'Microsoft Elvira'] },
+    'es-MX': { label: 'Español (México)', name: 'Mexican Spanish', voices: ['Paulina', 'Microsoft Dalia', 'Google español de Estados Unidos'] },
+    'fr-FR': { label: 'Français', name: 'French', voices: ['Google français', 'Thomas', 'Amelie', 'Microsoft Denise'] },
+    'de-DE': { label: 'Deutsch', name: 'German', voices: ['Google Deutsch', 'Anna', 'Microsoft Katja'] },
+    'pt-BR': { label: 'Português (Brasil)', name: 'Brazilian Portuguese', voices: ['Google português do Brasil', 'Luciana', 'Microsoft Francisca'] },
+    'hi-IN': { label: 'हिन्दी', name: 'Hindi', voices: ['Google हिन्दी', 'Lekha', 'Microsoft Swara'] },
+    'zh-CN': { label: '中文 (普通话)', name: 'Mandarin Chinese (Simplified)', voices: ['Google 普通话（中国大陆）', 'Tingting', 'Microsoft Xiaoxiao'] },
+    'ja-JP': { label: '日本語', name: 'Japanese', voices: ['Google 日本語', 'Kyoko', 'Microsoft Nanami'] }
+};
+
+// Scripts written without spaces between words
+const UNSPACED_SCRIPTS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+
+const wordSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'word' })
+    : null;
+
+// Voice preview lines, by language
+const SAMPLE_LINES = {
+    en: 'Hi, I will be your interviewer today. Tell me about a project you are proud of.',
+    es: 'Hola, hoy seré tu entrevistador. Cuéntame sobre un proyecto del que estés orgulloso.',
+    fr: 'Bonjour, je serai votre intervieweur aujourd\'hui. Parlez-moi d\'un projet dont vous êtes fier.',
+    de: 'Hallo, ich führe heute Ihr Interview. Erzählen Sie mir von einem Projekt, auf das Sie stolz sind.',
+    pt: 'Olá, hoje serei seu entrevistador. Fale sobre um projeto do qual você se orgulha.',
+    hi: 'नमस्ते, आज मैं आपका इंटरव्यू लूँगा। मुझे किसी ऐसे प्रोजेक्ट के बारे में बताइए जिस पर आपको गर्व है।',
+    zh: '你好，我是今天的面试官。请介绍一个你引以为豪的项目。',
+    ja: 'こんにちは、本日の面接を担当します。誇りに思っているプロジェクトについて教えてください。'
+};
+
+export function languageInfo(code) {
+    return INTERVIEW_LANGUAGES[code] || INTERVIEW_LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+function baseLanguage(code) {
+    return String(code || '').toLowerCase().replace('_', '-').split('-')[0];
+}
+
+export function sampleLine(code) {
+    return SAMPLE_LINES[baseLanguage(code || DEFAULT_LANGUAGE)] || SAMPLE_LINES.en;
+}
+
+export function isEnglish(code) {
+    return baseLanguage(code || DEFAULT_LANGUAGE) === 'en';
+}
+
+/**
+ * Words of text in any script. pattern matches a run of word characters (with the g and u
+ * flags); runs in a script without spaces, like Chinese or Japanese, are split into words by
+ * Intl.Segmenter, or into characters where the browser lacks it
+ */
+export function splitWords(text, pattern = /[\p{L}\p{M}\p{N}']+/gu) {
+    return (String(text || '').match(pattern) || []).flatMap(run => {
+        if (!UNSPACED_SCRIPTS.test(run)) return [run];
+        return wordSegmenter
+            ? [...wordSegmenter.segment(run)].filter(part => part.isWordLike).map(part => part.segment)
+            : [...run];
+    });
+}
+
+/**
+ * Whether content written in `language` suits an interview in `code`; regional variants
+ * share a language, and content without a language is taken to be English
+ */
+export function languageMatches(language, code) {
+    return baseLanguage(language || 'en') === baseLanguage(code || DEFAULT_LANGUAGE);
+}
+
+/**
+ * Voices for the language, the accent's own first: [...exact region, ...other regions]
+ */
+export function voicesForLanguage(voices, code) {
+    const wanted = String(code || DEFAULT_LANGUAGE).toLowerCase();
+    const lang = voice => String(voice.lang || '').toLowerCase().replace('_', '-');
+
+    const exact = voices.filter(voice => lang(voice) === wanted);
+    const sameLanguage = voices.filter(voice => lang(voice) !== wanted && baseLanguage(voice.lang) === baseLanguage(wanted));
+    return [...exact, ...sameLanguage];
+}
+
+/**
+ * Best TTS voice for the language and accent: a preferred name (e.g. a persona's) that
+ * speaks it, then one of the accent's usual voices, then any voice for the language
+ */
+export function pickLanguageVoice(voices, code, preferred = []) {
+    const candidates = voicesForLanguage(voices, code);
+    const named = names => candidates.find(voice => names.some(name => voice.name.includes(name)));
+
+    return named(preferred) || named(languageInfo(code).voices) || candidates[0] || null;
+}
+
+/**
+ * Instruction appended to the system prompt of candidate-facing LLM calls
+ */
+export function languageInstruction(code) {
+    if (!code || code === DEFAULT_LANGUAGE) return '';
+
+    const { name } = languageInfo(code);
+    if (isEnglish(code)) {
+        return `Use ${name} spelling and phrasing.`;
+    }
+    return `Conduct the interview in ${name}: write every question, piece of feedback and summary in ${name}. Keep JSON keys, enum values and code identifiers in English.`;
+}
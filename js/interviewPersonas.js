@@ -0,0 +1,116 @@
+/**
+ * Interview Panel Personas
+ * Each interviewer on a panel has a system prompt, focus area, TTS voice and avatar colour.
+ * Turn policies decide who asks the next new question; follow-ups stay with whoever asked.
+ */
+
+import { DEFAULT_LANGUAGE, voicesForLanguage } from './interviewLanguages.js';
+
+export const PERSONAS = {
+    'hiring-manager': {
+        id: 'hiring-manager',
+        name: 'Jordan',
+        title: 'Hiring Manager',
+        color: '#14b8a6',
+        focus: 'role fit, impact, ownership and how the candidate prioritises',
+        systemPrompt: 'You are the hiring manager on an interview panel. You care about impact, ownership, prioritisation and whether the candidate will succeed in this team. Ask practical questions about past work and how they make decisions.',
+        // Offline questions; the other personas reuse the technical and behavioral banks
+        questions: jobTitle => [
+            `What is the piece of work you are proudest of, and what was your specific impact?`,
+            `How do you decide what to work on when everything on your plate feels urgent?`,
+            `What would you want to accomplish in your first 90 days as a ${jobTitle}?`,
+            `Tell me about a time you had to trade quality for speed. How did you decide?`,
+            `How do you keep stakeholders informed when a project is slipping?`,
+            `What kind of team and manager do you do your best work with?`
+        ],
+        voice: { preferred: ['Google US English', 'Alex', 'Microsoft David'], rate: 0.95, pitch: 0.9 }
+    },
+    'senior-engineer': {
+        id: 'senior-engineer',
+        name: 'Sam',
+        title: 'Senior Engineer',
+        color: '#6366f1',
+        focus: 'technical depth, trade-offs and problem solving',
+        systemPrompt: 'You are a senior engineer on an interview panel. You probe technical depth: how things work under the hood, trade-offs between approaches, debugging and design decisions. Ask one precise technical question at a time.',
+        questionMode: 'custom',
+        voice: { preferred: ['Google UK English Male', 'Daniel', 'Microsoft Mark'], rate: 1, pitch: 1 }
+    },
+    'hr-partner': {
+        id: 'hr-partner',
+        name: 'Riley',
+        title: 'HR Partner',
+        color: '#ec4899',
+        focus: 'collaboration, conflict, values and growth, answered in STAR form',
+        systemPrompt: 'You are the HR partner on an interview panel. You assess collaboration, conflict handling, values and growth with competency-based "tell me about a time" questions that invite STAR answers.',
+        questionMode: 'behavioral',
+        voice: { preferred: ['Google UK English Female', 'Samantha', 'Microsoft Zira'], rate: 0.9, pitch: 1.15 }
+    }
+};
+
+export const PERSONA_IDS = Object.keys(PERSONAS);
+
+export const TURN_POLICIES = {
+    'round-robin': 'Take turns in order',
+    'weakest-area': 'Whoever covers your weakest area so far asks next'
+};
+
+/**
+ * Persona to ask the next new question.
+ * history and evaluations are parallel arrays; history entries carry the persona id that asked.
+ */
+export function nextPersona(panel, history = [], evaluations = [], policy = 'round-robin') {
+    const ids = panel.filter(id => PERSONAS[id]);
+    if (!ids.length) return null;
+
+    const asked = history.filter(qa => !qa.followUp && qa.persona);
+    const lastId = asked.length ? asked[asked.length - 1].persona.id : null;
+    const roundRobin = ids[(ids.indexOf(lastId) + 1) % ids.length];
+
+    if (policy !== 'weakest-area' || asked.length < ids.length) {
+        // Everyone introduces themselves with one question before scores steer the turns
+        return PERSONAS[roundRobin];
+    }
+
+    const averages = ids.map(id => {
+        const scores = history
+            .map((qa, i) => (qa.persona?.id === id && evaluations[i] ? evaluations[i] : null))
+            .filter(Boolean)
+            .map(e => ((e.technicalScore || 0) + (e.communicationScore || 0) + (e.confidenceScore || 0)) / 3);
+        return scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : 10;
+    });
+
+    // Don't let one interviewer ask twice in a row unless they're alone on the panel
+    const candidates = ids
+        .map((id, i) => ({ id, average: averages[i] }))
+        .filter(candidate => ids.length === 1 || candidate.id !== lastId)
+        .sort((a, b) => a.average - b.average);
+
+    return PERSONAS[candidates[0].id];
+}
+
+/**
+ * A browser voice for the persona in the interview language: a preferred name if installed,
+ * otherwise a different voice per panel seat so the interviewers don't all sound alike
+ */
+export function pickPersonaVoice(voices, persona, seat = 0, language = DEFAULT_LANGUAGE) {
+    const pool = voicesForLanguage(voices, language);
+    if (!pool.length) return null;
+
+    const preferred = pool.find(v => persona.voice.preferred.some(name => v.name.includes(name)));
+    if (preferred) return preferred;
+
+    // Leave the voices other interviewers prefer free for them
+    const claimed = Object.values(PERSONAS)
+        .filter(other => other.id !== persona.id)
+        .flatMap(other => other.voice.preferred);
+    const unclaimed = pool.filter(v => !claimed.some(name => v.name.includes(name)));
+    const choices = unclaimed.length ? unclaimed : pool;
+    return choices[seat % choices.length];
+}
+
+/**
+ * Credit line used in transcripts, e.g. "Jordan (Hiring Manager)"
+ */
+export function personaLabel(persona) {
+    return persona ? `${persona.name} (${persona.title})` : '';
+}
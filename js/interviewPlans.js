@@ -0,0 +1,167 @@
+/**
+ * Interview Plans
+ * An ordered list of rounds, each with its own mode, difficulty, topics and time box.
+ * Plans are plain JSON so teams can author their own and import them on the setup screen:
+ *
+ * {
+ *   "name": "Frontend Loop",
+ *   "rounds": [
+ *     { "name": "Intro", "mode": "intro", "minutes": 2 },
+ *     { "name": "JavaScript", "mode": "technical", "minutes": 10, "difficulty": "hard", "topics": ["closures", "event loop"] },
+ *     { "name": "Behavioral", "mode": "behavioral", "minutes": 5, "topics": ["conflict"] },
+ *     { "name": "Your Questions", "mode": "candidate-questions", "minutes": 3 }
+ *   ]
+ * }
+ */
+
+import { DIFFICULTY_LEVELS } from './adaptiveDifficulty.js';
+import { COMPETENCY_IDS } from './behavioralQuestions.js';
+
+// Round modes and the engine mode each one runs as
+export const ROUND_MODES = {
+    'intro': { label: 'Introduction', engineMode: 'intro' },
+    'technical': { label: 'Technical', engineMode: 'custom' },
+    'coding': { label: 'Live Coding', engineMode: 'coding' },
+    'system-design': { label: 'System Design', engineMode: 'system-design' },
+    'behavioral': { label: 'Behavioral', engineMode: 'behavioral' },
+    'candidate-questions': { label: 'Candidate Questions', engineMode: 'candidate-questions' }
+};
+
+export const MAX_ROUND_MINUTES = 60;
+
+export const BUILT_IN_PLANS = [
+    {
+        id: 'standard-loop',
+        name: 'Standard Loop',
+        description: 'Intro, technical deep dive, behavioral and your questions',
+        rounds: [
+            { name: 'Introduction', mode: 'intro', minutes: 2, difficulty: 'easy', topics: [] },
+            { name: 'Technical', mode: 'technical', minutes: 10, difficulty: 'medium', topics: [] },
+            { name: 'Behavioral', mode: 'behavioral', minutes: 5, difficulty: 'medium', topics: [] },
+            { name: 'Your Questions', mode: 'candidate-questions', minutes: 3, difficulty: 'easy', topics: [] }
+        ]
+    },
+    {
+        id: 'engineering-onsite',
+        name: 'Engineering Onsite',
+        description: 'Coding, system design and behavioral rounds',
+        rounds: [
+            { name: 'Introduction', mode: 'intro', minutes: 2, difficulty: 'easy', topics: [] },
+            { name: 'Coding', mode: 'coding', minutes: 20, difficulty: 'medium', topics: [] },
+            { name: 'System Design', mode: 'system-design', minutes: 20, difficulty: 'hard', topics: [] },
+            { name: 'Behavioral', mode: 'behavioral', minutes: 8, difficulty: 'medium', topics: ['ownership', 'conflict'] },
+            { name: 'Your Questions', mode: 'candidate-questions', minutes: 3, difficulty: 'easy', topics: [] }
+        ]
+    },
+    {
+        id: 'phone-screen',
+        name: 'Phone Screen',
+        description: 'Short intro and technical screen',
+        rounds: [
+            { name: 'Introduction', mode: 'intro', minutes: 2, difficulty: 'easy', topics: [] },
+            { name: 'Technical Screen', mode: 'technical', minutes: 8, difficulty: 'medium', topics: [] }
+        ]
+    }
+];
+
+export class PlanValidationError extends Error {
+    constructor(message, field = null) {
+        super(field ? `${field}: ${message}` : message);
+        this.name = 'PlanValidationError';
+        this.field = field;
+    }
+}
+
+/**
+ * Validate a plan (object or JSON string) and fill in defaults; throws PlanValidationError naming the field
+ */
+export function parsePlan(input) {
+    let plan = input;
+    if (typeof input === 'string') {
+        try {
+            plan = JSON.parse(input);
+        } catch (error) {
+            throw new PlanValidationError(`invalid JSON (${error.message})`);
+        }
+    }
+
+    if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+        throw new PlanValidationError('plan must be a JSON object');
+    }
+    if (typeof plan.name !== 'string' || !plan.name.trim()) {
+        throw new PlanValidationError('is required', 'name');
+    }
+    if (!Array.isArray(plan.rounds) || plan.rounds.length === 0) {
+        throw new PlanValidationError('must be a non-empty array', 'rounds');
+    }
+
+    const rounds = plan.rounds.map((round, i) => {
+        const field = `rounds[${i}]`;
+        if (!round || typeof round !== 'object') {
+            throw new PlanValidationError('must be an object', field);
+        }
+        if (!ROUND_MODES[round.mode]) {
+            throw new PlanValidationError(`must be one of ${Object.keys(ROUND_MODES).join(', ')}`, `${field}.mode`);
+        }
+
+        const minutes = Number(round.minutes);
+        if (!Number.isFinite(minutes) || minutes < 1 || minutes > MAX_ROUND_MINUTES) {
+            throw new PlanValidationError(`must be between 1 and ${MAX_ROUND_MINUTES}`, `${field}.minutes`);
+        }
+
+        const difficulty = round.difficulty ?? 'medium';
+        if (!DIFFICULTY_LEVELS.includes(difficulty)) {
+            throw new PlanValidationError(`must be one of ${DIFFICULTY_LEVELS.join(', ')}`, `${field}.difficulty`);
+        }
+
+        const topics = round.topics ?? [];
+        if (!Array.isArray(topics) || topics.some(topic => typeof topic !== 'string')) {
+            throw new PlanValidationError('must be an array of strings', `${field}.topics`);
+        }
+
+        return {
+            name: typeof round.name === 'string' && round.name.trim() ? round.name.trim() : ROUND_MODES[round.mode].label,
+            mode: round.mode,
+            minutes,
+            difficulty,
+            topics: topics.map(topic => topic.trim()).filter(Boolean)
+        };
+    });
+
+    return {
+        id: typeof plan.id === 'string' && plan.id ? plan.id : `plan_${Date.now()}`,
+        name: plan.name.trim(),
+        description: typeof plan.description === 'string' ? plan.description : '',
+        rounds
+    };
+}
+
+export function planDuration(plan) {
+    return plan.rounds.reduce((total, round) => total + round.minutes, 0);
+}
+
+/**
+ * Competencies a behavioral round should cover; topics naming a competency narrow the set
+ */
+export function roundCompetencies(round) {
+    const named = round.topics.map(topic => topic.toLowerCase()).filter(topic => COMPETENCY_IDS.includes(topic));
+    return named.length ? named : [...COMPETENCY_IDS];
+}
+
+/**
+ * What the interviewer says when a round starts
+ */
+export function announceRound(plan, index) {
+    const round = plan.rounds[index];
+    const minutes = `${round.minutes} minute${round.minutes === 1 ? '' : 's'}`;
+
+    if (index === 0) {
+        const outline = plan.rounds.map(r => r.name).join(', ');
+        return `Welcome! Today's interview has ${plan.rounds.length} round${plan.rounds.length === 1 ? '' : 's'}: ${outline}. ` +
+            `We'll start with ${round.name}, about ${minutes}.`;
+    }
+
+    return index === plan.rounds.length - 1
+        ? `Thanks. For the final round, ${round.name}, we have about ${minutes}.`
+        : `Thanks. Let's move on to round ${index + 1}, ${round.name}, for about ${minutes}.`;
+}
@@ -0,0 +1,108 @@
+/**
+ * Interview State Machine
+ * Guarded transitions for the interview flow, timers bound to the state that scheduled them,
+ * and a transition log saved with the session
+ */
+
+export const INTERVIEW_STATES = {
+    SETUP: 'setup',
+    ASKING: 'asking',
+    ANSWERING: 'answering',
+    EVALUATING: 'evaluating',
+    FOLLOW_UP: 'follow-up',
+    CLOSING: 'closing',
+    ANALYSING: 'analysing',
+    DONE: 'done'
+};
+
+const S = INTERVIEW_STATES;
+
+const TRANSITIONS = {
+    [S.SETUP]: [S.ASKING],
+    [S.ASKING]: [S.ANSWERING, S.CLOSING],
+    [S.ANSWERING]: [S.EVALUATING, S.CLOSING],
+    [S.EVALUATING]: [S.ASKING, S.FOLLOW_UP, S.CLOSING],
+    [S.FOLLOW_UP]: [S.ANSWERING, S.CLOSING],
+    [S.CLOSING]: [S.ANALYSING],
+    [S.ANALYSING]: [S.DONE],
+    [S.DONE]: []
+};
+
+export class InterviewStateMachine {
+    constructor(options = {}) {
+        this.current = S.SETUP;
+        this.log = [];
+        this.timers = new Set();
+        this.onTransition = options.onTransition || null;
+    }
+
+    get state() {
+        return this.current;
+    }
+
+    is(...states) {
+        return states.includes(this.current);
+    }
+
+    can(to) {
+        return (TRANSITIONS[this.current] || []).includes(to);
+    }
+
+    /**
+     * Move to another state; refused (returns false) when the transition is not allowed.
+     * Timers scheduled in the state being left are cancelled.
+     */
+    transition(to, reason = '') {
+        if (!this.can(to)) {
+            console.warn(`Interview transition refused: ${this.current} → ${to}${reason ? ` (${reason})` : ''}`);
+            return false;
+        }
+
+        const from = this.current;
+        this.cancelTimers();
+        this.current = to;
+        this.log.push({ from, to, reason, at: Date.now() });
+
+        if (this.onTransition) {
+            this.onTransition(to, from, reason);
+        }
+        return true;
+    }
+
+    /**
+     * setTimeout that only fires if the machine is still in the state it was scheduled from
+     */
+    schedule(callback, delay) {
+        const scheduledIn = this.current;
+        const id = setTimeout(() => {
+            this.timers.delete(id);
+            if (this.current === scheduledIn) {
+                callback();
+            }
+        }, delay);
+        this.timers.add(id);
+        return id;
+    }
+
+    cancelTimers() {
+        this.timers.forEach(id => clearTimeout(id));
+        this.timers.clear();
+    }
+
+    /**
+     * Resume from a checkpoint without replaying transitions
+     */
+    restore(state, log = []) {
+        this.cancelTimers();
+        this.current = TRANSITIONS[state] ? state : S.SETUP;
+        this.log = [...log, { from: null, to: this.current, reason: 'restored', at: Date.now() }];
+
+        if (this.onTransition) {
+            this.onTransition(this.current, null, 'restored');
+        }
+    }
+
+    getLog() {
+        return [...this.log];
+    }
+}
@@ -0,0 +1,49 @@
+/**
+ * Interviewer Voice
+ * The speechSynthesis voice, rate, pitch and volume the interviewer speaks with, from the
+ * voice settings, the interview language and the panel persona asking
+ */
+
+import { pickLanguageVoice } from './interviewLanguages.js';
+import { pickPersonaVoice } from './interviewPersonas.js';
+
+// Rate the rate slider defaults to; panel personas' own rates scale with the slider
+export const DEFAULT_RATE = 0.9;
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Installed voice with the saved name; a voice picked on another device may be missing
+ */
+export function findVoice(voices, name) {
+    return name ? voices.find(voice => voice.name === name) || null : null;
+}
+
+/**
+ * { voice, rate, pitch, volume } for an utterance. voiceSettings is the `voice` settings
+ * section: a voice picked for the persona, or for a single interviewer, wins over the
+ * automatic choice for the language. voice is null when no installed voice fits.
+ */
+export function resolveInterviewerVoice(voices, { voiceSettings = {}, language, persona = null, seat = 0 } = {}) {
+    const rate = Number(voiceSettings.rate) || DEFAULT_RATE;
+    const pitch = Number(voiceSettings.pitch ?? 1);
+    const volume = clamp(Number(voiceSettings.volume ?? 1), 0, 1);
+
+    if (persona) {
+        return {
+            voice: findVoice(voices, voiceSettings.personas?.[persona.id]) || pickPersonaVoice(voices, persona, seat, language),
+            rate: clamp(persona.voice.rate * rate / DEFAULT_RATE, 0.1, 10),
+            pitch: clamp(persona.voice.pitch * pitch, 0, 2),
+            volume
+        };
+    }
+
+    return {
+        voice: findVoice(voices, voiceSettings.name) || pickLanguageVoice(voices, language),
+        rate: clamp(rate, 0.1, 10),
+        pitch: clamp(pitch, 0, 2),
+        volume
+    };
+}
@@ -0,0 +1,184 @@
+/**
+ * Offline Job Description Parser
+ * Heuristic extraction of required skills, nice-to-haves, seniority and responsibilities
+ * from a pasted job description. Produces the same shape as the LLM job description parser,
+ * and reports how well an interview covered each requirement the candidate selected.
+ */
+
+import { findTechnologies, getTechEntry } from './techDictionary.js';
+import { answerScore } from './adaptiveDifficulty.js';
+
+const SECTION_HEADINGS = {
+    responsibilities: ['responsibilities', 'key responsibilities', 'your responsibilities', 'what you will do', 'what youll do', 'what you will be doing', 'the role', 'your role', 'about the role', 'duties', 'day to day', 'your impact'],
+    required: ['requirements', 'required', 'required skills', 'required qualifications', 'qualifications', 'minimum qualifications', 'basic qualifications', 'must have', 'must haves', 'what you bring', 'what we are looking for', 'what were looking for', 'who you are', 'skills', 'skills & experience', 'experience'],
+    niceToHave: ['nice to have', 'nice to haves', 'nice to have skills', 'preferred', 'preferred qualifications', 'preferred skills', 'bonus', 'bonus points', 'pluses', 'good to have', 'desired skills', 'extra credit']
+};
+
+// Clauses in a requirements list that are really nice-to-haves
+const OPTIONAL_CUES = /\b(nice to have|preferred|is a plus|a plus|bonus|ideally|desirable|good to have)\b/i;
+const BULLET_PATTERN = /^\s*(?:[-•*●▪◦‣·–]|\d+[.)])\s+/;
+const YEARS_PATTERN = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?(?:years|yrs)/i;
+
+export const SENIORITY_LEVELS = {
+    junior: { label: 'Junior', difficulty: 'easy' },
+    mid: { label: 'Mid-level', difficulty: 'medium' },
+    senior: { label: 'Senior', difficulty: 'hard' },
+    lead: { label: 'Lead / Staff', difficulty: 'critical' }
+};
+
+const MAX_SKILLS = 12;
+const MAX_RESPONSIBILITIES = 8;
+
+/**
+ * { requiredSkills, niceToHave, seniority, yearsRequired, responsibilities }
+ */
+export function parseJobDescriptionText(text, jobTitle = '') {
+    const lines = String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim());
+
+    const sections = splitSections(lines);
+
+    // Optional clauses ("Kubernetes is a plus") move to the nice-to-haves; without a
+    // requirements section every other technology mentioned counts as required
+    const listed = clauses(sections.required.length ? sections.required : lines);
+    const required = listed.filter(clause => !OPTIONAL_CUES.test(clause));
+    const optional = [...sections.niceToHave, ...listed.filter(clause => OPTIONAL_CUES.test(clause))];
+
+    const niceToHave = names(findTechnologies(optional.join('\n')));
+
+    const requiredText = sections.required.length ? [...required, ...sections.responsibilities] : required;
+    const requiredSkills = names(findTechnologies(requiredText.join('\n'))).filter(name => !niceToHave.includes(name));
+
+    const yearsMatch = lines.join(' ').match(YEARS_PATTERN);
+    const yearsRequired = yearsMatch ? parseInt(yearsMatch[1], 10) : null;
+
+    return {
+        requiredSkills: requiredSkills.slice(0, MAX_SKILLS),
+        niceToHave: niceToHave.slice(0, MAX_SKILLS),
+        seniority: inferSeniority(jobTitle, lines.join(' '), yearsRequired),
+        yearsRequired,
+        responsibilities: parseResponsibilities(sections)
+    };
+}
+
+function matchHeading(line) {
+    const normalized = line.toLowerCase().replace(/[:|_\-–—]+$/g, '').replace(/[^a-z& ]/g, '').trim();
+    if (!normalized || line.length > 50) return null;
+
+    for (const [section, headings] of Object.entries(SECTION_HEADINGS)) {
+        if (headings.includes(normalized)) return section;
+    }
+    return null;
+}
+
+function splitSections(lines) {
+    const sections = { intro: [], responsibilities: [], required: [], niceToHave: [] };
+    let current = 'intro';
+
+    lines.forEach(line => {
+        if (!line) return;
+        const heading = matchHeading(line);
+        if (heading) {
+            current = heading;
+            return;
+        }
+        sections[current].push(line);
+    });
+
+    return sections;
+}
+
+function parseResponsibilities(sections) {
+    // Without a responsibilities heading, bullets before the first section usually describe the work
+    const source = sections.responsibilities.length
+        ? sections.responsibilities
+        : sections.intro.filter(line => BULLET_PATTERN.test(line));
+
+    return source
+        .map(line => line.replace(BULLET_PATTERN, '').replace(/[.;]+$/, '').trim())
+        .filter(line => line.split(' ').length >= 3)
+        .map(line => (line.length > 120 ? `${line.substring(0, 117)}...` : line))
+        .slice(0, MAX_RESPONSIBILITIES);
+}
+
+function inferSeniority(jobTitle, text, years) {
+    const title = jobTitle.toLowerCase();
+    if (/\b(principal|staff|lead|head of|architect)\b/.test(title)) return 'lead';
+    if (/\b(senior|sr)\b/.test(title)) return 'senior';
+    if (/\b(junior|jr|graduate|intern|entry[- ]level|trainee)\b/.test(title)) return 'junior';
+
+    if (years !== null) {
+        if (years < 2) return 'junior';
+        if (years < 5) return 'mid';
+        if (years < 8) return 'senior';
+        return 'lead';
+    }
+
+    const lower = text.toLowerCase();
+    if (/\b(principal|staff engineer|tech lead|technical lead)\b/.test(lower)) return 'lead';
+    if (/\b(senior|sr\.)\b/.test(lower)) return 'senior';
+    if (/\b(junior|graduate|entry[- ]level|new grad)\b/.test(lower)) return 'junior';
+    return 'mid';
+}
+
+function clauses(lines) {
+    return lines.flatMap(line => line.split(/;\s*|\.\s+(?=[A-Z])/)).filter(Boolean);
+}
+
+function names(technologies) {
+    return [...new Set(technologies.map(tech => tech.name))];
+}
+
+/**
+ * Whether text touches a requirement: skills match by dictionary alias or exact phrase,
+ * responsibilities when most of their significant words appear
+ */
+export function mentionsRequirement(requirement, text) {
+    if (!text) return false;
+
+    if (requirement.kind === 'responsibility') {
+        const lower = text.toLowerCase();
+        const words = requirement.topic.toLowerCase().match(/[a-z][a-z+#.]{3,}/g) || [];
+        const hits = words.filter(word => lower.includes(word)).length;
+        return words.length > 0 && hits >= Math.max(2, Math.ceil(words.length / 2));
+    }
+
+    const entry = getTechEntry(requirement.topic);
+    if (entry) {
+        return findTechnologies(text).some(tech => tech.name === entry.name);
+    }
+    const escaped = requirement.topic.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`, 'i').test(text);
+}
+
+/**
+ * Coverage of each selected requirement across the interview.
+ * history and evaluations are parallel arrays; a question covers a requirement when the
+ * question, the answer or the evaluator's key concepts mention it.
+ * Returns [{ topic, kind, covered, questions: [1-based question numbers], score: 0-100 | null }]
+ */
+export function calculateCoverage(requirements, history = [], evaluations = []) {
+    return requirements.map(requirement => {
+        const matched = history
+            .map((qa, i) => ({ qa, evaluation: evaluations[i], number: i + 1 }))
+            .filter(({ qa, evaluation }) => mentionsRequirement(
+                requirement,
+                [qa.question, qa.answer, ...(evaluation?.keyConcepts || [])].join('\n')
+            ));
+
+        const scored = matched.filter(({ evaluation }) => evaluation);
+        const score = scored.length
+            ? Math.round(scored.reduce((sum, { evaluation }) => sum + answerScore(evaluation), 0) / scored.length * 10)
+            : null;
+
+        return {
+            topic: requirement.topic,
+            kind: requirement.kind,
+            covered: matched.length > 0,
+            questions: matched.map(({ number }) => number),
+            score
+        };
+    });
+}
@@ -0,0 +1,353 @@
+/**
+ * LLM Provider Layer
+ * Adapts AIService prompts ({ system, messages }) to each vendor's HTTP API
+ */
+
+/**
+ * Read a Server-Sent Events body, calling onData(data, eventName) per event
+ */
+export async function readSSE(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (block) => {
+        let event = 'message';
+        const data = [];
+        block.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        });
+        const payload = data.join('\n');
+        if (payload && payload !== '[DONE]') {
+            onData(payload, event);
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = blocks.pop();
+        blocks.forEach(dispatch);
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) dispatch(buffer);
+}
+
+/**
+ * Base provider - subclasses implement buildRequest() and parseResponse()
+ */
+export class LLMProvider {
+    constructor(config = {}) {
+        this.apiKey = config.apiKey || '';
+        this.endpoint = config.endpoint || this.constructor.defaultEndpoint;
+        this.model = config.model || this.constructor.defaultModel;
+        this.temperature = config.temperature ?? 0.7;
+        this.maxTokens = config.maxTokens || 1024;
+    }
+
+    static label = 'Provider';
+    static defaultEndpoint = '';
+    static defaultModel = '';
+    static requiresKey = false;
+    static supportsStreaming = false;
+
+    get name() {
+        return this.constructor.label;
+    }
+
+    isConfigured() {
+        return Boolean(this.endpoint) && (!this.constructor.requiresKey || Boolean(this.apiKey));
+    }
+
+    /**
+     * Normalise a prompt into { system, messages }
+     */
+    normalizePrompt(prompt) {
+        if (typeof prompt === 'string') {
+            return { system: '', messages: [{ role: 'user', content: prompt }] };
+        }
+        return {
+            system: prompt.system || '',
+            messages: prompt.messages || []
+        };
+    }
+
+    async request(prompt, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error(`${this.name} is not configured`);
+        }
+
+        const { url, init } = this.buildRequest(this.normalizePrompt(prompt), options);
+        const response = await fetch(url, init);
+
+        if (!response.ok) {
+            const error = await response.text();
+            throw new Error(`${this.name} call failed: ${response.status} - ${error}`);
+        }
+
+        return response;
+    }
+
+    async complete(prompt, options = {}) {
+        const response = await this.request(prompt, options);
+
+        const text = await this.parseResponse(response);
+        if (typeof text !== 'string') {
+            throw new Error(`${this.name} returned an unexpected response shape`);
+        }
+        return text;
+    }
+
+    /**
+     * Stream a completion, calling options.onToken(delta, textSoFar) as tokens arrive.
+     * Providers without streaming deliver the whole completion as a single token.
+     */
+    async stream(prompt, options = {}) {
+        const { onToken } = options;
+
+        if (!this.constructor.supportsStreaming) {
+            const text = await this.complete(prompt, options);
+            if (onToken) onToken(text, text);
+            return text;
+        }
+
+        const response = await this.request(prompt, { ...options, stream: true });
+
+        // Servers that ignore the stream flag answer with a normal JSON body
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('text/event-stream')) {
+            const text = await this.parseResponse(response);
+            if (typeof text !== 'string') {
+                throw new Error(`${this.name} returned an unexpected response shape`);
+            }
+            if (onToken) onToken(text, text);
+            return text;
+        }
+
+        let text = '';
+        await readSSE(response, (data, event) => {
+            const delta = this.parseStreamEvent(data, event);
+            if (delta) {
+                text += delta;
+                if (onToken) onToken(delta, text);
+            }
+        });
+        return text;
+    }
+
+    parseStreamEvent() {
+        return null;
+    }
+
+    buildRequest() {
+        throw new Error('buildRequest() not implemented');
+    }
+
+    async parseResponse() {
+        throw new Error('parseResponse() not implemented');
+    }
+}
+
+/**
+ * Anthropic Messages API
+ */
+export class AnthropicProvider extends LLMProvider {
+    static label = 'Anthropic Claude';
+    static defaultEndpoint = 'https://api.anthropic.com/v1/messages';
+    static defaultModel = 'claude-3-sonnet-20241022';
+    static requiresKey = true;
+    static supportsStreaming = true;
+
+    buildRequest({ system, messages }, options) {
+        return {
+            url: this.endpoint,
+            init: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': this.apiKey,
+                    'anthropic-version': '2023-06-01',
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                },
+                body: JSON.stringify({
+                    model: this.model,
+                    max_tokens: options.maxTokens || this.maxTokens,
+                    temperature: options.temperature ?? this.temperature,
+                    stream: Boolean(options.stream),
+                    system,
+                    messages
+                })
+            }
+        };
+    }
+
+    async parseResponse(response) {
+        const data = await response.json();
+        return data.content?.[0]?.text;
+    }
+
+    parseStreamEvent(data) {
+        const event = JSON.parse(data);
+        if (event.type === 'error') {
+            throw new Error(`${this.name} stream error: ${event.error?.message || 'unknown'}`);
+        }
+        return event.type === 'content_block_delta' ? event.delta?.text : null;
+    }
+}
+
+/**
+ * OpenAI Chat Completions API and compatible servers (Ollama, llama.cpp, vLLM, gateways)
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+    static label = 'OpenAI-compatible';
+    static defaultEndpoint = 'https://api.openai.com/v1/chat/completions';
+    static defaultModel = 'gpt-4o-mini';
+    static supportsStreaming = true;
+
+    isConfigured() {
+        // Self-hosted servers usually need no key; the public OpenAI endpoint always does
+        if (this.endpoint === OpenAICompatibleProvider.defaultEndpoint) {
+            return Boolean(this.apiKey);
+        }
+        return Boolean(this.endpoint);
+    }
+
+    buildRequest({ system, messages }, options) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        return {
+            url: this.endpoint,
+            init: {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: this.model,
+                    max_tokens: options.maxTokens || this.maxTokens,
+                    temperature: options.temperature ?? this.temperature,
+                    stream: Boolean(options.stream),
+                    messages: system ? [{ role: 'system', content: system }, ...messages] : messages
+                })
+            }
+        };
+    }
+
+    async parseResponse(response) {
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content;
+    }
+
+    parseStreamEvent(data) {
+        return JSON.parse(data).choices?.[0]?.delta?.content || null;
+    }
+}
+
+/**
+ * Minimal local HTTP stand-in: POSTs the prompt as-is and accepts
+ * { text }, { content }, { response } or a plain-text body
+ */
+export class LocalHttpProvider extends LLMProvider {
+    static label = 'Local HTTP';
+    static defaultEndpoint = 'http://localhost:8080/generate';
+    static defaultModel = 'local';
+
+    buildRequest({ system, messages }, options) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        return {
+            url: this.endpoint,
+            init: {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: this.model,
+                    max_tokens: options.maxTokens || this.maxTokens,
+                    temperature: options.temperature ?? this.temperature,
+                    system,
+                    messages
+                })
+            }
+        };
+    }
+
+    async parseResponse(response) {
+        const body = await response.text();
+        try {
+            const data = JSON.parse(body);
+            if (typeof data === 'string') return data;
+            return data.text ?? data.content ?? data.response;
+        } catch (error) {
+            return body;
+        }
+    }
+}
+
+/**
+ * Backend proxy (backend/server.js): one route per task, API key held server-side
+ */
+export class ProxyProvider extends LLMProvider {
+    static label = 'Backend proxy';
+    static defaultEndpoint = 'http://localhost:3001/api';
+    static defaultModel = 'server default';
+    static supportsStreaming = true;
+
+    static taskRoutes = {
+        question: 'question',
+        questions: 'questions',
+        problem: 'problem',
+        evaluate: 'evaluate',
+        analysis: 'analysis',
+        resume: 'resume'
+    };
+
+    buildRequest({ system, messages }, options) {
+        const route = ProxyProvider.taskRoutes[options.task] || 'question';
+
+        return {
+            url: `${this.endpoint.replace(/\/+$/, '')}/${route}${options.stream ? '?stream=1' : ''}`,
+            init: {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ system, messages })
+            }
+        };
+    }
+
+    async parseResponse(response) {
+        const data = await response.json();
+        return data.text;
+    }
+
+    parseStreamEvent(data, event) {
+        const payload = JSON.parse(data);
+        if (event === 'error') {
+            throw new Error(`${this.name} stream error: ${payload.error || 'unknown'}`);
+        }
+        return payload.text || null;
+    }
+}
+
+export const PROVIDERS = {
+    anthropic: AnthropicProvider,
+    openai: OpenAICompatibleProvider,
+    local: LocalHttpProvider,
+    proxy: ProxyProvider
+};
+
+/**
+ * Build the provider described by the `llm` settings section
+ */
+export function createProvider(config = {}) {
+    const Provider = PROVIDERS[config.provider] || AnthropicProvider;
+    return new Provider(config);
+}
@@ -0,0 +1,328 @@
+/**
+ * Offline Answer Evaluator
+ * Deterministic scoring used without an AI provider: the answer is compared against the
+ * question's expected concepts (from a bank rubric, or extracted from the reference answer
+ * or the question) with stemming and synonym lists, and hedging language lowers confidence.
+ * Stop words, synonyms and hedges are English; other languages are matched word for word.
+ */
+
+import { findTechnologies, getTechEntry } from './techDictionary.js';
+import { DEFAULT_LANGUAGE, isEnglish, splitWords } from './interviewLanguages.js';
+
+const STOP_WORDS = new Set(['all', 'and', 'any', 'are', 'but', 'can', 'for', 'has', 'how', 'its', 'not', 'one', 'our', 'the', 'use', 'was', 'why', 'you', 'about', 'above', 'after', 'again', 'also', 'always', 'among', 'another', 'answer', 'anything', 'approach', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'candidate', 'could', 'describe', 'design', 'developer', 'difference', 'differences', 'does', 'doing', 'done', 'during', 'each', 'either', 'else', 'engineer', 'experience', 'every', 'explain', 'from', 'give', 'gives', 'good', 'handle', 'have', 'having', 'here', 'implement', 'into', 'just', 'know', 'like', 'make', 'makes', 'many', 'mean', 'means', 'mention', 'more', 'principle', 'concept', 'idea', 'most', 'much', 'must', 'need', 'only', 'other', 'over', 'problem', 'project', 'question', 'really', 'same', 'should', 'some', 'something', 'such', 'tell', 'term', 'than', 'that', 'theorem', 'their', 'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'this', 'those', 'through', 'under', 'until', 'used', 'uses', 'using', 'very', 'walk', 'want', 'well', 'were', 'work', 'works', 'what', 'when', 'where', 'whether', 'which', 'while', 'with', 'within', 'without', 'would', 'your']);
+
+// Verbs rubric criteria open with ("Mentions SQL", "Explains the CAP theorem"); they say
+// what the answer should do, not what it should contain
+const RUBRIC_VERBS = /^(?:mentions?|explains?|describes?|names?|identif(?:y|ies)|discuss(?:es)?|defines?|states?|gives?|provides?|lists?|compares?|covers?|shows?|demonstrates?|justif(?:y|ies)|outlines?|notes?|acknowledges?|recogni[sz]es?|uses?|includes?|considers?)\s+/i;
+
+// Adjectives and connecting words a reference answer uses in passing
+const PASSING_WORDS = new Set(['inner', 'outer', 'upper', 'lower', 'better', 'faster', 'slower', 'larger', 'smaller', 'bigger', 'higher', 'simple', 'simpler', 'easier', 'harder', 'different', 'specific', 'certain', 'general', 'common', 'usual', 'main', 'actual', 'whole', 'entire', 'various', 'several', 'later', 'instead', 'still', 'even', 'often', 'usually', 'returns', 'created', 'allows', 'lets']);
+
+// Words and phrases an answer may use for the same concept
+const SYNONYMS = [
+    ['function', 'method', 'procedure', 'routine'],
+    ['database', 'db', 'datastore', 'data store'],
+    ['cache', 'caching', 'memoization', 'memoize'],
+    ['scalability', 'scale', 'scaling', 'horizontal scaling'],
+    ['latency', 'response time', 'delay'],
+    ['throughput', 'requests per second', 'rps', 'qps'],
+    ['error', 'exception', 'failure'],
+    ['test', 'unit test', 'spec', 'assertion'],
+    ['asynchronous', 'async', 'non-blocking', 'promise', 'callback'],
+    ['concurrency', 'parallelism', 'thread', 'multithreading'],
+    ['complexity', 'big o', 'time complexity', 'space complexity'],
+    ['authentication', 'login', 'identity'],
+    ['authorization', 'permission', 'access control'],
+    ['index', 'indices', 'indexing'],
+    ['queue', 'message queue', 'message broker', 'pub/sub'],
+    ['load balancer', 'load balancing', 'reverse proxy'],
+    ['immutable', 'immutability', 'read-only'],
+    ['inheritance', 'subclass', 'extends'],
+    ['encapsulation', 'information hiding', 'private'],
+    ['api', 'endpoint', 'interface'],
+    ['optimize', 'optimise', 'speed up', 'performance'],
+    ['memory', 'ram', 'heap'],
+    ['trade-off', 'tradeoff', 'downside', 'drawback'],
+    ['replication', 'replica', 'follower'],
+    ['partition', 'shard', 'sharding'],
+    ['consistency', 'consistent', 'linearizable'],
+    ['availability', 'uptime', 'redundancy'],
+    ['scope', 'lexical environment', 'closure'],
+    ['example', 'for instance', 'e.g', 'such as']
+];
+
+// Phrases that signal uncertainty
+const HEDGES = ['i think', 'i guess', 'i believe', 'i suppose', 'maybe', 'probably', 'perhaps', 'possibly', 'not sure', 'not really sure', 'not certain', "i don't know", 'i dont know', 'kind of', 'sort of', 'might be', 'could be', 'if i remember', 'if i recall', 'something like', 'hopefully'];
+
+const EXAMPLE_CUES = /\b(for example|for instance|e\.g\.|such as|in my (last|previous|current) (job|role|project|team)|i (built|used|implemented|wrote|designed|shipped))\b/;
+const REASONING_CUES = /\b(because|so that|therefore|which means|trade-?offs?|however|whereas|instead of|the reason)\b/;
+const STRUCTURE_CUES = /\b(first(ly)?|second(ly)?|then|next|finally|in summary|overall|to summari[sz]e|on the other hand)\b/;
+
+// A concept counts as covered once this share of its significant words appear
+const COVERAGE_THRESHOLD = 0.6;
+const MAX_CONCEPTS = 8;
+const REFERENCE_CONCEPTS = 6;
+
+const SUFFIXES = ['ization', 'isation', 'ational', 'fulness', 'iveness', 'ations', 'ation', 'ments', 'ement', 'ities', 'ness', 'ment', 'ings', 'ing', 'ies', 'ied', 'ity', 'ers', 'ize', 'ise', 'ed', 'es', 'ly', 'er', 's'];
+
+/**
+ * Light suffix-stripping stemmer: "caching", "caches" and "cache" all become "cach"
+ */
+export function stem(word) {
+    let result = word.toLowerCase();
+    if (result.length <= 3) return result;
+
+    // "process" keeps its final s so it still matches "processes"
+    const suffix = SUFFIXES.find(s => result.endsWith(s) && result.length - s.length >= 3 && !(s === 's' && result.endsWith('ss')));
+    if (suffix) {
+        result = result.slice(0, -suffix.length) + (suffix === 'ies' || suffix === 'ied' ? 'y' : '');
+    }
+    if (result.length > 4 && result.endsWith('e')) {
+        result = result.slice(0, -1);
+    }
+    // "running" -> "runn" -> "run"
+    if (result.length >= 4 && /([b-df-hj-np-tv-z])\1$/.test(result) && !/(ll|ss|zz)$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+    return result;
+}
+
+function tokenize(text) {
+    return splitWords(String(text || '').toLowerCase(), /[\p{L}\p{N}][\p{L}\p{M}\p{N}+#'-]*/gu);
+}
+
+function isStopWord(word) {
+    if (STOP_WORDS.has(word)) return true;
+    // Inflections of a stop word: "mentions", "explained", "describes", "using"
+    const base = word.replace(/(?:es|s|ed|d|ing)$/, '');
+    return base !== word && (STOP_WORDS.has(base) || STOP_WORDS.has(`${base}e`));
+}
+
+function stemPhrase(phrase) {
+    return tokenize(phrase).map(stem).join(' ');
+}
+
+const SYNONYM_GROUPS = SYNONYMS.map(group => group.map(stemPhrase));
+
+/**
+ * Pre-stem an answer once so several concepts can be matched against it
+ */
+export function indexAnswer(answer) {
+    const stems = tokenize(answer).map(stem);
+    return {
+        raw: String(answer || ''),
+        stems: new Set(stems),
+        // Padded so phrase lookups only match whole words
+        stemmedText: ` ${stems.join(' ')} `
+    };
+}
+
+function hasPhrase(index, stemmedPhrase) {
+    return stemmedPhrase.includes(' ')
+        ? index.stemmedText.includes(` ${stemmedPhrase} `)
+        : index.stems.has(stemmedPhrase);
+}
+
+function hasSynonym(index, stemmedPhrase) {
+    return SYNONYM_GROUPS
+        .filter(group => group.includes(stemmedPhrase))
+        .some(group => group.some(variant => hasPhrase(index, variant)));
+}
+
+/**
+ * How much of a concept the answer covers: { score: 0-1, hits: [words found] }.
+ * Technologies match by dictionary alias; other concepts word by word, where each word
+ * (or the whole phrase) may also be matched by a synonym.
+ */
+export function matchConcept(concept, index) {
+    concept = String(concept || '').trim().replace(RUBRIC_VERBS, '') || String(concept || '');
+    const tech = getTechEntry(concept);
+    if (tech) {
+        const found = findTechnologies(index.raw).some(t => t.name === tech.name);
+        return { score: found ? 1 : 0, hits: found ? [tech.name] : [] };
+    }
+
+    const phrase = stemPhrase(concept);
+    if (hasPhrase(index, phrase) || hasSynonym(index, phrase)) {
+        return { score: 1, hits: [concept] };
+    }
+
+    const words = tokenize(concept).filter(word => word.length >= 3 && !isStopWord(word));
+    if (!words.length) return { score: 0, hits: [] };
+
+    const hits = words.filter(word => {
+        const stemmed = stem(word);
+        return index.stems.has(stemmed) || hasSynonym(index, stemmed);
+    });
+    return { score: hits.length / words.length, hits };
+}
+
+/**
+ * Key terms of a reference answer or question: technologies first, then the most frequent
+ * significant words, counting those that also appear in focusText (the question) double
+ */
+export function extractConcepts(text, limit = MAX_CONCEPTS, focusText = '') {
+    if (!text) return [];
+
+    const focus = new Set(tokenize(focusText).map(stem));
+
+    const technologies = findTechnologies(text).map(tech => tech.name);
+    const techStems = new Set(technologies.flatMap(name => tokenize(name).map(stem)));
+
+    const counts = new Map();
+    const surface = new Map();
+    tokenize(text)
+        .filter(word => word.length >= 4 && !isStopWord(word) && !/^\d/.test(word))
+        .forEach(word => {
+            const stemmed = stem(word);
+            if (techStems.has(stemmed)) return;
+            counts.set(stemmed, (counts.get(stemmed) || 0) + 1);
+            if (!surface.has(stemmed)) surface.set(stemmed, word);
+        });
+
+    // Ties keep first-mention order, so the result is stable for the same text.
+    // Passing verbs, gerunds, adverbs and adjectives ("bundled", "letting", "quickly", "outer")
+    // are rarely the point unless repeated or asked about.
+    const words = [...counts.entries()]
+        .filter(([stemmed, count]) => count > 1 || focus.has(stemmed) ||
+            (!/(ed|ing|ly|ous|ful|ive|able|ible|est)$/.test(surface.get(stemmed)) && !PASSING_WORDS.has(surface.get(stemmed))))
+        .map(([stemmed, count]) => [stemmed, count + (focus.has(stemmed) ? 2 : 0)])
+        .sort((a, b) => b[1] - a[1])
+        .map(([stemmed]) => surface.get(stemmed));
+
+    return [...technologies, ...words].slice(0, limit);
+}
+
+/**
+ * { count, phrases: [distinct hedges used], perHundredWords }; none are looked for when the
+ * interview isn't in English
+ */
+export function detectHedging(answer, language = DEFAULT_LANGUAGE) {
+    if (!isEnglish(language)) {
+        return { count: 0, phrases: [], perHundredWords: 0 };
+    }
+
+    const text = ` ${String(answer || '').toLowerCase().replace(/[’]/g, "'").replace(/\s+/g, ' ')} `;
+    const words = tokenize(answer).length;
+
+    const phrases = [];
+    let count = 0;
+    HEDGES.forEach(hedge => {
+        const matches = text.split(new RegExp(`\\b${hedge.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`)).length - 1;
+        if (matches) {
+            count += matches;
+            phrases.push(hedge);
+        }
+    });
+
+    return {
+        count,
+        phrases,
+        perHundredWords: words ? Math.round(count / words * 1000) / 10 : 0
+    };
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function clampScore(value, min = 1) {
+    return round1(Math.min(10, Math.max(min, value)));
+}
+
+function listOf(items) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Evaluate an answer in the evaluation schema's shape, plus
+ * concepts: { expected, covered, missing, source } and hedging (see detectHedging).
+ * expected.concepts come from a bank; otherwise they are extracted from
+ * expected.referenceAnswer, and failing that from the question. language is the
+ * interview's; hedging is only detected in English.
+ */
+export function evaluateOffline(question, answer, expected = {}, language = DEFAULT_LANGUAGE) {
+    const text = String(answer || '');
+    const lower = text.toLowerCase();
+    const index = indexAnswer(text);
+    const wordCount = tokenize(text).length;
+    const sentences = text.split(/[.!?]+/).filter(sentence => sentence.trim().split(/\s+/).length >= 3);
+    const averageSentence = sentences.length ? wordCount / sentences.length : wordCount;
+
+    let source = 'bank';
+    let concepts = [...new Set([
+        ...(expected.concepts || []),
+        ...extractConcepts(expected.referenceAnswer || '', REFERENCE_CONCEPTS, question)
+    ])];
+    if (!expected.concepts?.length) source = 'reference';
+    if (!concepts.length) {
+        // The question's own terms are all there is to go on; don't demand too many
+        concepts = extractConcepts(question, 4);
+        source = 'question';
+    }
+    concepts = concepts.slice(0, MAX_CONCEPTS);
+
+    const matches = concepts.map(concept => ({ concept, ...matchConcept(concept, index) }));
+    const covered = matches.filter(m => m.score >= COVERAGE_THRESHOLD).map(m => m.concept);
+    const missing = matches.filter(m => m.score < COVERAGE_THRESHOLD).map(m => m.concept);
+    const coverage = matches.length ? matches.reduce((sum, m) => sum + Math.min(1, m.score), 0) / matches.length : 0;
+
+    const hasExample = EXAMPLE_CUES.test(lower);
+    const hasReasoning = REASONING_CUES.test(lower);
+    const hasStructure = STRUCTURE_CUES.test(lower);
+    const hedging = detectHedging(text, language);
+
+    // Short answers can't show depth however many keywords they contain
+    const lengthFactor = wordCount < 15 ? 0.5 : wordCount < 40 ? 0.85 : 1;
+    const technicalScore = clampScore((2 + coverage * 6 + (hasExample ? 1 : 0) + (hasReasoning ? 1 : 0)) * lengthFactor);
+
+    const lengthPoints = wordCount >= 60 && wordCount <= 250 ? 2 : wordCount >= 30 && wordCount <= 400 ? 1 : 0;
+    const sentencePoints = averageSentence >= 8 && averageSentence <= 30 ? 1 : averageSentence > 40 ? -1 : 0;
+    const communicationScore = wordCount < 5
+        ? 1
+        : clampScore(4 + lengthPoints + sentencePoints + (hasStructure ? 1 : 0) + (hasReasoning ? 1 : 0));
+
+    // An answer too short to judge can't earn confidence: scale up to full from 40 words
+    const tone = 8.5 - Math.min(5, hedging.count * 1.2) + (hasExample ? 0.5 : 0);
+    const confidenceScore = clampScore(1 + (tone - 1) * Math.min(1, wordCount / 40));
+
+    const strengths = [];
+    if (covered.length) strengths.push(`Covered ${listOf(covered)}.`);
+    if (hasExample) strengths.push('Backed the answer with a concrete example.');
+    if (hasReasoning) strengths.push('Explained the reasoning behind it.');
+    if (!strengths.length) strengths.push('Attempted to address the question.');
+
+    const weaknesses = [];
+    if (missing.length) weaknesses.push(`Did not cover ${listOf(missing)}.`);
+    if (wordCount < 30) weaknesses.push('The answer is too brief to show depth.');
+    if (hedging.count >= 2) weaknesses.push(`Hedging ("${hedging.phrases.slice(0, 3).join('", "')}") makes the answer sound unsure.`);
+    if (!weaknesses.length) weaknesses.push(hasExample ? 'Consider discussing trade-offs and edge cases.' : 'Add a concrete example from your own work.');
+
+    let feedback;
+    if (missing.length) {
+        feedback = `Explain ${listOf(missing.slice(0, 2))} and how ${missing.length === 1 ? 'it relates' : 'they relate'} to the question.`;
+    } else if (hedging.count >= 2) {
+        feedback = 'State what you know directly; save qualifiers for genuine uncertainty.';
+    } else if (!hasExample) {
+        feedback = 'Good coverage. Add a real-world example to make it stick.';
+    } else {
+        feedback = 'Strong answer. Mention trade-offs or edge cases to go deeper.';
+    }
+
+    const shouldFollowUp = wordCount >= 5 && (wordCount < 30 || coverage < 0.5);
+
+    return {
+        strengths: strengths.join(' '),
+        weaknesses: weaknesses.join(' '),
+        technicalScore,
+        communicationScore,
+        confidenceScore,
+        feedback,
+        shouldFollowUp,
+        followUpTopic: shouldFollowUp ? (missing.length ? `how ${missing[0]} fits in` : 'clarification') : '',
+        keyConcepts: covered,
+        concepts: { expected: concepts, covered, missing, source },
+        hedging
+    };
+}
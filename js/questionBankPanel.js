@@ -0,0 +1,163 @@
+/**
+ * Question Bank Panel
+ * Imports, lists, enables and removes question banks in the settings modal
+ */
+
+import { StorageService } from './storage.js';
+import { UIService } from './ui.js';
+import { escapeHtml } from './html.js';
+import { parseQuestionBank } from './questionBanks.js';
+import { DIFFICULTY_LEVELS } from './adaptiveDifficulty.js';
+
+export class QuestionBankPanel {
+    constructor(storage = new StorageService(), ui = new UIService()) {
+        this.storage = storage;
+        this.ui = ui;
+        this.section = document.querySelector('#settingsModal [data-section="questionBanks"]');
+
+        if (!this.section) return;
+
+        this.init();
+    }
+
+    init() {
+        this.list = this.section.querySelector('#bank-list');
+        this.textInput = this.section.querySelector('#bank-text');
+        this.formatSelect = this.section.querySelector('#bank-format');
+
+        this.section.querySelector('#import-bank-btn')?.addEventListener('click', () => {
+            this.importBank(this.textInput?.value || '', this.formatSelect?.value || 'auto');
+        });
+
+        this.section.querySelector('#bank-file')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            this.importBank(await file.text(), this.formatSelect?.value || 'auto', file.name);
+            e.target.value = '';
+        });
+
+        this.list?.addEventListener('change', (e) => {
+            const toggle = e.target.closest('[data-bank-toggle]');
+            if (toggle) this.setEnabled(toggle.dataset.bankToggle, toggle.checked);
+        });
+
+        this.list?.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-bank-delete]');
+            if (remove) this.deleteBank(remove.dataset.bankDelete);
+
+            const exportBtn = e.target.closest('[data-bank-export]');
+            if (exportBtn) this.exportBank(exportBtn.dataset.bankExport);
+        });
+
+        this.render();
+    }
+
+    importBank(text, format = 'auto', fileName = '') {
+        if (!text.trim()) {
+            this.ui.showToast('Paste a question bank or choose a file', 'warning');
+            return;
+        }
+
+        try {
+            const bank = parseQuestionBank(text, format, fileName);
+            if (this.storage.getQuestionBanks().some(b => b.id === bank.id)) {
+                // Re-imported: question ids are the bank's id plus a number, so renumber them too
+                bank.id = `bank_${Date.now()}`;
+                bank.questions = bank.questions.map((question, i) => ({ ...question, id: `${bank.id}_q${i + 1}` }));
+            }
+            if (!this.storage.saveQuestionBank(bank)) {
+                this.ui.showToast('Could not save the question bank; browser storage may be full', 'error', 5000);
+                return;
+            }
+            if (this.textInput) {
+                this.textInput.value = '';
+            }
+            this.render();
+            this.ui.showToast(`Bank "${bank.name}" added with ${bank.questions.length} question${bank.questions.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Question bank import failed:', error);
+            this.ui.showToast(`Invalid question bank: ${error.message}`, 'error', 5000);
+        }
+    }
+
+    setEnabled(id, enabled) {
+        const bank = this.storage.getQuestionBanks().find(b => b.id === id);
+        if (!bank) return;
+        if (!this.storage.saveQuestionBank({ ...bank, enabled })) {
+            this.ui.showToast('Could not save the question bank; browser storage may be full', 'error', 5000);
+        }
+        this.render();
+    }
+
+    deleteBank(id) {
+        const bank = this.storage.getQuestionBanks().find(b => b.id === id);
+        if (bank && confirm(`Remove the "${bank.name}" question bank?`)) {
+            this.storage.deleteQuestionBank(id);
+            this.render();
+        }
+    }
+
+    /**
+     * Download a bank as JSON, the format that round-trips every field
+     */
+    exportBank(id) {
+        const bank = this.storage.getQuestionBanks().find(b => b.id === id);
+        if (!bank) return;
+
+        const { name, questions } = bank;
+        const blob = new Blob([JSON.stringify({ name, questions }, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'question-bank'}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    render() {
+        if (!this.list) return;
+
+        const banks = this.storage.getQuestionBanks();
+        if (!banks.length) {
+            this.list.innerHTML = '<p class="bank-empty">No question banks yet. Import one below.</p>';
+            return;
+        }
+
+        this.list.innerHTML = banks.map(bank => {
+            const levels = DIFFICULTY_LEVELS
+                .map(level => [level, bank.questions.filter(q => q.difficulty === level).length])
+                .filter(([, count]) => count)
+                .map(([level, count]) => `${count} ${level}`)
+                .join(' · ');
+            const roles = [...new Set(bank.questions.map(q => q.role).filter(Boolean))];
+
+            return `
+                <div class="bank-item${bank.enabled === false ? ' disabled' : ''}">
+                    <div class="bank-header">
+                        <label class="bank-toggle">
+                            <input type="checkbox" data-bank-toggle="${escapeHtml(bank.id)}"${bank.enabled === false ? '' : ' checked'}>
+                            <strong>${escapeHtml(bank.name)}</strong>
+                        </label>
+                        <span class="bank-meta">${bank.questions.length} questions · ${levels}</span>
+                    </div>
+                    ${roles.length ? `<p class="bank-roles">Roles: ${roles.map(role => escapeHtml(role)).join(', ')}</p>` : ''}
+                    <details>
+                        <summary>Show questions</summary>
+                        <ol class="bank-questions">
+                            ${bank.questions.map(q => `
+                                <li>
+                                    ${escapeHtml(q.question)}
+                                    <span class="bank-meta">${[q.topic, q.difficulty, q.language, q.rubric.length ? `${q.rubric.length} rubric criteria` : '']
+                                        .filter(Boolean).map(part => escapeHtml(part)).join(' · ')}</span>
+                                </li>
+                            `).join('')}
+                        </ol>
+                    </details>
+                    <div class="bank-actions">
+                        <button type="button" class="btn-secondary" data-bank-export="${escapeHtml(bank.id)}">Export JSON</button>
+                        <button type="button" class="btn-secondary" data-bank-delete="${escapeHtml(bank.id)}">Remove</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+}
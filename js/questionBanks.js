@@ -0,0 +1,301 @@
+/**
+ * Question Banks
+ * User-imported questions with role, topic, difficulty, tags, reference answer and rubric.
+ * Banks are imported as JSON, CSV or Markdown and stand in for, or mix with, AI questions.
+ *
+ * JSON:
+ *   { "name": "Frontend", "questions": [{ "question": "What is a closure?", "role": "Frontend Developer",
+ *     "topic": "closures", "difficulty": "medium", "tags": ["javascript"],
+ *     "referenceAnswer": "...", "rubric": ["Defines lexical scope", { "criterion": "Gives an example", "weight": 2 },
+ *     { "criterion": "Confuses closures with callbacks", "kind": "pitfall" }] }] }
+ *
+ * Rubric criteria are key points by default; "kind" (or a "Pitfall:" / "Concept:" prefix on
+ * a plain-text criterion) marks pitfalls to avoid and expected concepts.
+ *
+ * "language" (e.g. "es" or "es-MX", on the bank or a question) marks questions for interviews
+ * held in that language; questions without one are English.
+ *
+ * CSV (header row required; tags and rubric items separated by ";"):
+ *   question,role,topic,difficulty,tags,referenceAnswer,rubric[,language]
+ *
+ * Markdown:
+ *   # Bank name
+ *   ## What is a closure?
+ *   - role: Frontend Developer
+ *   - topic: closures
+ *   - difficulty: medium
+ *   - tags: javascript, functions
+ *   - language: en
+ *   ### Reference answer
+ *   A closure is ...
+ *   ### Rubric
+ *   - Defines lexical scope
+ *   - Pitfall: Confuses closures with callbacks
+ */
+
+import { DIFFICULTY_LEVELS } from './adaptiveDifficulty.js';
+import { normalizeRubric } from './rubricScorer.js';
+import { DEFAULT_LANGUAGE, languageMatches } from './interviewLanguages.js';
+
+export const BANK_FORMATS = ['json', 'csv', 'markdown'];
+
+// Role words too generic to decide whether a question fits a job title
+const GENERIC_ROLE_WORDS = new Set(['engineer', 'developer', 'senior', 'junior', 'lead', 'staff', 'principal', 'software', 'and', 'the']);
+
+export class BankValidationError extends Error {
+    constructor(message, field = null) {
+        super(field ? `${field}: ${message}` : message);
+        this.name = 'BankValidationError';
+        this.field = field;
+    }
+}
+
+/**
+ * Parse bank text in the given format ('auto' detects it from the file name or content)
+ * and validate every question; throws BankValidationError naming the question or row
+ */
+export function parseQuestionBank(text, format = 'auto', fileName = '') {
+    const source = String(text || '').replace(/^\uFEFF/, '').trim();
+    if (!source) {
+        throw new BankValidationError('bank is empty');
+    }
+
+    const resolved = format === 'auto' ? detectFormat(source, fileName) : format;
+    const fallbackName = fileName.replace(/\.[^.]+$/, '') || 'Imported bank';
+
+    let bank;
+    if (resolved === 'json') {
+        bank = parseJsonBank(source);
+    } else if (resolved === 'csv') {
+        bank = { questions: parseCsvBank(source) };
+    } else if (resolved === 'markdown') {
+        bank = parseMarkdownBank(source);
+    } else {
+        throw new BankValidationError(`must be one of ${BANK_FORMATS.join(', ')}`, 'format');
+    }
+
+    if (!bank.questions.length) {
+        throw new BankValidationError('no questions found', 'questions');
+    }
+
+    const id = typeof bank.id === 'string' && bank.id ? bank.id : `bank_${Date.now()}`;
+    return {
+        id,
+        name: typeof bank.name === 'string' && bank.name.trim() ? bank.name.trim() : fallbackName,
+        enabled: true,
+        importedAt: Date.now(),
+        questions: bank.questions.map((question, i) => normalizeQuestion(
+            { language: bank.language, ...question },
+            resolved === 'csv' ? `row ${i + 2}` : `question ${i + 1}`,
+            `${id}_q${i + 1}`
+        ))
+    };
+}
+
+function detectFormat(source, fileName) {
+    const extension = fileName.toLowerCase().split('.').pop();
+    if (extension === 'json') return 'json';
+    if (extension === 'csv') return 'csv';
+    if (extension === 'md' || extension === 'markdown') return 'markdown';
+
+    if (/^[[{]/.test(source)) return 'json';
+    if (/^#{1,2}\s/m.test(source)) return 'markdown';
+    return 'csv';
+}
+
+function parseJsonBank(source) {
+    let data;
+    try {
+        data = JSON.parse(source);
+    } catch (error) {
+        throw new BankValidationError(`invalid JSON (${error.message})`);
+    }
+
+    if (Array.isArray(data)) {
+        return { questions: data };
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.questions)) {
+        throw new BankValidationError('must be an array of questions or an object with a "questions" array');
+    }
+    return data;
+}
+
+/**
+ * Split CSV into rows of fields, honouring quoted fields with commas, quotes and newlines
+ */
+function parseCsvRows(source) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+function parseCsvBank(source) {
+    const [header, ...rows] = parseCsvRows(source);
+    const columns = header.map(name => name.trim().toLowerCase().replace(/[\s_-]/g, ''));
+
+    const aliases = { referenceanswer: 'referenceAnswer', answer: 'referenceAnswer', reference: 'referenceAnswer' };
+    const keys = columns.map(column => aliases[column] || column);
+    if (!keys.includes('question')) {
+        throw new BankValidationError('header row must include a "question" column', 'row 1');
+    }
+
+    return rows.map(values => {
+        const question = {};
+        keys.forEach((key, i) => {
+            question[key] = (values[i] || '').trim();
+        });
+        return question;
+    });
+}
+
+function parseMarkdownBank(source) {
+    const bank = { name: '', questions: [] };
+    let current = null;
+    let section = null;
+
+    source.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        if (heading) {
+            const level = heading[1].length;
+            const title = heading[2].trim();
+            if (level === 1) {
+                bank.name = title;
+            } else if (level === 2) {
+                current = { question: title, tags: '', referenceAnswer: '', rubric: [] };
+                bank.questions.push(current);
+                section = null;
+            } else if (current) {
+                section = /rubric/i.test(title) ? 'rubric' : /answer/i.test(title) ? 'referenceAnswer' : null;
+            }
+            return;
+        }
+
+        if (!current || !line) return;
+
+        const item = line.match(/^[-*]\s+(.*)$/);
+        if (!section) {
+            const meta = item && item[1].match(/^(role|topic|difficulty|tags|language)\s*:\s*(.*)$/i);
+            if (meta) {
+                current[meta[1].toLowerCase()] = meta[2].trim();
+            }
+        } else if (section === 'rubric') {
+            if (item) current.rubric.push(item[1]);
+        } else {
+            current.referenceAnswer += (current.referenceAnswer ? '\n' : '') + line;
+        }
+    });
+
+    return bank;
+}
+
+function splitList(value) {
+    if (Array.isArray(value)) return value;
+    return String(value || '').split(/[;|,]/).map(item => item.trim()).filter(Boolean);
+}
+
+function normalizeQuestion(question, field, fallbackId) {
+    if (!question || typeof question !== 'object') {
+        throw new BankValidationError('must be an object', field);
+    }
+    if (typeof question.question !== 'string' || !question.question.trim()) {
+        throw new BankValidationError('question text is required', field);
+    }
+
+    const difficulty = String(question.difficulty || 'medium').trim().toLowerCase();
+    if (!DIFFICULTY_LEVELS.includes(difficulty)) {
+        throw new BankValidationError(`difficulty must be one of ${DIFFICULTY_LEVELS.join(', ')}`, field);
+    }
+
+    // CSV rubrics are ";"-separated so criteria may contain commas
+    const rubric = normalizeRubric(typeof question.rubric === 'string'
+        ? question.rubric.split(/[;|]/)
+        : question.rubric);
+
+    return {
+        id: typeof question.id === 'string' && question.id ? question.id : fallbackId,
+        question: question.question.trim(),
+        role: String(question.role || '').trim(),
+        topic: String(question.topic || '').trim(),
+        difficulty,
+        tags: splitList(question.tags).map(String),
+        referenceAnswer: String(question.referenceAnswer || '').trim(),
+        rubric,
+        language: String(question.language || '').trim()
+    };
+}
+
+/**
+ * Whether a question written for role fits the job title; questions without a role fit any
+ */
+export function roleMatches(role, jobTitle = '') {
+    const wanted = role.toLowerCase().trim();
+    const title = jobTitle.toLowerCase();
+    if (!wanted || wanted === 'any' || wanted === '*') return true;
+    if (title.includes(wanted) || (title && wanted.includes(title))) return true;
+
+    return wanted.split(/[\s/,]+/)
+        .filter(word => word.length > 2 && !GENERIC_ROLE_WORDS.has(word))
+        .some(word => title.includes(word));
+}
+
+/**
+ * Random unasked question from the enabled banks for the role and interview language.
+ * Questions on one of the topics win, then the nearest difficulty. askedQuestions holds
+ * 100-character prefixes. Returns the question with its bankId and bankName, or null.
+ */
+export function selectBankQuestion(banks, { jobTitle = '', difficulty = 'medium', topics = [], askedQuestions = [], language = DEFAULT_LANGUAGE } = {}) {
+    const asked = new Set(askedQuestions);
+    const pool = banks
+        .filter(bank => bank.enabled !== false)
+        .flatMap(bank => bank.questions.map(question => ({ ...question, bankId: bank.id, bankName: bank.name })))
+        .filter(question => !asked.has(question.question.substring(0, 100)) && roleMatches(question.role, jobTitle))
+        .filter(question => languageMatches(question.language, language));
+    if (!pool.length) return null;
+
+    const wantedTopics = topics.map(topic => topic.toLowerCase());
+    const onTopic = pool.filter(question =>
+        [question.topic, ...question.tags].some(tag => tag && wantedTopics.includes(tag.toLowerCase()))
+    );
+    const candidates = onTopic.length ? onTopic : pool;
+
+    const target = Math.max(0, DIFFICULTY_LEVELS.indexOf(difficulty));
+    const distance = question => Math.abs(DIFFICULTY_LEVELS.indexOf(question.difficulty) - target);
+    const nearest = Math.min(...candidates.map(distance));
+    const closest = candidates.filter(question => distance(question) === nearest);
+
+    return closest[Math.floor(Math.random() * closest.length)];
+}
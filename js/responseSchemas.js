@@ -0,0 +1,413 @@
+/**
+ * LLM Response Schemas
+ * Extracts JSON from model output (fenced or wrapped in prose), coerces it against a
+ * declared schema and reports the exact field that failed
+ */
+
+import { FUNCTION_NAME_PATTERN } from './codeRunner.js';
+
+export class ResponseValidationError extends Error {
+    constructor(message, field = null, raw = '') {
+        super(field ? `${field}: ${message}` : message);
+        this.name = 'ResponseValidationError';
+        this.field = field;
+        this.reason = message;
+        this.raw = raw;
+    }
+}
+
+const stringList = { type: 'array', items: { type: 'string' }, default: [] };
+const score10 = { type: 'number', min: 0, max: 10, required: true };
+const score100 = { type: 'number', min: 0, max: 100 };
+
+export const SCHEMAS = {
+    evaluation: {
+        type: 'object',
+        properties: {
+            strengths: { type: 'string', default: '' },
+            weaknesses: { type: 'string', default: '' },
+            technicalScore: score10,
+            communicationScore: score10,
+            confidenceScore: score10,
+            feedback: { type: 'string', default: '' },
+            shouldFollowUp: { type: 'boolean', default: false },
+            followUpTopic: { type: 'string', default: '' },
+            keyConcepts: stringList,
+            // Behavioral answers only
+            star: {
+                type: 'object',
+                properties: {
+                    situation: { type: 'number', min: 0, max: 10, default: 0 },
+                    task: { type: 'number', min: 0, max: 10, default: 0 },
+                    action: { type: 'number', min: 0, max: 10, default: 0 },
+                    result: { type: 'number', min: 0, max: 10, default: 0 }
+                }
+            },
+            // Questions with a rubric only
+            rubric: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        criterion: { type: 'string', default: '' },
+                        score: { type: 'number', min: 0, max: 10 },
+                        note: { type: 'string', default: '' }
+                    }
+                }
+            }
+        }
+    },
+
+    analysis: {
+        type: 'object',
+        properties: {
+            overallScore: { ...score100, required: true },
+            technicalAverage: { ...score100, default: 0 },
+            communicationAverage: { ...score100, default: 0 },
+            confidenceAverage: { ...score100, default: 0 },
+            questionAnalysis: {
+                type: 'array',
+                default: [],
+                items: {
+                    type: 'object',
+                    properties: {
+                        question: { type: 'string', default: '' },
+                        userAnswer: { type: 'string', default: '' },
+                        idealAnswer: { type: 'string', default: '' },
+                        strengths: { type: 'string', default: '' },
+                        weaknesses: { type: 'string', default: '' },
+                        suggestions: stringList,
+                        score: { ...score100, default: 0 },
+                        technicalScore: { type: 'number', min: 0, max: 10, default: 0 },
+                        communicationScore: { type: 'number', min: 0, max: 10, default: 0 },
+                        confidenceScore: { type: 'number', min: 0, max: 10, default: 0 }
+                    }
+                }
+            },
+            overallFeedback: { type: 'string', default: '' },
+            strengths: stringList,
+            areasForImprovement: stringList,
+            keyConcepts: stringList,
+            suggestedResources: stringList,
+            roleReadiness: { type: 'string', enum: ['Strong', 'Moderate', 'Needs Work'], default: 'Moderate' }
+        }
+    },
+
+    resume: {
+        type: 'object',
+        properties: {
+            skills: { ...stringList, required: true },
+            technologies: stringList,
+            projects: {
+                type: 'array',
+                default: [],
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', required: true },
+                        description: { type: 'string', default: '' },
+                        technologies: stringList,
+                        role: { type: 'string', default: '' }
+                    }
+                }
+            },
+            experience: {
+                type: 'array',
+                default: [],
+                items: {
+                    type: 'object',
+                    properties: {
+                        role: { type: 'string', default: '' },
+                        company: { type: 'string', default: '' },
+                        duration: { type: 'string', default: '' },
+                        highlights: stringList
+                    }
+                }
+            },
+            education: {
+                type: 'array',
+                default: [],
+                items: {
+                    type: 'object',
+                    properties: {
+                        degree: { type: 'string', default: '' },
+                        institution: { type: 'string', default: '' },
+                        year: { type: 'string', default: '' }
+                    }
+                }
+            },
+            experienceLevel: { type: 'string', enum: ['entry', 'mid', 'senior'], default: 'mid' },
+            suggestedJobTitles: stringList,
+            keyStrengths: stringList,
+            yearsOfExperience: { type: 'number', min: 0, max: 60, default: 0 },
+            summary: { type: 'string', default: '' }
+        }
+    },
+
+    jobDescription: {
+        type: 'object',
+        properties: {
+            requiredSkills: { ...stringList, required: true },
+            niceToHave: stringList,
+            seniority: { type: 'string', enum: ['junior', 'mid', 'senior', 'lead'], default: 'mid' },
+            yearsRequired: { type: 'number', min: 0, max: 40, default: 0 },
+            responsibilities: stringList
+        }
+    },
+
+    resumeQuestions: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string' }
+    },
+
+    codingProblem: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', required: true },
+            prompt: { type: 'string', required: true },
+            functionName: { type: 'string', required: true, pattern: FUNCTION_NAME_PATTERN },
+            signature: { type: 'string', required: true },
+            starterCode: { type: 'string', default: '' },
+            tests: {
+                type: 'array',
+                minItems: 2,
+                required: true,
+                items: {
+                    type: 'object',
+                    properties: {
+                        args: { required: true },
+                        hidden: { type: 'boolean', default: false }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Pull the first JSON value out of model output.
+ * Handles ```json fences, leading/trailing prose and trailing commas.
+ */
+export function extractJSON(text) {
+    if (text && typeof text === 'object') return text;
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new ResponseValidationError('empty response', null, text);
+    }
+
+    const candidates = [];
+    const trimmed = text.trim();
+    candidates.push(trimmed);
+
+    const fence = trimmed.match(/```(?:json|JSON)?\s*([\s\S]*?)```/);
+    if (fence) {
+        candidates.push(fence[1].trim());
+    }
+
+    const balanced = findBalancedJSON(trimmed);
+    if (balanced) {
+        candidates.push(balanced);
+    }
+
+    for (const candidate of candidates) {
+        for (const attempt of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+            try {
+                return JSON.parse(attempt);
+            } catch (error) {
+                // Try the next candidate
+            }
+        }
+    }
+
+    throw new ResponseValidationError('response does not contain valid JSON', null, text);
+}
+
+/**
+ * Scan for the first balanced {...} or [...] block, respecting string literals
+ */
+function findBalancedJSON(text) {
+    const start = text.search(/[{[]/);
+    if (start === -1) return null;
+
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+
+        if (char === '"') inString = true;
+        else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+        else if (char === '}' || char === ']') {
+            if (stack.pop() !== char) return null;
+            if (stack.length === 0) return text.slice(start, i + 1);
+        }
+    }
+
+    return null;
+}
+
+function coerceNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string') {
+        // Accept "7", "7.5/10", "70%", "Score: 8"
+        const match = value.match(/-?\d+(\.\d+)?/);
+        if (match) return parseFloat(match[0]);
+    }
+    return NaN;
+}
+
+function coerceBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0;
+    if (typeof value === 'string') {
+        const normalized = value.trim().toLowerCase();
+        if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+        if (['false', 'no', 'n', '0', ''].includes(normalized)) return false;
+    }
+    return undefined;
+}
+
+function defaultFor(schema) {
+    const value = schema.default;
+    if (Array.isArray(value)) return [...value];
+    if (value && typeof value === 'object') return { ...value };
+    return value;
+}
+
+/**
+ * Coerce a value against a schema node; throws ResponseValidationError naming the field path
+ */
+export function coerceToSchema(value, schema, path = '') {
+    const field = path || '(root)';
+
+    if (value === undefined || value === null || value === '') {
+        if (schema.default !== undefined) return defaultFor(schema);
+        if (schema.required) throw new ResponseValidationError('is required', field);
+        if (value === '' && schema.type === 'string') return '';
+        return undefined;
+    }
+
+    switch (schema.type) {
+        case 'string': {
+            if (Array.isArray(value)) return value.join(', ');
+            if (typeof value === 'object') throw new ResponseValidationError('expected text, got an object', field);
+            const text = String(value).trim();
+            if (schema.enum) {
+                const match = schema.enum.find(option => option.toLowerCase() === text.toLowerCase());
+                if (match) return match;
+                if (schema.default !== undefined) return defaultFor(schema);
+                throw new ResponseValidationError(`must be one of ${schema.enum.join(', ')}`, field);
+            }
+            if (schema.pattern && !schema.pattern.test(text)) {
+                throw new ResponseValidationError(`must match ${schema.pattern}`, field);
+            }
+            return text;
+        }
+
+        case 'number': {
+            let number = coerceNumber(value);
+            if (Number.isNaN(number)) {
+                if (schema.default !== undefined) return defaultFor(schema);
+                throw new ResponseValidationError(`expected a number, got ${JSON.stringify(value)}`, field);
+            }
+            if (schema.min !== undefined) number = Math.max(schema.min, number);
+            if (schema.max !== undefined) number = Math.min(schema.max, number);
+            return number;
+        }
+
+        case 'boolean': {
+            const bool = coerceBoolean(value);
+            if (bool === undefined) {
+                if (schema.default !== undefined) return defaultFor(schema);
+                throw new ResponseValidationError(`expected true/false, got ${JSON.stringify(value)}`, field);
+            }
+            return bool;
+        }
+
+        case 'array': {
+            let list = value;
+            if (!Array.isArray(list)) {
+                if (schema.items?.type === 'string' && typeof list === 'string') {
+                    list = list.split(/\n|;|,(?![^(]*\))/).map(item => item.replace(/^\s*[-*•\d.)]+\s*/, ''));
+                } else {
+                    throw new ResponseValidationError('expected a list', field);
+                }
+            }
+            const items = list
+                .map((item, i) => coerceToSchema(item, schema.items || {}, `${field}[${i}]`))
+                .filter(item => item !== undefined && item !== '');
+            if (schema.minItems && items.length < schema.minItems) {
+                throw new ResponseValidationError(`expected at least ${schema.minItems} item(s)`, field);
+            }
+            return items;
+        }
+
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                throw new ResponseValidationError('expected an object', field);
+            }
+            const result = { ...value };
+            Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+                const coerced = coerceToSchema(value[key], propSchema, path ? `${path}.${key}` : key);
+                if (coerced !== undefined) {
+                    result[key] = coerced;
+                }
+            });
+            return result;
+        }
+
+        default:
+            return value;
+    }
+}
+
+/**
+ * Extract, coerce and default a model response for a named schema
+ */
+export function parseStructuredResponse(text, schemaName) {
+    const schema = SCHEMAS[schemaName];
+    if (!schema) {
+        throw new Error(`Unknown response schema: ${schemaName}`);
+    }
+
+    try {
+        return coerceToSchema(extractJSON(text), schema);
+    } catch (error) {
+        if (error instanceof ResponseValidationError && !error.raw) {
+            error.raw = text;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Read string fields out of a JSON object that is still streaming in.
+ * Returns the text received so far for each field that has started.
+ */
+export function extractPartialFields(text, fields) {
+    const result = {};
+    if (typeof text !== 'string') return result;
+
+    fields.forEach(field => {
+        const match = text.match(new RegExp(`"${field}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+        if (!match) return;
+
+        // Drop a dangling escape so the fragment is a valid JSON string body
+        const fragment = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+        try {
+            result[field] = JSON.parse(`"${fragment}"`);
+        } catch (error) {
+            result[field] = fragment;
+        }
+    });
+
+    return result;
+}
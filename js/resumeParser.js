@@ -0,0 +1,383 @@
+/**
+ * Offline Resume Parser
+ * Deterministic, heuristic extraction of sections, roles, dates, skills and education
+ * from resume text. Produces the same resumeData shape as the LLM resume parser.
+ */
+
+import { findTechnologies, TECH_CATEGORIES } from './techDictionary.js';
+
+const SECTION_HEADINGS = {
+    summary: ['summary', 'professional summary', 'profile', 'about me', 'about', 'objective', 'career objective'],
+    experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'internships', 'internship'],
+    projects: ['projects', 'personal projects', 'academic projects', 'key projects', 'selected projects', 'side projects'],
+    skills: ['skills', 'technical skills', 'core skills', 'technologies', 'tech stack', 'tools', 'skills & tools', 'competencies', 'core competencies'],
+    education: ['education', 'academic background', 'academics', 'qualifications', 'education & training'],
+    certifications: ['certifications', 'certificates', 'licenses & certifications', 'awards', 'achievements', 'publications', 'languages', 'interests', 'hobbies', 'references']
+};
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const DATE = `(?:(?:${MONTHS})\\.?\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|present|current|now|today)`, 'i');
+
+const ROLE_WORDS = /\b(engineer|developer|programmer|architect|manager|lead|intern|analyst|scientist|designer|consultant|specialist|administrator|director|head|officer|associate|researcher|assistant|technician|coordinator|founder|co-founder|cto|ceo|devops|sre)\b/i;
+const COMPANY_WORDS = /\b(inc|llc|ltd|corp|corporation|company|co|gmbh|technologies|technology|labs|solutions|systems|software|group|bank|university|studio|pvt)\b\.?/i;
+const DEGREE_PATTERN = /\b(ph\.?\s?d|doctorate|master(?:'s)?|m\.?\s?s\.?c?|m\.?\s?tech|m\.?\s?e\.?|mba|m\.?\s?c\.?\s?a|bachelor(?:'s)?|b\.?\s?s\.?c?|b\.?\s?tech|b\.?\s?e\.?|b\.?\s?a\.?|b\.?\s?c\.?\s?a|associate(?:'s)? degree|diploma|high school)\b/i;
+const INSTITUTION_PATTERN = /\b(university|college|institute|school|academy|polytechnic|iit|nit|mit)\b/i;
+const BULLET_PATTERN = /^\s*(?:[-•*●▪◦‣·–]|\d+[.)])\s+/;
+
+/**
+ * Parse resume text into the resumeData shape used by resume mode
+ */
+export function parseResumeText(text) {
+    const lines = String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim());
+
+    const sections = splitSections(lines);
+
+    const experience = parseExperience(sections.experience);
+    const projects = parseProjects(sections.projects);
+    const education = parseEducation(sections.education);
+
+    // Skills listed explicitly rank ahead of ones only mentioned in passing
+    const skillsSectionTech = findTechnologies(sections.skills.join('\n'));
+    const allTech = findTechnologies(lines.join('\n'));
+    const skills = uniqueNames([...skillsSectionTech, ...allTech]);
+    const technologies = uniqueNames(allTech.filter(tech => !['practice', 'language'].includes(tech.category)));
+
+    const yearsOfExperience = estimateYears(experience);
+    const experienceLevel = inferLevel(yearsOfExperience, experience);
+
+    return {
+        skills,
+        technologies,
+        projects,
+        experience: experience.map(({ role, company, duration, highlights }) => ({ role, company, duration, highlights })),
+        education,
+        experienceLevel,
+        suggestedJobTitles: suggestTitles(experience, allTech, experienceLevel),
+        keyStrengths: keyStrengths(allTech),
+        yearsOfExperience,
+        summary: buildSummary(sections.summary, experience, skills, yearsOfExperience)
+    };
+}
+
+function matchHeading(line) {
+    const normalized = line.toLowerCase().replace(/[:|_\-–—]+$/g, '').replace(/[^a-z& ]/g, '').trim();
+    if (!normalized || line.length > 40) return null;
+
+    for (const [section, headings] of Object.entries(SECTION_HEADINGS)) {
+        if (headings.includes(normalized)) return section;
+    }
+    return null;
+}
+
+function splitSections(lines) {
+    const sections = { header: [], summary: [], experience: [], projects: [], skills: [], education: [], certifications: [] };
+    let current = 'header';
+
+    lines.forEach(line => {
+        const heading = matchHeading(line);
+        if (heading) {
+            current = heading;
+            return;
+        }
+        sections[current].push(line);
+    });
+
+    // Resumes without headings: treat the whole document as experience
+    if (!sections.experience.length && !sections.projects.length && sections.header.length > 5) {
+        sections.experience = sections.header.slice(3);
+    }
+
+    return sections;
+}
+
+function parseDate(text, isEnd = false) {
+    if (/present|current|now|today/i.test(text)) {
+        return new Date();
+    }
+
+    const year = parseInt(text.match(/\d{4}/)?.[0], 10);
+    if (!year) return null;
+
+    const numericMonth = text.match(/^(\d{1,2})\//);
+    const namedMonth = text.match(new RegExp(MONTHS, 'i'));
+    let month = isEnd ? 11 : 0;
+    if (numericMonth) {
+        month = Math.min(11, parseInt(numericMonth[1], 10) - 1);
+    } else if (namedMonth) {
+        month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+            .indexOf(namedMonth[0].slice(0, 3).toLowerCase());
+    }
+
+    return new Date(year, month, 1);
+}
+
+function formatDuration(months) {
+    if (months < 12) return `${Math.max(1, months)} month${months === 1 ? '' : 's'}`;
+    const years = Math.round(months / 6) / 2;
+    return `${years} year${years === 1 ? '' : 's'}`;
+}
+
+/**
+ * Split "Role at Company", "Role | Company", "Company - Role", "Role, Company" headers
+ */
+function splitRoleCompany(text) {
+    const cleaned = text.replace(DATE_RANGE, '').replace(/[|,–—\-@]+\s*$/g, '').replace(/^\s*[|,–—\-@]+/g, '').trim();
+    if (!cleaned) return { role: '', company: '' };
+
+    const atMatch = cleaned.match(/^(.*?)\s+(?:at|@)\s+(.*)$/i);
+    if (atMatch) return { role: atMatch[1].trim(), company: atMatch[2].trim() };
+
+    const parts = cleaned.split(/\s*(?:\||,|–|—|\s-\s)\s*/).filter(Boolean);
+    if (parts.length >= 2) {
+        const roleIndex = parts.findIndex(part => ROLE_WORDS.test(part));
+        if (roleIndex !== -1) {
+            const company = parts.find((part, i) => i !== roleIndex && !/\d{4}/.test(part)) || '';
+            return { role: parts[roleIndex], company };
+        }
+        return { role: parts[1], company: parts[0] };
+    }
+
+    return ROLE_WORDS.test(cleaned) && !COMPANY_WORDS.test(cleaned)
+        ? { role: cleaned, company: '' }
+        : { role: '', company: cleaned };
+}
+
+function parseExperience(lines) {
+    const entries = [];
+    let current = null;
+
+    const startEntry = () => {
+        current = { role: '', company: '', duration: '', months: 0, start: null, end: null, highlights: [] };
+        entries.push(current);
+    };
+
+    lines.forEach(line => {
+        if (!line) return;
+
+        const isBullet = BULLET_PATTERN.test(line);
+        const range = line.match(DATE_RANGE);
+
+        if (isBullet) {
+            if (!current) startEntry();
+            current.highlights.push(line.replace(BULLET_PATTERN, '').trim());
+            return;
+        }
+
+        // A header line: starts an entry unless it just completes the current one's header
+        const needsNewEntry = !current || current.highlights.length > 0 ||
+            (range && current.start) ||
+            (current.role && current.company && !range);
+        if (needsNewEntry) startEntry();
+
+        if (range) {
+            current.start = parseDate(range[1]);
+            current.end = parseDate(range[2], true);
+            if (current.start && current.end && current.end >= current.start) {
+                current.months = (current.end.getFullYear() - current.start.getFullYear()) * 12 +
+                    (current.end.getMonth() - current.start.getMonth()) + 1;
+                current.duration = formatDuration(current.months);
+            }
+        }
+
+        const { role, company } = splitRoleCompany(line);
+        if (role && !current.role) current.role = role;
+        if (company && !current.company) current.company = company;
+
+        // Long non-bullet prose under a header reads as a highlight
+        if (!role && !company && line.length > 60 && current.highlights) {
+            current.highlights.push(line);
+        }
+    });
+
+    return entries
+        .filter(entry => entry.role || entry.company)
+        .map(entry => ({
+            ...entry,
+            role: entry.role || 'Team Member',
+            company: entry.company || 'Unspecified company',
+            highlights: entry.highlights.slice(0, 5)
+        }));
+}
+
+function parseProjects(lines) {
+    const projects = [];
+    let current = null;
+
+    lines.forEach(line => {
+        if (!line) return;
+
+        const isBullet = BULLET_PATTERN.test(line);
+        const content = line.replace(BULLET_PATTERN, '').trim();
+
+        // "Name: description" lines, or short non-bullet lines, start a project
+        const titled = content.match(/^([^:–—|]{3,50})\s*[:–—|]\s+(.{10,})$/);
+        if ((titled && (!isBullet || !current?.description)) || (!isBullet && content.length <= 80 && !/[.!]$/.test(content))) {
+            const name = titled ? titled[1] : content.split(/\s*[|–—(]\s*/)[0];
+            current = { name: name.trim(), description: titled ? titled[2] : '', lines: [content], role: '' };
+            projects.push(current);
+            return;
+        }
+
+        if (!current) {
+            current = { name: content.split(/[.:,]/)[0].slice(0, 50), description: '', lines: [], role: '' };
+            projects.push(current);
+        }
+        current.lines.push(content);
+        if (!current.description) current.description = content;
+    });
+
+    return projects.slice(0, 6).map(project => {
+        const block = project.lines.join('\n');
+        const roleMatch = block.match(/\b(lead|solo|team|sole|core)\s+(developer|engineer|contributor|designer)\b/i);
+        return {
+            name: project.name,
+            description: (project.description || project.lines.slice(1).join(' ')).slice(0, 200),
+            technologies: uniqueNames(findTechnologies(block)),
+            role: roleMatch ? roleMatch[0] : 'Developer'
+        };
+    });
+}
+
+function parseEducation(lines) {
+    const entries = [];
+    let current = null;
+
+    lines.forEach(line => {
+        if (!line) return;
+
+        const degree = line.match(DEGREE_PATTERN);
+        const institution = INSTITUTION_PATTERN.test(line);
+        const years = line.match(/\b(19|20)\d{2}\b/g);
+
+        if (degree && (!current || current.degree)) {
+            current = { degree: '', institution: '', year: '' };
+            entries.push(current);
+        } else if (institution && (!current || current.institution)) {
+            current = { degree: '', institution: '', year: '' };
+            entries.push(current);
+        }
+        if (!current) return;
+
+        const parts = line.replace(BULLET_PATTERN, '').split(/\s*(?:\||,|–|—|\s-\s)\s*/).filter(Boolean);
+        if (degree && !current.degree) {
+            current.degree = parts.find(part => DEGREE_PATTERN.test(part)) || line;
+        }
+        if (institution && !current.institution) {
+            current.institution = parts.find(part => INSTITUTION_PATTERN.test(part)) || line;
+        }
+        if (years && !current.year) {
+            current.year = years[years.length - 1];
+        }
+    });
+
+    return entries.map(entry => ({
+        degree: entry.degree.replace(/\b(19|20)\d{2}\b/g, '').trim() || 'Degree',
+        institution: entry.institution.replace(/\b(19|20)\d{2}\b/g, '').trim() || 'Institution',
+        year: entry.year
+    }));
+}
+
+/**
+ * Sum experience months, merging overlapping periods
+ */
+function estimateYears(experience) {
+    const periods = experience
+        .filter(entry => entry.start && entry.end && entry.end >= entry.start)
+        .map(entry => [entry.start.getTime(), entry.end.getTime()])
+        .sort((a, b) => a[0] - b[0]);
+
+    let total = 0;
+    let [spanStart, spanEnd] = periods[0] || [0, 0];
+    periods.slice(1).forEach(([start, end]) => {
+        if (start <= spanEnd) {
+            spanEnd = Math.max(spanEnd, end);
+        } else {
+            total += spanEnd - spanStart;
+            [spanStart, spanEnd] = [start, end];
+        }
+    });
+    total += spanEnd - spanStart;
+
+    return Math.round(total / (365.25 * 24 * 3600 * 1000) * 2) / 2;
+}
+
+function inferLevel(years, experience) {
+    const latestRole = experience[0]?.role || '';
+    if (years >= 6 || /\b(senior|sr\.?|lead|principal|staff|architect|head|director)\b/i.test(latestRole)) return 'senior';
+    if (years >= 2) return 'mid';
+    return 'entry';
+}
+
+function suggestTitles(experience, tech, level) {
+    const titles = [];
+    const latestRole = experience[0]?.role;
+    if (latestRole && latestRole !== 'Team Member') titles.push(latestRole);
+
+    const weight = {};
+    tech.forEach(item => {
+        weight[item.category] = (weight[item.category] || 0) + item.count;
+    });
+
+    const byCategory = {
+        frontend: 'Frontend Developer',
+        backend: 'Backend Developer',
+        data: 'Data Scientist',
+        cloud: 'DevOps Engineer',
+        mobile: 'Mobile Developer'
+    };
+
+    if ((weight.frontend || 0) > 0 && (weight.backend || 0) > 0 &&
+        Math.min(weight.frontend, weight.backend) >= Math.max(weight.frontend, weight.backend) / 3) {
+        titles.push('Full Stack Developer');
+    }
+
+    Object.entries(weight)
+        .filter(([category]) => byCategory[category])
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([category]) => titles.push(byCategory[category]));
+
+    if (tech.some(item => item.name === 'Python')) titles.push('Python Developer');
+    titles.push('Software Engineer');
+
+    const prefix = level === 'senior' ? 'Senior ' : '';
+    return [...new Set(titles.map(title =>
+        prefix && !/senior|lead|principal|staff/i.test(title) && title !== latestRole ? prefix + title : title
+    ))].slice(0, 3);
+}
+
+function keyStrengths(tech) {
+    const weight = {};
+    tech.forEach(item => {
+        weight[item.category] = (weight[item.category] || 0) + item.count;
+    });
+
+    const categories = Object.entries(weight)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 2)
+        .map(([category]) => TECH_CATEGORIES[category]);
+
+    return [...tech.slice(0, 2).map(item => item.name), ...categories];
+}
+
+function buildSummary(summaryLines, experience, skills, years) {
+    const written = summaryLines.filter(Boolean).join(' ').trim();
+    if (written) {
+        return written.split(/(?<=[.!?])\s/)[0].slice(0, 240);
+    }
+
+    const latest = experience[0];
+    const parts = [];
+    if (latest) parts.push(`${latest.role}${latest.company !== 'Unspecified company' ? ` at ${latest.company}` : ''}`);
+    if (years) parts.push(`${years} years of experience`);
+    if (skills.length) parts.push(`skilled in ${skills.slice(0, 3).join(', ')}`);
+
+    return parts.length ? parts.join(', ') : 'Candidate resume';
+}
+
+function uniqueNames(items) {
+    return [...new Set(items.map(item => item.name))];
+}
@@ -0,0 +1,124 @@
+/**
+ * Rubric Scorer
+ * Weighted criteria a question's answer is judged against: key points to make, concepts to
+ * name and pitfalls to avoid. Model-provided criterion scores are merged back onto the
+ * question's rubric; offline, key points and concepts are matched by the offline evaluator.
+ */
+
+import { indexAnswer, matchConcept } from './offlineEvaluator.js';
+
+export const RUBRIC_KINDS = {
+    'key-point': { label: 'Key point' },
+    concept: { label: 'Expected concept' },
+    pitfall: { label: 'Pitfall to avoid' }
+};
+
+// A criterion scoring at least this is reported as met
+export const RUBRIC_MET_THRESHOLD = 6;
+
+/**
+ * Rubric items from a bank or plan: strings ("Pitfall: ..." and "Concept: ..." set the kind)
+ * or { criterion, weight, kind } objects. Returns [{ criterion, weight, kind }].
+ */
+export function normalizeRubric(items) {
+    if (!Array.isArray(items)) return [];
+
+    return items
+        .map(item => {
+            const raw = typeof item === 'string' ? { criterion: item } : item || {};
+            let criterion = String(raw.criterion || '').trim();
+            let kind = String(raw.kind || '').trim().toLowerCase();
+
+            const prefix = criterion.match(/^(pitfall|concept|key[- ]point)\s*:\s*/i);
+            if (prefix) {
+                kind = kind || prefix[1].toLowerCase().replace(' ', '-');
+                criterion = criterion.substring(prefix[0].length).trim();
+            }
+
+            return {
+                criterion,
+                weight: Number(raw.weight) > 0 ? Number(raw.weight) : 1,
+                kind: RUBRIC_KINDS[kind] ? kind : 'key-point'
+            };
+        })
+        .filter(item => item.criterion);
+}
+
+/**
+ * Merge per-criterion scores from the model onto the rubric, matching by criterion text and
+ * falling back to position. Returns { criteria: [{ criterion, kind, weight, score, met, note }], score }.
+ */
+export function finalizeRubric(rubric, scored = []) {
+    if (!rubric?.length) return null;
+
+    const byText = new Map(scored.map(item => [String(item.criterion || '').trim().toLowerCase(), item]));
+    const criteria = rubric.map((item, i) => {
+        const match = byText.get(item.criterion.toLowerCase()) || scored[i] || {};
+        const value = match.score === null || match.score === '' ? NaN : Number(match.score);
+        const score = Number.isFinite(value) ? Math.min(10, Math.max(0, value)) : null;
+
+        return {
+            ...item,
+            score,
+            met: score === null ? null : score >= RUBRIC_MET_THRESHOLD,
+            note: typeof match.note === 'string' ? match.note : ''
+        };
+    });
+
+    return { criteria, score: rubricScore(criteria) };
+}
+
+/**
+ * Weighted 0-10 score over the assessed criteria, or null when none were assessed
+ */
+export function rubricScore(criteria) {
+    const assessed = criteria.filter(item => item.score !== null);
+    const totalWeight = assessed.reduce((sum, item) => sum + item.weight, 0);
+    if (!totalWeight) return null;
+
+    const weighted = assessed.reduce((sum, item) => sum + item.score * item.weight, 0) / totalWeight;
+    return Math.round(weighted * 10) / 10;
+}
+
+/**
+ * Offline rubric scoring: a key point or concept scores by how much of it the answer covers,
+ * allowing for word forms and synonyms. Pitfalls need judgement, so they are left unassessed.
+ */
+export function scoreRubricOffline(rubric, answer = '') {
+    if (!rubric?.length) return null;
+
+    const index = indexAnswer(answer);
+    const scored = rubric.map(item => {
+        if (item.kind === 'pitfall') {
+            return { criterion: item.criterion, score: null, note: 'Not assessed offline' };
+        }
+
+        const { score, hits } = matchConcept(item.criterion, index);
+        return {
+            criterion: item.criterion,
+            score: Math.round(score * 10),
+            note: hits.length ? `Mentions ${hits.join(', ')}` : ''
+        };
+    });
+
+    return finalizeRubric(rubric, scored);
+}
+
+/**
+ * Rubric section of the evaluation prompt
+ */
+export function describeRubric(rubric, referenceAnswer = '') {
+    const reference = referenceAnswer ? `\n\nReference answer (what a strong answer covers; the candidate need not match its wording):\n${referenceAnswer}` : '';
+    if (!rubric?.length) return reference;
+
+    const lines = rubric.map((item, i) =>
+        `${i + 1}. [${RUBRIC_KINDS[item.kind].label}, weight ${item.weight}] ${item.criterion}`
+    );
+
+    return `${reference}
+
+Rubric:
+${lines.join('\n')}
+
+Score every rubric criterion from 0-10 and add them to the JSON as "rubric": [{"criterion": "<criterion text as written>", "score": n, "note": "one sentence on what the answer did or missed"}], in the order listed. For a pitfall, score 10 when the answer avoids it and 0 when it falls into it. Base technicalScore on the weighted rubric scores.`;
+}
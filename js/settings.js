@@ -0,0 +1,133 @@
+/**
+ * Settings Service
+ * Persists user preferences (AI provider, voice, interview options) in localStorage
+ */
+
+export const DEFAULT_SETTINGS = {
+    llm: {
+        provider: 'anthropic',
+        apiKey: '',
+        endpoint: '',
+        model: '',
+        temperature: 0.7,
+        maxTokens: 1024
+    },
+    // 'fallback': bank questions replace the built-in offline questions only;
+    // 'mix': half of new questions come from the banks; 'only': banks replace AI questions
+    questionBanks: {
+        source: 'fallback'
+    },
+    // BCP 47 code from interviewLanguages.js for speech, voices and AI prompts
+    interview: {
+        language: 'en-US'
+    },
+    // Interviewer voice: name of a speechSynthesis voice ('' picks one for the language),
+    // personas maps panel persona ids to voice names. Hands-free answers: listen once the
+    // interviewer finishes speaking and submit after silenceSeconds of quiet, following a
+    // countdownSeconds countdown that can be cancelled
+    voice: {
+        name: '',
+        rate: 0.9,
+        pitch: 1,
+        volume: 1,
+        personas: {},
+        handsFree: false,
+        silenceSeconds: 3,
+        countdownSeconds: 3
+    },
+    // Speech-to-text backend: 'web-speech' (browser) or 'http' (a local server such as
+    // whisper.cpp); endpoint and model apply to 'http'
+    stt: {
+        backend: 'web-speech',
+        endpoint: '',
+        model: ''
+    }
+};
+
+export class SettingsService {
+    constructor() {
+        this.storageKey = 'interview_trainer_settings';
+    }
+
+    getAll() {
+        let stored = {};
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            stored = data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+        }
+
+        const settings = this.merge(DEFAULT_SETTINGS, stored);
+
+        // Keys saved before provider selection existed are Anthropic keys
+        if (!settings.llm.apiKey && settings.llm.provider === 'anthropic') {
+            settings.llm.apiKey = localStorage.getItem('anthropic_api_key') || '';
+        }
+
+        return settings;
+    }
+
+    /**
+     * Read a setting by dotted path, e.g. get('llm.provider')
+     */
+    get(path) {
+        return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), this.getAll());
+    }
+
+    /**
+     * Write a setting by dotted path and notify listeners
+     */
+    set(path, value) {
+        const settings = this.getAll();
+        const keys = path.split('.');
+        const last = keys.pop();
+
+        let node = settings;
+        keys.forEach(key => {
+            if (typeof node[key] !== 'object' || node[key] === null) {
+                node[key] = {};
+            }
+            node = node[key];
+        });
+        node[last] = value;
+
+        this.save(settings);
+        this.dispatchSettingsEvent(path);
+    }
+
+    save(settings) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(settings));
+            return true;
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            return false;
+        }
+    }
+
+    reset() {
+        localStorage.removeItem(this.storageKey);
+        this.dispatchSettingsEvent(null);
+    }
+
+    merge(defaults, overrides) {
+        const result = Array.isArray(defaults) ? [...defaults] : { ...defaults };
+        Object.keys(overrides || {}).forEach(key => {
+            const value = overrides[key];
+            if (value && typeof value === 'object' && !Array.isArray(value) &&
+                defaults[key] && typeof defaults[key] === 'object' && !Array.isArray(defaults[key])) {
+                result[key] = this.merge(defaults[key], value);
+            } else {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+
+    dispatchSettingsEvent(path) {
+        window.dispatchEvent(new CustomEvent('settings-update', {
+            detail: { path }
+        }));
+    }
+}
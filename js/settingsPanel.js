@@ -0,0 +1,128 @@
+/**
+ * Settings Panel
+ * Binds the settings modal form controls (data-setting="section.key") to SettingsService
+ */
+
+import { SettingsService } from './settings.js';
+import { PROVIDERS, createProvider } from './llmProviders.js';
+import { INTERVIEW_LANGUAGES } from './interviewLanguages.js';
+
+export class SettingsPanel {
+    constructor(settings = new SettingsService()) {
+        this.settings = settings;
+        this.modal = document.getElementById('settingsModal');
+        this.openBtn = document.getElementById('settingsBtn');
+
+        if (!this.modal) return;
+
+        this.init();
+    }
+
+    init() {
+        this.renderProviderOptions();
+        this.renderLanguageOptions();
+        this.populate();
+
+        if (this.openBtn) {
+            this.openBtn.addEventListener('click', () => this.open());
+        }
+
+        this.modal.querySelector('.close-modal')?.addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+
+        this.modal.querySelectorAll('[data-setting]').forEach(field => {
+            const eventName = field.type === 'checkbox' || field.tagName === 'SELECT' ? 'change' : 'input';
+            field.addEventListener(eventName, () => this.handleFieldChange(field));
+        });
+
+        window.addEventListener('settings-update', () => this.updateStatus());
+    }
+
+    open() {
+        this.populate();
+        this.modal.classList.add('active');
+    }
+
+    close() {
+        this.modal.classList.remove('active');
+    }
+
+    renderProviderOptions() {
+        const select = this.modal.querySelector('[data-setting="llm.provider"]');
+        if (!select) return;
+
+        select.innerHTML = Object.entries(PROVIDERS)
+            .map(([id, Provider]) => `<option value="${id}">${Provider.label}</option>`)
+            .join('');
+    }
+
+    renderLanguageOptions() {
+        const select = this.modal.querySelector('[data-setting="interview.language"]');
+        if (!select) return;
+
+        select.innerHTML = Object.entries(INTERVIEW_LANGUAGES)
+            .map(([code, language]) => `<option value="${code}">${language.label}</option>`)
+            .join('');
+    }
+
+    populate() {
+        this.modal.querySelectorAll('[data-setting]').forEach(field => {
+            const value = this.settings.get(field.dataset.setting);
+            if (field.type === 'checkbox') {
+                field.checked = Boolean(value);
+            } else {
+                field.value = value ?? '';
+            }
+        });
+
+        this.updateProviderHints();
+        this.updateStatus();
+    }
+
+    readFieldValue(field) {
+        if (field.type === 'checkbox') return field.checked;
+        if (field.type === 'number' || field.type === 'range') {
+            const number = parseFloat(field.value);
+            return Number.isNaN(number) ? null : number;
+        }
+        return field.value.trim();
+    }
+
+    handleFieldChange(field) {
+        const path = field.dataset.setting;
+        this.settings.set(path, this.readFieldValue(field));
+
+        if (path === 'llm.provider') {
+            this.updateProviderHints();
+        }
+    }
+
+    updateProviderHints() {
+        const Provider = PROVIDERS[this.settings.get('llm.provider')];
+        if (!Provider) return;
+
+        const endpoint = this.modal.querySelector('[data-setting="llm.endpoint"]');
+        const model = this.modal.querySelector('[data-setting="llm.model"]');
+        const apiKey = this.modal.querySelector('[data-setting="llm.apiKey"]');
+
+        if (endpoint) endpoint.placeholder = Provider.defaultEndpoint;
+        if (model) model.placeholder = Provider.defaultModel;
+        if (apiKey) apiKey.placeholder = Provider.requiresKey ? 'Required' : 'Optional';
+    }
+
+    updateStatus() {
+        const status = this.modal.querySelector('#llm-status');
+        if (!status) return;
+
+        const provider = createProvider(this.settings.get('llm'));
+        if (provider.isConfigured()) {
+            status.textContent = `✅ Using ${provider.name} (${provider.model})`;
+            status.style.color = '#10b981';
+        } else {
+            status.textContent = '⚠️ Not configured - interviews use offline mock questions';
+            status.style.color = '#f59e0b';
+        }
+    }
+}
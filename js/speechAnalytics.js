@@ -0,0 +1,239 @@
+/**
+ * Speech Delivery Analytics
+ * Pace, filler words, long pauses, restarts and duration of a spoken answer, measured from
+ * the transcript and the timing of speech recognition results (pace and pauses only where
+ * the speech-to-text backend reports results as they are said). Fillers and spoken
+ * self-corrections are only recognised, and pace only rated, in English.
+ */
+
+import { DEFAULT_LANGUAGE, isEnglish, splitWords } from './interviewLanguages.js';
+
+// Comfortable interview pace in English words per minute
+export const PACE_RANGE = { min: 110, max: 170 };
+
+// Silence between recognition results longer than this counts as a long pause
+export const LONG_PAUSE_MS = 2500;
+
+const FILLERS = [
+    { label: 'um', pattern: /\b(um+|umm+|erm+)\b/g },
+    { label: 'uh', pattern: /\b(uh+|er+|ah+)\b/g },
+    { label: 'hmm', pattern: /\bhm+\b/g },
+    { label: 'like', pattern: /(^|[.,!?]\s*|\b(?:and|so|was|is|it's|just|um|uh|i'm|were)\s+)like\b(?!\s+(?:to|a|an|the|this|that|it|them|him|her)\b)/g },
+    { label: 'you know', pattern: /\byou know\b(?!\s+(?:what|how|when|where|why|that|if|the)\b)/g },
+    { label: 'i mean', pattern: /\bi mean\b/g },
+    { label: 'basically', pattern: /\bbasically\b/g },
+    { label: 'literally', pattern: /\bliterally\b/g },
+    { label: 'so yeah', pattern: /\bso yeah\b/g }
+];
+
+// Self-corrections that abandon what was being said
+const CORRECTION_CUES = /\b(?:sorry[,.]?\s*)?(?:let me rephrase|let me start (?:again|over)|what i meant|no wait|scratch that|actually no)\b|\bsorry\b/g;
+
+// Share of words the submitted answer and the voice transcript must have in common
+const TRANSCRIPT_MATCH = 0.8;
+
+// Words that are legitimately doubled ("that that", "had had")
+const DOUBLE_WORDS = new Set(['that', 'had', 'is', 'do', 'very', 'really', 'no', 'bye', 'so']);
+
+function words(text) {
+    return splitWords(String(text || '').toLowerCase().replace(/[’]/g, "'"));
+}
+
+/**
+ * { total, counts: { um: 2, like: 1 } }
+ */
+export function countFillers(text) {
+    const lower = String(text || '').toLowerCase().replace(/[’]/g, "'");
+    const counts = {};
+    let total = 0;
+
+    FILLERS.forEach(({ label, pattern }) => {
+        const found = (lower.match(pattern) || []).length;
+        if (found) {
+            counts[label] = found;
+            total += found;
+        }
+    });
+
+    return { total, counts };
+}
+
+/**
+ * Stutters and false starts: a word or two-word phrase said twice in a row ("I I think",
+ * "we went we went") and, in English, explicit self-corrections ("sorry", "let me rephrase")
+ */
+export function countRestarts(text, language = DEFAULT_LANGUAGE) {
+    const list = words(text);
+    let restarts = 0;
+
+    for (let i = 1; i < list.length; i++) {
+        if (list[i] === list[i - 1] && !DOUBLE_WORDS.has(list[i])) {
+            restarts++;
+        } else if (i >= 3 && list[i] === list[i - 2] && list[i - 1] === list[i - 3] && list[i] !== list[i - 1]) {
+            restarts++;
+        }
+    }
+
+    if (!isEnglish(language)) return restarts;
+    return restarts + (String(text || '').toLowerCase().match(CORRECTION_CUES) || []).length;
+}
+
+/**
+ * Whether the submitted answer is essentially what was recognised: at least
+ * TRANSCRIPT_MATCH of the words of the longer of the two are shared, so fixing a misheard
+ * word still counts as spoken but a retyped or heavily edited answer doesn't
+ */
+export function matchesTranscript(answer, transcript) {
+    const answerWords = words(answer);
+    const spokenWords = words(transcript);
+    if (!answerWords.length || !spokenWords.length) return false;
+
+    const remaining = new Map();
+    spokenWords.forEach(word => remaining.set(word, (remaining.get(word) || 0) + 1));
+    const shared = answerWords.filter(word => {
+        const count = remaining.get(word);
+        if (!count) return false;
+        remaining.set(word, count - 1);
+        return true;
+    }).length;
+
+    return shared / Math.max(answerWords.length, spokenWords.length) >= TRANSCRIPT_MATCH;
+}
+
+/**
+ * Delivery of a spoken answer, or null when it wasn't spoken.
+ * Measured on the recognised transcript, not on the submitted text, and only when the
+ * submitted answer is essentially that transcript (see matchesTranscript).
+ * timeline is { startedAt, stoppedAt, events: [{ at }], transcript } from VoiceService, one event per
+ * recognition result; silence between results is what the recognizer heard as a pause.
+ * When timeline.timed is false the results came in batches (a transcription server), so
+ * duration is the recording's length and wordsPerMinute, startDelaySeconds, longPauses and
+ * longestPauseSeconds are null.
+ * Returns { language, durationSeconds, startDelaySeconds, wordCount, wordsPerMinute, fillers,
+ * fillerRate, longPauses, longestPauseSeconds, restarts }; fillers and fillerRate are null
+ * when the interview isn't in English
+ */
+export function analyzeDelivery(answer, timeline, language = DEFAULT_LANGUAGE) {
+    if (!timeline?.events?.length || !matchesTranscript(answer, timeline.transcript)) return null;
+
+    const spoken = timeline.transcript;
+    const wordCount = words(spoken).length;
+    const fillers = isEnglish(language) ? countFillers(spoken) : null;
+    const fillerRate = !fillers ? null : wordCount ? Math.round(fillers.total / wordCount * 1000) / 10 : 0;
+
+    if (timeline.timed === false) {
+        const recordedMs = (timeline.stoppedAt || timeline.events[timeline.events.length - 1].at) - timeline.startedAt;
+        return {
+            language,
+            durationSeconds: Math.round(Math.max(1000, recordedMs) / 100) / 10,
+            startDelaySeconds: null,
+            wordCount,
+            wordsPerMinute: null,
+            fillers,
+            fillerRate,
+            longPauses: null,
+            longestPauseSeconds: null,
+            restarts: countRestarts(spoken, language)
+        };
+    }
+
+    const times = timeline.events.map(event => event.at);
+    const first = times[0];
+    const last = times[times.length - 1];
+    // A single result still took the candidate about a second to say
+    const durationMs = Math.max(1000, last - first);
+
+    const gaps = times.slice(1).map((at, i) => at - times[i]);
+    const longGaps = gaps.filter(gap => gap >= LONG_PAUSE_MS);
+
+    return {
+        language,
+        durationSeconds: Math.round(durationMs / 100) / 10,
+        startDelaySeconds: timeline.startedAt ? Math.max(0, Math.round((first - timeline.startedAt) / 100) / 10) : null,
+        wordCount,
+        wordsPerMinute: Math.round(wordCount / (durationMs / 60000)),
+        fillers,
+        fillerRate,
+        longPauses: longGaps.length,
+        longestPauseSeconds: gaps.length ? Math.round(Math.max(...gaps) / 100) / 10 : 0,
+        restarts: countRestarts(spoken, language)
+    };
+}
+
+/**
+ * How far each metric is from a confident delivery: 'good', 'warn' or 'poor'; '' for a
+ * metric that wasn't measured, and for pace and fillers outside English
+ */
+export function deliveryRatings(delivery) {
+    const pace = delivery.wordsPerMinute;
+    return {
+        pace: pace === null || !isEnglish(delivery.language) ? '' : pace >= PACE_RANGE.min && pace <= PACE_RANGE.max ? 'good'
+            : pace >= PACE_RANGE.min - 20 && pace <= PACE_RANGE.max + 20 ? 'warn' : 'poor',
+        fillers: !delivery.fillers ? '' : delivery.fillerRate <= 2 ? 'good' : delivery.fillerRate <= 5 ? 'warn' : 'poor',
+        pauses: delivery.longPauses === null ? '' : delivery.longPauses === 0 ? 'good' : delivery.longPauses <= 2 ? 'warn' : 'poor',
+        restarts: delivery.restarts <= 1 ? 'good' : delivery.restarts <= 3 ? 'warn' : 'poor'
+    };
+}
+
+/**
+ * One tip per metric that needs work, most noticeable first
+ */
+export function deliveryTips(delivery) {
+    const ratings = deliveryRatings(delivery);
+    const tips = [];
+
+    if (ratings.fillers && ratings.fillers !== 'good') {
+        const top = Object.entries(delivery.fillers.counts).sort((a, b) => b[1] - a[1])[0];
+        tips.push(`Cut filler words${top ? ` (you said "${top[0]}" ${top[1]} time${top[1] === 1 ? '' : 's'})` : ''}; a short silent pause sounds more confident.`);
+    }
+    if (ratings.pace && ratings.pace !== 'good') {
+        tips.push(delivery.wordsPerMinute > PACE_RANGE.max
+            ? `You spoke at ${delivery.wordsPerMinute} wpm; slow down to around ${PACE_RANGE.max - 20} so key points land.`
+            : `You spoke at ${delivery.wordsPerMinute} wpm; aim for ${PACE_RANGE.min}-${PACE_RANGE.max} by outlining your answer before you start.`);
+    }
+    if (ratings.pauses && ratings.pauses !== 'good') {
+        tips.push(`${delivery.longPauses} long pause${delivery.longPauses === 1 ? '' : 's'} (up to ${delivery.longestPauseSeconds}s); say "let me think about that" rather than going silent.`);
+    }
+    if (ratings.restarts !== 'good') {
+        tips.push(`${delivery.restarts} restarts; finish each sentence before correcting course.`);
+    }
+    return tips;
+}
+
+/**
+ * Points (0-2) to take off an offline confidence score for a hesitant delivery
+ */
+export function deliveryPenalty(delivery) {
+    if (!delivery) return 0;
+
+    const weight = { good: 0, warn: 0.25, poor: 0.5 };
+    const total = Object.values(deliveryRatings(delivery)).reduce((sum, rating) => sum + (weight[rating] || 0), 0);
+    return Math.min(2, total);
+}
+
+/**
+ * Averages over the spoken answers of an interview, or null if none were spoken:
+ * { answers, wordsPerMinute, fillerRate, longPauses, restarts }; a metric no answer had
+ * measured is null
+ */
+export function summarizeDelivery(conversationHistory = []) {
+    const spoken = conversationHistory.map(qa => qa.delivery).filter(Boolean);
+    if (!spoken.length) return null;
+
+    const average = key => {
+        const measured = spoken.filter(d => d[key] !== null);
+        return measured.length ? Math.round(measured.reduce((sum, d) => sum + (d[key] || 0), 0) / measured.length * 10) / 10 : null;
+    };
+    return {
+        answers: spoken.length,
+        wordsPerMinute: average('wordsPerMinute') === null ? null : Math.round(average('wordsPerMinute')),
+        fillerRate: average('fillerRate'),
+        longPauses: average('longPauses'),
+        restarts: average('restarts')
+    };
+}
+
+export function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
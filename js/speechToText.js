@@ -0,0 +1,278 @@
+/**
+ * Speech-to-Text Backends
+ * Each backend creates recognizers with the browser SpeechRecognition surface (start, stop
+ * and abort; onstart, onresult, onerror and onend) so VoiceService drives them the same way
+ */
+
+// MediaRecorder delivers audio this often for an interim transcript, and starts a new
+// recording (finalising the transcript so far) after a segment of this length
+const INTERIM_CHUNK_MS = 2000;
+const SEGMENT_MS = 20000;
+
+// Preferred recording formats, first supported wins
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+/**
+ * Base backend - subclasses implement createRecognizer()
+ */
+export class SpeechToTextBackend {
+    constructor(config = {}) {
+        this.lang = config.lang || 'en-US';
+        this.endpoint = config.endpoint || this.constructor.defaultEndpoint;
+        this.model = config.model || '';
+    }
+
+    static label = 'Speech to text';
+    static defaultEndpoint = '';
+    // Whether results arrive as the words are said, so their timing shows pace and pauses
+    static reportsTiming = false;
+
+    static isSupported() {
+        return false;
+    }
+
+    get name() {
+        return this.constructor.label;
+    }
+}
+
+/**
+ * Browser speech recognition (Chrome and Edge stream the audio to their vendor's service)
+ */
+export class WebSpeechBackend extends SpeechToTextBackend {
+    static label = 'Browser speech recognition';
+    static reportsTiming = true;
+
+    static isSupported() {
+        return 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
+    }
+
+    createRecognizer() {
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        const recognition = new SpeechRecognition();
+
+        // Configure for optimal continuous recording
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        recognition.lang = this.lang;
+        recognition.maxAlternatives = 1;
+
+        return recognition;
+    }
+}
+
+/**
+ * Records with MediaRecorder and posts the audio as multipart "file" to a local server:
+ * whisper.cpp's /inference (run it with --convert so it accepts WebM) or any
+ * OpenAI-style /v1/audio/transcriptions endpoint. Accepts { text } or a plain-text body.
+ * Results arrive every few seconds plus the server's latency, whatever the candidate does,
+ * so pace and pauses aren't measured from them.
+ */
+export class HttpTranscriptionBackend extends SpeechToTextBackend {
+    static label = 'Local HTTP server';
+    static defaultEndpoint = 'http://localhost:8080/inference';
+
+    static isSupported() {
+        return typeof window.MediaRecorder !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+    }
+
+    createRecognizer() {
+        return new RecordingRecognizer(this);
+    }
+
+    async transcribe(audio) {
+        const extension = audio.type.includes('ogg') ? 'ogg' : audio.type.includes('mp4') ? 'm4a' : 'webm';
+        const form = new FormData();
+        form.append('file', audio, `speech.${extension}`);
+        form.append('response_format', 'json');
+        form.append('temperature', '0');
+        form.append('language', this.lang.split('-')[0]);
+        if (this.model) {
+            form.append('model', this.model);
+        }
+
+        const response = await fetch(this.endpoint, { method: 'POST', body: form });
+        if (!response.ok) {
+            const error = await response.text();
+            throw new Error(`${this.name} call failed: ${response.status} - ${error}`);
+        }
+
+        const body = await response.text();
+        try {
+            const data = JSON.parse(body);
+            return typeof data === 'string' ? data : data.text ?? '';
+        } catch (error) {
+            return body;
+        }
+    }
+}
+
+/**
+ * SpeechRecognition look-alike over MediaRecorder. Each segment is re-sent whole as it grows
+ * (a recording's later chunks can't be decoded without its first), giving interim results;
+ * its transcript becomes final when the segment ends or recognition stops.
+ */
+class RecordingRecognizer {
+    constructor(backend) {
+        this.backend = backend;
+        this.onstart = null;
+        this.onresult = null;
+        this.onerror = null;
+        this.onend = null;
+
+        this.stream = null;
+        this.recorder = null;
+        this.segmentTimer = null;
+        this.running = false;
+        this.aborted = false;
+        this.interimPending = false;
+        this.lastInterim = '';
+        // Transcriptions run one at a time so results arrive in order
+        this.queue = Promise.resolve();
+    }
+
+    start() {
+        if (this.running) {
+            const error = new Error('Recognition has already started');
+            error.name = 'InvalidStateError';
+            throw error;
+        }
+        this.running = true;
+        this.aborted = false;
+
+        navigator.mediaDevices.getUserMedia({ audio: true })
+            .then(stream => {
+                if (!this.running) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                this.stream = stream;
+                this.startSegment();
+                if (this.onstart) this.onstart();
+            })
+            .catch(error => {
+                this.running = false;
+                this.emitError(error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture');
+                if (this.onend) this.onend();
+            });
+    }
+
+    startSegment() {
+        const mimeType = RECORDING_TYPES.find(type => window.MediaRecorder.isTypeSupported?.(type));
+        const recorder = new window.MediaRecorder(this.stream, mimeType ? { mimeType } : undefined);
+        const chunks = [];
+
+        recorder.ondataavailable = (event) => {
+            if (event.data?.size) chunks.push(event.data);
+            if (recorder.state === 'recording') {
+                this.transcribe(chunks, recorder.mimeType, false);
+            }
+        };
+        recorder.onstop = () => {
+            clearTimeout(this.segmentTimer);
+            this.transcribe(chunks, recorder.mimeType, true);
+            if (this.running) {
+                this.startSegment();
+            } else {
+                this.finish();
+            }
+        };
+
+        recorder.start(INTERIM_CHUNK_MS);
+        this.recorder = recorder;
+        this.segmentTimer = setTimeout(() => {
+            if (recorder.state === 'recording') recorder.stop();
+        }, SEGMENT_MS);
+    }
+
+    /**
+     * Interim updates are dropped while one is still being transcribed; final ones never are
+     */
+    transcribe(chunks, type, isFinal) {
+        if (!chunks.length || this.aborted) return;
+        if (!isFinal && this.interimPending) return;
+
+        const audio = new Blob(chunks, { type });
+        if (!isFinal) this.interimPending = true;
+
+        this.queue = this.queue.then(async () => {
+            try {
+                const text = await this.backend.transcribe(audio);
+                if (!this.aborted) this.emitResult(text, isFinal);
+            } catch (error) {
+                console.error('Transcription failed:', error);
+                this.emitError('network');
+                this.abort();
+            } finally {
+                if (!isFinal) this.interimPending = false;
+            }
+        });
+    }
+
+    emitResult(text, isFinal) {
+        // whisper.cpp marks non-speech as [BLANK_AUDIO], (music) and the like
+        const transcript = String(text || '').replace(/\[[^\]]*\]|\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+        if (!isFinal && transcript === this.lastInterim) return;
+        this.lastInterim = isFinal ? '' : transcript;
+        if (!transcript || !this.onresult) return;
+
+        const result = Object.assign([{ transcript, confidence: 1 }], { isFinal });
+        this.onresult({ resultIndex: 0, results: [result] });
+    }
+
+    emitError(error) {
+        if (!this.aborted && this.onerror) {
+            this.onerror({ error });
+        }
+    }
+
+    stop() {
+        this.running = false;
+        if (this.recorder?.state === 'recording') {
+            // onstop sends the final transcription, then finishes
+            this.recorder.stop();
+        } else {
+            this.finish();
+        }
+    }
+
+    abort() {
+        if (this.aborted) return;
+        this.running = false;
+        this.aborted = true;
+        clearTimeout(this.segmentTimer);
+
+        if (this.recorder) {
+            this.recorder.ondataavailable = null;
+            this.recorder.onstop = null;
+            if (this.recorder.state === 'recording') this.recorder.stop();
+        }
+        this.releaseMicrophone();
+        if (this.onend) this.onend();
+    }
+
+    finish() {
+        this.releaseMicrophone();
+        this.queue.then(() => {
+            if (!this.aborted && this.onend) this.onend();
+        });
+    }
+
+    releaseMicrophone() {
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.stream = null;
+    }
+}
+
+export const STT_BACKENDS = {
+    'web-speech': WebSpeechBackend,
+    http: HttpTranscriptionBackend
+};
+
+/**
+ * Build the backend described by the `stt` settings section
+ */
+export function createSpeechBackend(config = {}) {
+    const Backend = STT_BACKENDS[config.backend] || WebSpeechBackend;
+    return new Backend(config);
+}
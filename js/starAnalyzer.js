@@ -0,0 +1,103 @@
+/**
+ * STAR Structure Analyzer
+ * Detects Situation / Task / Action / Result coverage in a behavioral answer
+ * and scores each component 0-10 from the cues it contains.
+ */
+
+export const STAR_COMPONENTS = [
+    { key: 'situation', label: 'Situation', hint: 'Set the scene: where you were, when, and what was at stake.' },
+    { key: 'task', label: 'Task', hint: 'Say what you specifically were responsible for or trying to achieve.' },
+    { key: 'action', label: 'Action', hint: 'Walk through the steps you personally took, using "I" rather than "we".' },
+    { key: 'result', label: 'Result', hint: 'Finish with the outcome, ideally measurable, and what you learned.' }
+];
+
+// A component scoring below this is reported as missing
+export const STAR_MISSING_THRESHOLD = 4;
+
+const CUES = {
+    situation: [
+        /\b(at|in) my (previous|last|current|first) (job|role|company|team|position|internship)\b/,
+        /\b(when|while) (i was|i worked|working|we were)\b/,
+        /\b(back in|at the time|last year|a few (months|years) ago|during (my|our|the))\b/,
+        /\b(our|the) (team|company|project|client|product|startup) (was|were|had)\b/,
+        /\bthere (was|were)\b/,
+        /\b(we|i) (were|was) (building|working on|migrating|launching|facing|running)\b/
+    ],
+    task: [
+        /\b(my|our) (goal|task|job|role|responsibility|objective|mandate) (was|is)\b/,
+        /\bi (was|am) (responsible|accountable|asked|tasked|expected|assigned)\b/,
+        /\bi (needed|had|wanted) to\b/,
+        /\b(the|our) (challenge|problem|requirement|deadline|target) (was|were)\b/,
+        /\b(needed|had) to (deliver|fix|ship|decide|resolve|convince|reduce|improve)\b/
+    ],
+    action: [
+        /\bi (decided|started|organi[sz]ed|proposed|scheduled|set up|reached out|spoke|talked|met|built|wrote|created|designed|implemented|led|introduced|suggested|asked|escalated|documented|analy[sz]ed|investigated|prioriti[sz]ed|negotiated|delegated|refactored|rolled back|paired|called|took)\b/,
+        /\b(first|then|next|after that|finally),? i\b/,
+        /\bi (made sure|focused on|worked with|sat down|brought)\b/
+    ],
+    result: [
+        /\b(as a result|in the end|eventually|ultimately|the outcome|the result|we ended up|this led to|which led to)\b/,
+        /\b(reduced|increased|improved|saved|cut|grew|doubled|halved|shipped|delivered|launched|resolved|fixed|won|exceeded)\b/,
+        /\d+(\.\d+)?\s*(%|percent|x\b|times|hours|days|weeks|users|customers|ms\b|seconds)/,
+        /\b(i learned|lesson|learnt|taught me|since then|now i|next time)\b/,
+        /\b(the (team|client|manager|customer) (was|were) (happy|satisfied|pleased))\b/
+    ]
+};
+
+function scoreMatches(matches) {
+    if (matches === 0) return 0;
+    if (matches === 1) return 5;
+    if (matches === 2) return 7;
+    return 9;
+}
+
+/**
+ * { situation, task, action, result, missing: ['result', ...] }
+ */
+export function analyzeStar(answer = '') {
+    const text = ` ${answer.toLowerCase().replace(/\s+/g, ' ')} `;
+    const scores = {};
+
+    for (const [key, patterns] of Object.entries(CUES)) {
+        scores[key] = scoreMatches(patterns.filter(pattern => pattern.test(text)).length);
+    }
+
+    // Actions told as "we" hide the candidate's own contribution
+    const iCount = (text.match(/\bi\b/g) || []).length;
+    const weCount = (text.match(/\bwe\b/g) || []).length;
+    if (scores.action > 0 && weCount > iCount * 2) {
+        scores.action = Math.max(2, scores.action - 3);
+    } else if (scores.action === 0 && iCount >= 3) {
+        scores.action = 3;
+    }
+
+    // A quantified outcome is the strongest result
+    if (scores.result > 0 && CUES.result[2].test(text)) {
+        scores.result = Math.min(10, scores.result + 1);
+    }
+
+    return finalizeStar(scores);
+}
+
+/**
+ * Clamp component scores and derive the missing list; also used on model-provided STAR scores
+ */
+export function finalizeStar(star) {
+    if (!star) return null;
+
+    const result = {};
+    STAR_COMPONENTS.forEach(({ key }) => {
+        const value = Number(star[key]);
+        result[key] = Number.isFinite(value) ? Math.min(10, Math.max(0, value)) : 0;
+    });
+    result.missing = STAR_COMPONENTS
+        .filter(({ key }) => result[key] < STAR_MISSING_THRESHOLD)
+        .map(({ key }) => key);
+
+    return result;
+}
+
+export function starAverage(star) {
+    if (!star) return 0;
+    return STAR_COMPONENTS.reduce((sum, { key }) => sum + (star[key] || 0), 0) / STAR_COMPONENTS.length;
+}
@@ -3,10 +3,16 @@
  * Handles localStorage operations with interview history and evaluations
  */
 
+import { summarizeDelivery } from './speechAnalytics.js';
+
 export class StorageService {
     constructor() {
         this.storageKey = 'interview_trainer_history_v2';
+        this.activeSessionKey = 'interview_trainer_active_session';
+        this.plansKey = 'interview_trainer_plans';
+        this.banksKey = 'interview_trainer_question_banks';
         this.maxHistoryItems = 50;
+        this.maxActiveSessionAge = 24 * 60 * 60 * 1000;
     }
 
     initialize() {
@@ -119,6 +125,119 @@ export class StorageService {
         }
     }
 
+    /**
+     * Checkpoint of the interview currently in progress, used to recover after a reload or crash
+     */
+    saveActiveSession(snapshot) {
+        try {
+            localStorage.setItem(this.activeSessionKey, JSON.stringify({
+                ...snapshot,
+                checkpointAt: Date.now()
+            }));
+            return true;
+        } catch (error) {
+            console.error('Failed to checkpoint session:', error);
+            return false;
+        }
+    }
+
+    getActiveSession() {
+        try {
+            const data = localStorage.getItem(this.activeSessionKey);
+            if (!data) return null;
+            
+            const session = JSON.parse(data);
+            if (!session.checkpointAt || Date.now() - session.checkpointAt > this.maxActiveSessionAge) {
+                this.clearActiveSession();
+                return null;
+            }
+            return session;
+        } catch (error) {
+            console.error('Failed to load active session:', error);
+            this.clearActiveSession();
+            return null;
+        }
+    }
+
+    clearActiveSession() {
+        localStorage.removeItem(this.activeSessionKey);
+    }
+
+    /**
+     * Interview plans imported by the user (built-in plans live in interviewPlans.js)
+     */
+    getPlans() {
+        try {
+            const data = localStorage.getItem(this.plansKey);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            console.error('Failed to load plans:', error);
+            return [];
+        }
+    }
+
+    savePlan(plan) {
+        try {
+            const plans = this.getPlans().filter(p => p.id !== plan.id);
+            plans.push(plan);
+            localStorage.setItem(this.plansKey, JSON.stringify(plans));
+            return true;
+        } catch (error) {
+            console.error('Failed to save plan:', error);
+            return false;
+        }
+    }
+
+    deletePlan(id) {
+        try {
+            localStorage.setItem(this.plansKey, JSON.stringify(this.getPlans().filter(p => p.id !== id)));
+            return true;
+        } catch (error) {
+            console.error('Failed to delete plan:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Question banks imported by the user (see questionBanks.js for the formats)
+     */
+    getQuestionBanks() {
+        try {
+            const data = localStorage.getItem(this.banksKey);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            console.error('Failed to load question banks:', error);
+            return [];
+        }
+    }
+
+    saveQuestionBank(bank) {
+        try {
+            const banks = this.getQuestionBanks();
+            const index = banks.findIndex(b => b.id === bank.id);
+            if (index === -1) {
+                banks.push(bank);
+            } else {
+                banks[index] = bank;
+            }
+            localStorage.setItem(this.banksKey, JSON.stringify(banks));
+            return true;
+        } catch (error) {
+            console.error('Failed to save question bank:', error);
+            return false;
+        }
+    }
+
+    deleteQuestionBank(id) {
+        try {
+            localStorage.setItem(this.banksKey, JSON.stringify(this.getQuestionBanks().filter(b => b.id !== id)));
+            return true;
+        } catch (error) {
+            console.error('Failed to delete question bank:', error);
+            return false;
+        }
+    }
+
     getStats() {
         const history = this.getHistory();
         
@@ -167,6 +286,24 @@ export class StorageService {
         };
     }
 
+    /**
+     * Average delivery of the spoken answers in the last 10 interviews that had any
+     */
+    getDeliveryTrend() {
+        const recent = this.getHistory()
+            .map(item => ({ item, summary: summarizeDelivery(item.conversationHistory) }))
+            .filter(({ summary }) => summary)
+            .slice(0, 10)
+            .reverse();
+        
+        return {
+            labels: recent.map(({ item }) => new Date(item.timestamp || item.savedAt).toLocaleDateString()),
+            wordsPerMinute: recent.map(({ summary }) => summary.wordsPerMinute),
+            fillerRate: recent.map(({ summary }) => summary.fillerRate),
+            longPauses: recent.map(({ summary }) => summary.longPauses)
+        };
+    }
+
     getSkillData() {
         const history = this.getHistory();
         
@@ -0,0 +1,188 @@
+/**
+ * Technology Dictionary
+ * Canonical skill names with aliases and categories, used for offline resume
+ * and job description parsing
+ *
+ * caseSensitive entries only match with their exact casing (e.g. "Go")
+ * to avoid false positives on common English words
+ */
+
+export const TECH_CATEGORIES = {
+    language: 'Programming Languages',
+    frontend: 'Frontend',
+    backend: 'Backend',
+    database: 'Databases',
+    cloud: 'Cloud & DevOps',
+    data: 'Data & ML',
+    mobile: 'Mobile',
+    testing: 'Testing',
+    practice: 'Practices'
+};
+
+export const TECH_DICTIONARY = [
+    // Languages
+    { name: 'JavaScript', category: 'language', aliases: ['javascript', 'js', 'es6', 'ecmascript'] },
+    { name: 'TypeScript', category: 'language', aliases: ['typescript'] },
+    { name: 'Python', category: 'language', aliases: ['python', 'python3'] },
+    { name: 'Java', category: 'language', aliases: ['java'] },
+    { name: 'C#', category: 'language', aliases: ['c#', 'csharp', 'c sharp'] },
+    { name: 'C++', category: 'language', aliases: ['c++', 'cpp'] },
+    { name: 'Go', category: 'language', aliases: ['Go', 'Golang', 'golang'], caseSensitive: true },
+    { name: 'Rust', category: 'language', aliases: ['rust'] },
+    { name: 'Ruby', category: 'language', aliases: ['ruby'] },
+    { name: 'PHP', category: 'language', aliases: ['php'] },
+    { name: 'Kotlin', category: 'language', aliases: ['kotlin'] },
+    { name: 'Swift', category: 'language', aliases: ['swift'] },
+    { name: 'Scala', category: 'language', aliases: ['scala'] },
+    { name: 'R', category: 'language', aliases: ['r programming', 'rstudio'] },
+    { name: 'SQL', category: 'language', aliases: ['sql'] },
+    { name: 'Bash', category: 'language', aliases: ['bash', 'shell scripting', 'zsh'] },
+
+    // Frontend
+    { name: 'HTML', category: 'frontend', aliases: ['html', 'html5'] },
+    { name: 'CSS', category: 'frontend', aliases: ['css', 'css3'] },
+    { name: 'Sass', category: 'frontend', aliases: ['sass', 'scss'] },
+    { name: 'Tailwind CSS', category: 'frontend', aliases: ['tailwind', 'tailwindcss', 'tailwind css'] },
+    { name: 'React', category: 'frontend', aliases: ['react', 'react.js', 'reactjs'] },
+    { name: 'Next.js', category: 'frontend', aliases: ['next.js', 'nextjs'] },
+    { name: 'Vue', category: 'frontend', aliases: ['vue', 'vue.js', 'vuejs'] },
+    { name: 'Angular', category: 'frontend', aliases: ['angular', 'angularjs'] },
+    { name: 'Svelte', category: 'frontend', aliases: ['svelte', 'sveltekit'] },
+    { name: 'Redux', category: 'frontend', aliases: ['redux'] },
+    { name: 'jQuery', category: 'frontend', aliases: ['jquery'] },
+    { name: 'Webpack', category: 'frontend', aliases: ['webpack'] },
+    { name: 'Vite', category: 'frontend', aliases: ['vite'] },
+    { name: 'Three.js', category: 'frontend', aliases: ['three.js', 'threejs'] },
+
+    // Backend
+    { name: 'Node.js', category: 'backend', aliases: ['node.js', 'nodejs', 'node'] },
+    { name: 'Express', category: 'backend', aliases: ['express', 'express.js', 'expressjs'] },
+    { name: 'NestJS', category: 'backend', aliases: ['nestjs', 'nest.js'] },
+    { name: 'Django', category: 'backend', aliases: ['django'] },
+    { name: 'Flask', category: 'backend', aliases: ['flask'] },
+    { name: 'FastAPI', category: 'backend', aliases: ['fastapi'] },
+    { name: 'Spring Boot', category: 'backend', aliases: ['spring boot', 'springboot', 'spring framework'] },
+    { name: '.NET', category: 'backend', aliases: ['.net', 'asp.net', 'dotnet', '.net core'] },
+    { name: 'Ruby on Rails', category: 'backend', aliases: ['rails', 'ruby on rails'] },
+    { name: 'Laravel', category: 'backend', aliases: ['laravel'] },
+    { name: 'GraphQL', category: 'backend', aliases: ['graphql'] },
+    { name: 'REST APIs', category: 'backend', aliases: ['restful', 'rest api', 'rest apis', 'restful apis'] },
+    { name: 'gRPC', category: 'backend', aliases: ['grpc'] },
+    { name: 'Microservices', category: 'backend', aliases: ['microservices', 'microservice'] },
+    { name: 'Kafka', category: 'backend', aliases: ['kafka', 'apache kafka'] },
+    { name: 'RabbitMQ', category: 'backend', aliases: ['rabbitmq'] },
+
+    // Databases
+    { name: 'PostgreSQL', category: 'database', aliases: ['postgresql', 'postgres'] },
+    { name: 'MySQL', category: 'database', aliases: ['mysql'] },
+    { name: 'MongoDB', category: 'database', aliases: ['mongodb', 'mongo'] },
+    { name: 'Redis', category: 'database', aliases: ['redis'] },
+    { name: 'SQLite', category: 'database', aliases: ['sqlite'] },
+    { name: 'Elasticsearch', category: 'database', aliases: ['elasticsearch', 'elastic search'] },
+    { name: 'DynamoDB', category: 'database', aliases: ['dynamodb'] },
+    { name: 'Cassandra', category: 'database', aliases: ['cassandra'] },
+    { name: 'Firebase', category: 'database', aliases: ['firebase', 'firestore'] },
+
+    // Cloud & DevOps
+    { name: 'AWS', category: 'cloud', aliases: ['aws', 'amazon web services', 'ec2', 's3', 'lambda'] },
+    { name: 'Azure', category: 'cloud', aliases: ['azure', 'microsoft azure'] },
+    { name: 'GCP', category: 'cloud', aliases: ['gcp', 'google cloud', 'google cloud platform'] },
+    { name: 'Docker', category: 'cloud', aliases: ['docker', 'containers'] },
+    { name: 'Kubernetes', category: 'cloud', aliases: ['kubernetes', 'k8s'] },
+    { name: 'Terraform', category: 'cloud', aliases: ['terraform'] },
+    { name: 'CI/CD', category: 'cloud', aliases: ['ci/cd', 'cicd', 'continuous integration', 'continuous delivery'] },
+    { name: 'GitHub Actions', category: 'cloud', aliases: ['github actions'] },
+    { name: 'Jenkins', category: 'cloud', aliases: ['jenkins'] },
+    { name: 'Linux', category: 'cloud', aliases: ['linux', 'unix'] },
+    { name: 'Git', category: 'cloud', aliases: ['git', 'github', 'gitlab'] },
+    { name: 'Nginx', category: 'cloud', aliases: ['nginx'] },
+
+    // Data & ML
+    { name: 'Machine Learning', category: 'data', aliases: ['machine learning', 'ml'] },
+    { name: 'Deep Learning', category: 'data', aliases: ['deep learning', 'neural networks'] },
+    { name: 'NLP', category: 'data', aliases: ['nlp', 'natural language processing'] },
+    { name: 'Computer Vision', category: 'data', aliases: ['computer vision', 'opencv'] },
+    { name: 'LLMs', category: 'data', aliases: ['llm', 'llms', 'large language models', 'generative ai', 'genai'] },
+    { name: 'TensorFlow', category: 'data', aliases: ['tensorflow', 'keras'] },
+    { name: 'PyTorch', category: 'data', aliases: ['pytorch', 'torch'] },
+    { name: 'scikit-learn', category: 'data', aliases: ['scikit-learn', 'sklearn', 'scikit learn'] },
+    { name: 'Pandas', category: 'data', aliases: ['pandas'] },
+    { name: 'NumPy', category: 'data', aliases: ['numpy'] },
+    { name: 'Spark', category: 'data', aliases: ['spark', 'apache spark', 'pyspark'] },
+    { name: 'Airflow', category: 'data', aliases: ['airflow', 'apache airflow'] },
+    { name: 'Tableau', category: 'data', aliases: ['tableau'] },
+    { name: 'Power BI', category: 'data', aliases: ['power bi', 'powerbi'] },
+    { name: 'Statistics', category: 'data', aliases: ['statistics', 'statistical analysis'] },
+    { name: 'Data Structures & Algorithms', category: 'data', aliases: ['data structures', 'algorithms', 'dsa'] },
+
+    // Mobile
+    { name: 'React Native', category: 'mobile', aliases: ['react native', 'react-native'] },
+    { name: 'Flutter', category: 'mobile', aliases: ['flutter', 'dart'] },
+    { name: 'Android', category: 'mobile', aliases: ['android'] },
+    { name: 'iOS', category: 'mobile', aliases: ['ios'] },
+
+    // Testing
+    { name: 'Jest', category: 'testing', aliases: ['jest'] },
+    { name: 'Cypress', category: 'testing', aliases: ['cypress'] },
+    { name: 'Playwright', category: 'testing', aliases: ['playwright'] },
+    { name: 'Selenium', category: 'testing', aliases: ['selenium'] },
+    { name: 'pytest', category: 'testing', aliases: ['pytest'] },
+    { name: 'JUnit', category: 'testing', aliases: ['junit'] },
+    { name: 'Unit Testing', category: 'testing', aliases: ['unit testing', 'unit tests', 'tdd', 'test-driven development'] },
+
+    // Practices
+    { name: 'Agile', category: 'practice', aliases: ['agile', 'scrum', 'kanban'] },
+    { name: 'System Design', category: 'practice', aliases: ['system design', 'distributed systems', 'scalability'] },
+    { name: 'OOP', category: 'practice', aliases: ['oop', 'object-oriented', 'object oriented programming'] },
+    { name: 'Security', category: 'practice', aliases: ['security', 'oauth', 'authentication', 'owasp'] },
+    { name: 'Accessibility', category: 'practice', aliases: ['accessibility', 'a11y', 'wcag'] }
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Boundaries that also work for names containing symbols (C++, C#, .NET, Node.js).
+// Longest aliases match first so "React Native" is not also counted as "React".
+const matchers = TECH_DICTIONARY
+    .flatMap(entry => entry.aliases.map(alias => ({
+        entry,
+        length: alias.length,
+        pattern: new RegExp(
+            `(^|[^A-Za-z0-9+#.])${escapeRegExp(alias)}(?![A-Za-z0-9+#]|\\.[A-Za-z0-9])`,
+            entry.caseSensitive ? 'g' : 'gi'
+        )
+    })))
+    .sort((a, b) => b.length - a.length);
+
+/**
+ * Find dictionary technologies in text, most frequently mentioned first
+ * Returns [{ name, category, count }]
+ */
+export function findTechnologies(text) {
+    if (!text) return [];
+
+    const counts = new Map();
+    let remaining = String(text);
+
+    matchers.forEach(({ entry, pattern }) => {
+        pattern.lastIndex = 0;
+        remaining = remaining.replace(pattern, (match, boundary) => {
+            counts.set(entry, (counts.get(entry) || 0) + 1);
+            // Blank out the match so shorter aliases cannot claim it again
+            return boundary + ' '.repeat(match.length - boundary.length);
+        });
+    });
+
+    return TECH_DICTIONARY
+        .filter(entry => counts.has(entry))
+        .map(entry => ({ name: entry.name, category: entry.category, count: counts.get(entry) }))
+        .sort((a, b) => b.count - a.count);
+}
+
+export function getTechEntry(name) {
+    const lower = String(name).toLowerCase();
+    return TECH_DICTIONARY.find(entry =>
+        entry.name.toLowerCase() === lower || entry.aliases.some(alias => alias.toLowerCase() === lower)
+    ) || null;
+}
@@ -1,10 +1,27 @@
 /**
  * Voice Service - PRODUCTION READY WITH STRICT SESSION ISOLATION
  * Complete isolation between questions - NO transcript leakage
+ * Recognition runs on the speech-to-text backend chosen in settings (see speechToText.js)
  */
 
+import { SettingsService } from './settings.js';
+import { createSpeechBackend } from './speechToText.js';
+import { DEFAULT_LANGUAGE } from './interviewLanguages.js';
+
+// Voice activity detection: microphone level sampling, room-noise calibration and the
+// minimum level (RMS of the -1..1 waveform) that counts as speech
+const VAD_POLL_MS = 100;
+const VAD_CALIBRATION_MS = 500;
+const VAD_NOISE_MULTIPLIER = 3;
+const VAD_MIN_LEVEL = 0.01;
+
 export class VoiceService {
-    constructor() {
+    constructor(settings = new SettingsService()) {
+        this.settings = settings;
+        
+        // BCP 47 code recognition listens for
+        this.language = DEFAULT_LANGUAGE;
+        
         // Core recognition instance
         this.recognition = null;
         
@@ -17,6 +34,10 @@ export class VoiceService {
         this.finalTranscript = '';
         this.interimTranscript = '';
         
+        // Recognition result timing for delivery analytics - reset with the transcript
+        this.timeline = null;
+        this.resultsTimed = true;
+        
         // Callbacks
         this.onTranscriptCallback = null;
         this.onErrorCallback = null;
@@ -27,6 +48,10 @@ export class VoiceService {
         // Question tracking
         this.currentQuestionId = null;
         
+        // Microphone level monitor for hands-free answers
+        this.activityMonitor = null;
+        this.monitorId = 0;
+        
         // Debug mode (disable in production)
         this.debug = false;
     }
@@ -44,23 +69,18 @@ export class VoiceService {
      * Create a fresh recognition instance with clean event handlers
      */
     createFreshRecognition() {
+        const backend = createSpeechBackend({ ...this.settings.get('stt'), lang: this.language });
+
+        this.resultsTimed = backend.constructor.reportsTiming;
+
         // Check browser support
-        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-            console.warn('Speech recognition not supported');
+        if (!backend.constructor.isSupported()) {
+            console.warn(`${backend.name} not supported`);
             return null;
         }
 
         try {
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-            const recognition = new SpeechRecognition();
-
-            // Configure for optimal continuous recording
-            recognition.continuous = true;
-            recognition.interimResults = true;
-            recognition.lang = 'en-US';
-            recognition.maxAlternatives = 1;
-
-            return recognition;
+            return backend.createRecognizer();
         } catch (error) {
             console.error('Failed to create recognition:', error);
             return null;
@@ -126,6 +146,7 @@ export class VoiceService {
         // Clear all transcripts for fresh start
         this.finalTranscript = '';
         this.interimTranscript = '';
+        this.timeline = { questionId, startedAt: Date.now(), stoppedAt: null, events: [], transcript: '', timed: this.resultsTimed };
 
         // Store callbacks
         this.onTranscriptCallback = onTranscript;
@@ -166,6 +187,8 @@ export class VoiceService {
                 return;
             }
 
+            this.timeline?.events.push({ at: Date.now() });
+
             let newFinalTranscript = '';
             let newInterimTranscript = '';
 
@@ -185,6 +208,9 @@ export class VoiceService {
             }
             
             const currentTranscript = (this.finalTranscript + ' ' + newInterimTranscript).trim();
+            if (this.timeline) {
+                this.timeline.transcript = currentTranscript;
+            }
             
             if (this.onTranscriptCallback) {
                 this.onTranscriptCallback(currentTranscript);
@@ -212,6 +238,9 @@ export class VoiceService {
                 case 'not-allowed':
                     errorMessage = 'Microphone access denied';
                     break;
+                case 'network':
+                    errorMessage = 'Speech recognition service unreachable';
+                    break;
                 default:
                     errorMessage = `Error: ${event.error}`;
             }
@@ -279,6 +308,7 @@ export class VoiceService {
         // Clear all transcripts
         this.finalTranscript = '';
         this.interimTranscript = '';
+        this.timeline = null;
         
         // Reset state
         this.isListening = false;
@@ -298,6 +328,7 @@ export class VoiceService {
     stopListening() {
         this.log(`stopListening - session: ${this.currentSessionId}`);
         this.shouldContinue = false;
+        this.markStopped();
         if (this.recognition && this.isListening) {
             try {
                 this.recognition.stop(); // Use stop for graceful pause
@@ -316,6 +347,7 @@ export class VoiceService {
         
         // Disable auto-restart
         this.shouldContinue = false;
+        this.markStopped();
         
         // Stop recognition
         if (this.recognition && this.isListening) {
@@ -333,6 +365,120 @@ export class VoiceService {
         this.activeSessionId = null;
     }
 
+    markStopped() {
+        if (this.timeline && !this.timeline.stoppedAt) {
+            this.timeline.stoppedAt = Date.now();
+        }
+    }
+
+    /**
+     * Result timing and recognised text of the latest recording for the question, or null
+     * if it wasn't spoken: { startedAt, stoppedAt, events: [{ at }], transcript, timed };
+     * timed is false when the backend's result times don't follow the speech
+     */
+    getSpeechTimeline(questionId) {
+        if (!this.timeline || this.timeline.questionId !== questionId || !this.timeline.events.length) {
+            return null;
+        }
+        const { startedAt, stoppedAt, events, transcript, timed } = this.timeline;
+        return { startedAt, stoppedAt, events: [...events], transcript, timed };
+    }
+
+    /**
+     * Watch the microphone level with the Web Audio API. onSilence fires once the candidate
+     * has spoken and then stayed quiet for silenceMs; onSpeech fires whenever they start
+     * speaking again. Resolves false when the microphone or Web Audio is unavailable.
+     */
+    async startActivityMonitor({ onSpeech, onSilence, silenceMs = 3000 } = {}) {
+        this.stopActivityMonitor();
+        const monitorId = this.monitorId;
+        
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext || !navigator.mediaDevices?.getUserMedia) {
+            return false;
+        }
+        
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+        } catch (error) {
+            console.error('Microphone unavailable for voice activity detection:', error);
+            return false;
+        }
+        
+        // Stopped while waiting for the microphone
+        if (monitorId !== this.monitorId) {
+            stream.getTracks().forEach(track => track.stop());
+            return false;
+        }
+        
+        const context = new AudioContext();
+        const analyser = context.createAnalyser();
+        analyser.fftSize = 1024;
+        context.createMediaStreamSource(stream).connect(analyser);
+        const samples = new Float32Array(analyser.fftSize);
+        
+        const startedAt = Date.now();
+        const calibration = [];
+        let threshold = VAD_MIN_LEVEL;
+        let speaking = false;
+        let heardSpeech = false;
+        let quietSince = null;
+        let silenceReported = false;
+        
+        const interval = setInterval(() => {
+            analyser.getFloatTimeDomainData(samples);
+            const level = Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+            const now = Date.now();
+            
+            // The first moments after the interviewer stops speaking set the room's noise level
+            if (now - startedAt < VAD_CALIBRATION_MS) {
+                calibration.push(level);
+                return;
+            }
+            if (calibration.length) {
+                const noise = calibration.reduce((sum, value) => sum + value, 0) / calibration.length;
+                threshold = Math.max(VAD_MIN_LEVEL, noise * VAD_NOISE_MULTIPLIER);
+                calibration.length = 0;
+            }
+            
+            if (level >= threshold) {
+                quietSince = null;
+                silenceReported = false;
+                if (!speaking) {
+                    speaking = true;
+                    heardSpeech = true;
+                    if (onSpeech) onSpeech();
+                }
+                return;
+            }
+            
+            speaking = false;
+            quietSince = quietSince ?? now;
+            if (heardSpeech && !silenceReported && now - quietSince >= silenceMs) {
+                silenceReported = true;
+                if (onSilence) onSilence();
+            }
+        }, VAD_POLL_MS);
+        
+        this.activityMonitor = { stream, context, interval };
+        this.log(`Activity monitor started, silence after ${silenceMs}ms`);
+        return true;
+    }
+
+    stopActivityMonitor() {
+        // Invalidates a monitor still waiting for microphone permission
+        this.monitorId++;
+        if (!this.activityMonitor) return;
+        
+        const { stream, context, interval } = this.activityMonitor;
+        clearInterval(interval);
+        stream.getTracks().forEach(track => track.stop());
+        context.close().catch(() => {});
+        this.activityMonitor = null;
+        this.log('Activity monitor stopped');
+    }
+
     /**
      * Get current transcript
      */
@@ -361,8 +507,8 @@ export class VoiceService {
         return this.startListeningForQuestion('legacy_' + Date.now(), onTranscript, onError);
     }
 
-    static isSupported() {
-        return 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
+    static isSupported(settings = new SettingsService()) {
+        return createSpeechBackend(settings.get('stt')).constructor.isSupported();
     }
 
     static async requestMicrophonePermission() {
@@ -0,0 +1,120 @@
+/**
+ * Voice Settings Panel
+ * Lists the browser's speechSynthesis voices in the settings modal's voice pickers, shows the
+ * rate, pitch and volume slider values and previews a voice with them
+ */
+
+import { SettingsService } from './settings.js';
+import { PERSONAS, PERSONA_IDS } from './interviewPersonas.js';
+import { DEFAULT_LANGUAGE, languageInfo, sampleLine, voicesForLanguage } from './interviewLanguages.js';
+import { resolveInterviewerVoice } from './interviewerVoice.js';
+import { escapeHtml } from './html.js';
+
+export class VoiceSettingsPanel {
+    constructor(settings = new SettingsService(), synth = window.speechSynthesis) {
+        this.settings = settings;
+        this.synth = synth;
+        this.section = document.querySelector('#settingsModal [data-section="voice"]');
+
+        if (!this.section) return;
+
+        this.init();
+    }
+
+    init() {
+        this.selects = this.section.querySelectorAll('select[data-voice-select]');
+        this.status = this.section.querySelector('#voice-status');
+
+        // Browsers load their voices asynchronously
+        this.synth?.addEventListener?.('voiceschanged', () => this.renderVoiceOptions());
+
+        this.section.addEventListener('click', (e) => {
+            const preview = e.target.closest('[data-voice-preview]');
+            if (preview) this.preview(preview.dataset.voicePreview);
+        });
+
+        window.addEventListener('settings-update', (e) => {
+            const path = e.detail?.path;
+            if (!path || path === 'interview.language') {
+                this.renderVoiceOptions();
+            }
+            if (!path || path.startsWith('voice.')) {
+                this.renderSliderValues();
+            }
+        });
+
+        this.renderVoiceOptions();
+        this.renderSliderValues();
+    }
+
+    language() {
+        return this.settings.get('interview.language') || DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Voices for the interview language first, then the rest; "Automatic" picks by language
+     */
+    renderVoiceOptions() {
+        const voices = this.synth?.getVoices() || [];
+        const language = this.language();
+        const matching = voicesForLanguage(voices, language);
+        const others = voices.filter(voice => !matching.includes(voice));
+
+        const option = voice => `<option value="${escapeHtml(voice.name)}">${escapeHtml(voice.name)} (${escapeHtml(voice.lang)})</option>`;
+        const options = `
+            <option value="">Automatic</option>
+            ${matching.length ? `<optgroup label="${escapeHtml(languageInfo(language).label)}">${matching.map(option).join('')}</optgroup>` : ''}
+            ${others.length ? `<optgroup label="Other languages">${others.map(option).join('')}</optgroup>` : ''}
+        `;
+
+        this.selects.forEach(select => {
+            const saved = this.settings.get(select.dataset.setting) || '';
+            select.innerHTML = options;
+            select.value = voices.some(voice => voice.name === saved) ? saved : '';
+        });
+
+        if (this.status) {
+            this.status.textContent = !this.synth
+                ? 'This browser cannot speak questions aloud.'
+                : voices.length
+                    ? `${matching.length} voice${matching.length === 1 ? '' : 's'} for ${languageInfo(language).label}, ${voices.length} installed`
+                    : 'Loading voices...';
+        }
+    }
+
+    renderSliderValues() {
+        this.section.querySelectorAll('output[data-setting-value]').forEach(output => {
+            const value = Number(this.settings.get(output.dataset.settingValue));
+            output.textContent = output.dataset.settingValue === 'voice.volume'
+                ? `${Math.round(value * 100)}%`
+                : `${value.toFixed(2)}×`;
+        });
+    }
+
+    /**
+     * Speak a sample line with the voice, rate, pitch and volume an interview would use;
+     * personaId previews that panel interviewer, empty previews the single interviewer
+     */
+    preview(personaId = '') {
+        if (!this.synth) return;
+
+        const language = this.language();
+        const persona = PERSONAS[personaId] || null;
+        const { voice, rate, pitch, volume } = resolveInterviewerVoice(this.synth.getVoices(), {
+            voiceSettings: this.settings.get('voice'),
+            language,
+            persona,
+            seat: Math.max(0, PERSONA_IDS.indexOf(personaId))
+        });
+
+        const utterance = new SpeechSynthesisUtterance(sampleLine(language));
+        utterance.lang = language;
+        if (voice) utterance.voice = voice;
+        utterance.rate = rate;
+        utterance.pitch = pitch;
+        utterance.volume = volume;
+
+        this.synth.cancel();
+        this.synth.speak(utterance);
+    }
+}
@@ -0,0 +1,445 @@
+/**
+ * System Design Whiteboard
+ * Canvas with boxes, arrows and free labels. The diagram is kept as plain data so it can be
+ * described in text for evaluation, saved with the session and redrawn as SVG on the dashboard.
+ */
+
+const BOX_WIDTH = 140;
+const BOX_HEIGHT = 56;
+
+const COLORS = {
+    box: 'rgba(99, 102, 241, 0.25)',
+    boxBorder: '#6366f1',
+    selected: '#f59e0b',
+    arrow: '#a5b4fc',
+    text: '#ffffff',
+    label: '#fbbf24'
+};
+
+export function emptyDiagram() {
+    return { nodes: [], edges: [] };
+}
+
+export function isDiagramEmpty(diagram) {
+    return !diagram || (!diagram.nodes?.length && !diagram.edges?.length);
+}
+
+/**
+ * Plain-text description of the diagram's structure, for the evaluator
+ */
+export function describeDiagram(diagram) {
+    if (isDiagramEmpty(diagram)) return 'No diagram drawn.';
+
+    const boxes = diagram.nodes.filter(node => node.type === 'box');
+    const labels = diagram.nodes.filter(node => node.type === 'label');
+    const nameOf = (id) => diagram.nodes.find(node => node.id === id)?.text || '(unnamed)';
+
+    const lines = [];
+    if (boxes.length) {
+        lines.push('Components:', ...boxes.map(box => `- ${box.text || '(unnamed)'}`));
+    }
+    if (diagram.edges.length) {
+        lines.push('Connections:', ...diagram.edges.map(edge =>
+            `- ${nameOf(edge.from)} → ${nameOf(edge.to)}${edge.label ? ` (${edge.label})` : ''}`
+        ));
+    }
+
+    const unconnected = boxes.filter(box => !diagram.edges.some(edge => edge.from === box.id || edge.to === box.id));
+    if (unconnected.length && diagram.edges.length) {
+        lines.push(`Unconnected components: ${unconnected.map(box => box.text || '(unnamed)').join(', ')}`);
+    }
+    if (labels.length) {
+        lines.push('Notes:', ...labels.map(label => `- ${label.text}`));
+    }
+
+    return lines.join('\n');
+}
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Point where the line from a box's centre towards (tx, ty) leaves the box
+ */
+function edgePoint(node, tx, ty) {
+    const cx = node.x + node.w / 2;
+    const cy = node.y + node.h / 2;
+    const dx = tx - cx;
+    const dy = ty - cy;
+    if (dx === 0 && dy === 0) return { x: cx, y: cy };
+
+    const scale = Math.min(
+        dx !== 0 ? (node.w / 2) / Math.abs(dx) : Infinity,
+        dy !== 0 ? (node.h / 2) / Math.abs(dy) : Infinity
+    );
+    return { x: cx + dx * scale, y: cy + dy * scale };
+}
+
+function edgeEndpoints(diagram, edge) {
+    const from = diagram.nodes.find(node => node.id === edge.from);
+    const to = diagram.nodes.find(node => node.id === edge.to);
+    if (!from || !to) return null;
+
+    const start = edgePoint(from, to.x + to.w / 2, to.y + to.h / 2);
+    const end = edgePoint(to, from.x + from.w / 2, from.y + from.h / 2);
+    return { start, end };
+}
+
+/**
+ * Static SVG rendering of a saved diagram (used in the dashboard detail modal)
+ */
+export function diagramToSVG(diagram) {
+    if (isDiagramEmpty(diagram)) return '';
+
+    const xs = diagram.nodes.flatMap(node => [node.x, node.x + (node.w || 0)]);
+    const ys = diagram.nodes.flatMap(node => [node.y, node.y + (node.h || 0)]);
+    const minX = Math.min(...xs) - 20;
+    const minY = Math.min(...ys) - 20;
+    const width = Math.max(...xs) - minX + 20;
+    const height = Math.max(...ys) - minY + 20;
+
+    const edges = diagram.edges.map(edge => {
+        const points = edgeEndpoints(diagram, edge);
+        if (!points) return '';
+        const { start, end } = points;
+        const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+        return `
+            <line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" stroke="${COLORS.arrow}" stroke-width="2" marker-end="url(#wb-arrow)"/>
+            ${edge.label ? `<text x="${mid.x}" y="${mid.y - 6}" fill="${COLORS.label}" font-size="12" text-anchor="middle">${escapeXml(edge.label)}</text>` : ''}
+        `;
+    }).join('');
+
+    const nodes = diagram.nodes.map(node => node.type === 'box'
+        ? `
+            <rect x="${node.x}" y="${node.y}" width="${node.w}" height="${node.h}" rx="8" fill="${COLORS.box}" stroke="${COLORS.boxBorder}" stroke-width="2"/>
+            <text x="${node.x + node.w / 2}" y="${node.y + node.h / 2 + 5}" fill="${COLORS.text}" font-size="13" text-anchor="middle">${escapeXml(node.text)}</text>
+        `
+        : `<text x="${node.x}" y="${node.y + 14}" fill="${COLORS.label}" font-size="13" font-style="italic">${escapeXml(node.text)}</text>`
+    ).join('');
+
+    return `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="${minX} ${minY} ${width} ${height}" style="width: 100%; max-height: 400px;">
+            <defs>
+                <marker id="wb-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z" fill="${COLORS.arrow}"/>
+                </marker>
+            </defs>
+            ${edges}
+            ${nodes}
+        </svg>
+    `;
+}
+
+export class Whiteboard {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.diagram = emptyDiagram();
+        this.tool = 'box';
+        this.selectedId = null;
+        this.drag = null;
+        this.pointer = null;
+        this.enabled = true;
+        this.nextId = 1;
+        this.onChange = options.onChange || null;
+
+        this.bindEvents();
+        this.resize();
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+        this.canvas.tabIndex = 0;
+        this.canvas.addEventListener('keydown', (e) => {
+            if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedId) {
+                e.preventDefault();
+                this.removeSelected();
+            }
+        });
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const rect = this.canvas.getBoundingClientRect();
+        if (!rect.width) return;
+
+        this.canvas.width = rect.width * ratio;
+        this.canvas.height = rect.height * ratio;
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.render();
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.selectedId = null;
+        this.render();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.drag = null;
+    }
+
+    load(diagram) {
+        this.diagram = diagram ? JSON.parse(JSON.stringify(diagram)) : emptyDiagram();
+        const ids = [...this.diagram.nodes, ...this.diagram.edges].map(item => parseInt(String(item.id).slice(1), 10) || 0);
+        this.nextId = Math.max(0, ...ids) + 1;
+        this.selectedId = null;
+        this.render();
+    }
+
+    clear() {
+        this.load(emptyDiagram());
+        this.changed();
+    }
+
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.diagram));
+    }
+
+    describe() {
+        return describeDiagram(this.diagram);
+    }
+
+    isEmpty() {
+        return isDiagramEmpty(this.diagram);
+    }
+
+    changed() {
+        if (this.onChange) this.onChange(this.diagram);
+    }
+
+    getPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    hitNode(point) {
+        // Topmost first
+        return [...this.diagram.nodes].reverse().find(node =>
+            point.x >= node.x && point.x <= node.x + node.w &&
+            point.y >= node.y && point.y <= node.y + node.h
+        ) || null;
+    }
+
+    hitEdge(point) {
+        return this.diagram.edges.find(edge => {
+            const points = edgeEndpoints(this.diagram, edge);
+            if (!points) return false;
+            const { start, end } = points;
+            const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+            const t = Math.max(0, Math.min(1, ((point.x - start.x) * (end.x - start.x) + (point.y - start.y) * (end.y - start.y)) / (length * length)));
+            const distance = Math.hypot(point.x - (start.x + t * (end.x - start.x)), point.y - (start.y + t * (end.y - start.y)));
+            return distance < 6;
+        }) || null;
+    }
+
+    addNode(type, point, text) {
+        const measured = type === 'label' ? this.measureLabel(text) : { w: BOX_WIDTH, h: BOX_HEIGHT };
+        const node = {
+            id: `n${this.nextId++}`,
+            type,
+            x: Math.round(type === 'box' ? point.x - BOX_WIDTH / 2 : point.x),
+            y: Math.round(type === 'box' ? point.y - BOX_HEIGHT / 2 : point.y),
+            w: measured.w,
+            h: measured.h,
+            text
+        };
+        this.diagram.nodes.push(node);
+        this.selectedId = node.id;
+        this.changed();
+        return node;
+    }
+
+    measureLabel(text) {
+        this.ctx.font = 'italic 13px sans-serif';
+        return { w: Math.ceil(this.ctx.measureText(text).width) + 4, h: 18 };
+    }
+
+    handlePointerDown(e) {
+        if (!this.enabled) return;
+        this.canvas.focus();
+
+        const point = this.getPoint(e);
+        const node = this.hitNode(point);
+
+        if (this.tool === 'arrow') {
+            if (node && node.type === 'box') {
+                this.drag = { mode: 'connect', from: node.id };
+                this.pointer = point;
+            }
+            return;
+        }
+
+        if (this.tool === 'label' && !node) {
+            const text = window.prompt('Label text');
+            if (text && text.trim()) {
+                this.addNode('label', point, text.trim());
+                this.render();
+            }
+            return;
+        }
+
+        if (node) {
+            this.selectedId = node.id;
+            this.drag = { mode: 'move', id: node.id, dx: point.x - node.x, dy: point.y - node.y };
+            this.canvas.setPointerCapture?.(e.pointerId);
+        } else if (this.tool === 'box') {
+            const text = window.prompt('Component name (e.g. API Gateway, Postgres, Cache)');
+            if (text && text.trim()) {
+                this.addNode('box', point, text.trim());
+            }
+        } else {
+            this.selectedId = this.hitEdge(point)?.id || null;
+        }
+        this.render();
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag) return;
+        const point = this.getPoint(e);
+
+        if (this.drag.mode === 'move') {
+            const node = this.diagram.nodes.find(n => n.id === this.drag.id);
+            if (node) {
+                node.x = Math.round(point.x - this.drag.dx);
+                node.y = Math.round(point.y - this.drag.dy);
+                this.drag.moved = true;
+            }
+        } else {
+            this.pointer = point;
+        }
+        this.render();
+    }
+
+    handlePointerUp(e) {
+        if (!this.drag) return;
+        const drag = this.drag;
+        this.drag = null;
+
+        if (drag.mode === 'connect') {
+            const target = this.hitNode(this.getPoint(e));
+            if (target && target.type === 'box' && target.id !== drag.from) {
+                const label = window.prompt('Connection label (optional, e.g. HTTPS, async queue)') || '';
+                const edge = { id: `e${this.nextId++}`, from: drag.from, to: target.id, label: label.trim() };
+                this.diagram.edges.push(edge);
+                this.selectedId = edge.id;
+                this.changed();
+            }
+        } else if (drag.moved) {
+            this.changed();
+        }
+        this.render();
+    }
+
+    handleDoubleClick(e) {
+        if (!this.enabled) return;
+        const point = this.getPoint(e);
+        const item = this.hitNode(point) || this.hitEdge(point);
+        if (!item) return;
+
+        const isEdge = !item.type;
+        const text = window.prompt(isEdge ? 'Connection label' : 'Rename', isEdge ? item.label : item.text);
+        if (text === null) return;
+
+        if (isEdge) {
+            item.label = text.trim();
+        } else if (text.trim()) {
+            item.text = text.trim();
+            if (item.type === 'label') Object.assign(item, this.measureLabel(item.text));
+        }
+        this.changed();
+        this.render();
+    }
+
+    removeSelected() {
+        const id = this.selectedId;
+        if (!id) return;
+
+        this.diagram.nodes = this.diagram.nodes.filter(node => node.id !== id);
+        this.diagram.edges = this.diagram.edges.filter(edge => edge.id !== id && edge.from !== id && edge.to !== id);
+        this.selectedId = null;
+        this.changed();
+        this.render();
+    }
+
+    drawArrow(start, end, color) {
+        const ctx = this.ctx;
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(end.x, end.y);
+        ctx.lineTo(end.x - 10 * Math.cos(angle - Math.PI / 7), end.y - 10 * Math.sin(angle - Math.PI / 7));
+        ctx.lineTo(end.x - 10 * Math.cos(angle + Math.PI / 7), end.y - 10 * Math.sin(angle + Math.PI / 7));
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const rect = this.canvas.getBoundingClientRect();
+        ctx.clearRect(0, 0, rect.width, rect.height);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        this.diagram.edges.forEach(edge => {
+            const points = edgeEndpoints(this.diagram, edge);
+            if (!points) return;
+            const selected = edge.id === this.selectedId;
+            this.drawArrow(points.start, points.end, selected ? COLORS.selected : COLORS.arrow);
+
+            if (edge.label) {
+                ctx.font = '12px sans-serif';
+                ctx.fillStyle = COLORS.label;
+                ctx.fillText(edge.label, (points.start.x + points.end.x) / 2, (points.start.y + points.end.y) / 2 - 10);
+            }
+        });
+
+        if (this.drag?.mode === 'connect' && this.pointer) {
+            const from = this.diagram.nodes.find(node => node.id === this.drag.from);
+            if (from) {
+                this.drawArrow(edgePoint(from, this.pointer.x, this.pointer.y), this.pointer, COLORS.selected);
+            }
+        }
+
+        this.diagram.nodes.forEach(node => {
+            const selected = node.id === this.selectedId;
+            if (node.type === 'box') {
+                ctx.fillStyle = COLORS.box;
+                ctx.strokeStyle = selected ? COLORS.selected : COLORS.boxBorder;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.roundRect ? ctx.roundRect(node.x, node.y, node.w, node.h, 8) : ctx.rect(node.x, node.y, node.w, node.h);
+                ctx.fill();
+                ctx.stroke();
+
+                ctx.font = '13px sans-serif';
+                ctx.fillStyle = COLORS.text;
+                ctx.fillText(node.text, node.x + node.w / 2, node.y + node.h / 2, node.w - 8);
+            } else {
+                ctx.font = 'italic 13px sans-serif';
+                ctx.fillStyle = selected ? COLORS.selected : COLORS.label;
+                ctx.textAlign = 'left';
+                ctx.fillText(node.text, node.x, node.y + node.h / 2);
+                ctx.textAlign = 'center';
+            }
+        });
+    }
+}
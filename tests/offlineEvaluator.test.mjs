@@ -0,0 +1,95 @@
+/**
+ * Offline scoring tests - run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { stem, indexAnswer, matchConcept, detectHedging, evaluateOffline, extractConcepts } from '../js/offlineEvaluator.js';
+import { normalizeRubric, scoreRubricOffline, RUBRIC_MET_THRESHOLD } from '../js/rubricScorer.js';
+
+test('inflections of a word share a stem', () => {
+    assert.equal(stem('caching'), stem('caches'));
+    assert.equal(stem('running'), stem('run'));
+    assert.equal(stem('processes'), stem('process'));
+});
+
+test('concepts match through synonyms', () => {
+    const index = indexAnswer('Each request hits the datastore, so we memoize the lookups.');
+    assert.equal(matchConcept('database', index).score, 1);
+    assert.equal(matchConcept('caching', index).score, 1);
+    assert.equal(matchConcept('replication', index).score, 0);
+});
+
+test('hedging phrases are counted', () => {
+    const hedging = detectHedging('I think it is probably a hash map, but I am not sure.');
+    assert.equal(hedging.count, 3);
+    assert.deepEqual(hedging.phrases, ['i think', 'probably', 'not sure']);
+});
+
+test('an answer covering the expected concepts outscores one that misses them', () => {
+    const expected = { concepts: ['index', 'B-tree', 'full table scan'] };
+    const strong = evaluateOffline(
+        'How does a database index speed up queries?',
+        'An index is usually a B-tree, so the database can find matching rows in logarithmic time instead of doing a full table scan. For example, indexing the email column made our login query ten times faster because lookups no longer read every row.',
+        expected
+    );
+    const weak = evaluateOffline('How does a database index speed up queries?', 'It makes things faster I guess.', expected);
+
+    assert.deepEqual(strong.concepts.missing, []);
+    assert.deepEqual(weak.concepts.covered, []);
+    assert.ok(strong.technicalScore > weak.technicalScore);
+    assert.ok(strong.confidenceScore > weak.confidenceScore);
+});
+
+test('rubric criteria the answer meets score at least the met threshold', () => {
+    const rubric = normalizeRubric(['Mentions SQL', 'Explains the CAP theorem', 'Describes replication', 'Pitfall: Ignores failures']);
+    const result = scoreRubricOffline(rubric, 'I would write SQL with an index. CAP says you pick consistency or availability, and replicas keep reads fast.');
+
+    const [sql, cap, replication, pitfall] = result.criteria;
+    [sql, cap, replication].forEach(criterion => {
+        assert.ok(criterion.score >= RUBRIC_MET_THRESHOLD, `${criterion.criterion} scored ${criterion.score}`);
+        assert.equal(criterion.met, true);
+    });
+    assert.equal(pitfall.score, null);
+});
+
+test('rubric criteria the answer misses are not met', () => {
+    const rubric = normalizeRubric(['Describes replication', 'Names a trade-off']);
+    const result = scoreRubricOffline(rubric, 'I would write SQL with an index.');
+
+    result.criteria.forEach(criterion => assert.equal(criterion.met, false));
+});
+
+test('an empty answer earns no confidence', () => {
+    const evaluation = evaluateOffline('What is a closure?', '');
+    assert.ok(evaluation.confidenceScore <= 2);
+    assert.ok(evaluation.technicalScore <= 2);
+});
+
+test('reference concepts skip words used in passing', () => {
+    const concepts = extractConcepts(
+        'A closure is a function bundled with the lexical scope it was created in, letting an inner function read variables of the outer function after it returns.',
+        6,
+        'What is a closure?'
+    );
+    assert.ok(concepts.includes('closure') && concepts.includes('lexical'));
+    ['letting', 'inner', 'outer'].forEach(word => assert.ok(!concepts.includes(word), word));
+});
+
+test('accented concepts match whole words', () => {
+    const evaluation = evaluateOffline(
+        '¿Para qué sirve un índice?',
+        'El índice acelera las búsquedas porque evita recorrer toda la tabla.',
+        { concepts: ['índice', 'búsquedas'] },
+        'es-ES'
+    );
+    assert.deepEqual(evaluation.concepts.missing, []);
+});
+
+test('answers in Japanese are counted in words and not checked for English hedges', () => {
+    const answer = '私はデータベースのインデックスを使いました。検索が速くなりました。';
+    const evaluation = evaluateOffline('インデックスとは何ですか？', answer, { concepts: ['インデックス'] }, 'ja-JP');
+    assert.deepEqual(evaluation.concepts.covered, ['インデックス']);
+    assert.ok(evaluation.confidenceScore > 1);
+    assert.equal(evaluation.hedging.count, 0);
+});